@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+// --- ACOUSTICS ---
+// What the city does to a sound on its way to the camera:
+// - Reverb zones: the road tunnels and the glass atrium of Westlake Center each have a reverb.
+//   A sound inside a zone sends to its reverb; one outside still sends a little while the
+//   listener is inside, since it rings round the space you're standing in.
+// - Occlusion: each sound has a low-pass that closes down while a building stands between it
+//   and the camera. Buildings are the collision world's (collision.js) occluder boxes, those of
+//   the buildings and landmarks of the city layout; piers, beams, poles and street furniture
+//   are too slight to hide a sound.
+// Sounds are looked at a few a frame, and every change glides, so nothing steps.
+
+export const REVERB_TYPES = {
+    TUNNEL: { impulse: 'TUNNEL_REVERB', wet: 0.9 }, // Impulse from the sound bank (soundbank.js), send level
+    MALL: { impulse: 'MALL_REVERB', wet: 0.6 }
+};
+
+const LISTENER_ONLY = 0.4; // Send, relative to one from inside, for a sound outside the listener's zone
+const OPEN_CUTOFF = 20000; // Hz with a clear line of sight
+const OCCLUDED_CUTOFF = 900; // Hz from behind a building
+const CHECKS_PER_FRAME = 6; // Sounds looked at each frame
+const GLIDE = 0.15; // Time constant of send and filter changes (s)
+const ZONE_STEP = 8; // Meters between boxes along a swept zone
+
+const _source = new THREE.Vector3();
+
+// Boxes filling the space `halfWidth` either side of a curve and `height` above it
+export const sweepZone = (curve, halfWidth, height) => {
+    const divisions = Math.max(1, Math.ceil(curve.getLength() / ZONE_STEP));
+    const points = curve.getSpacedPoints(divisions);
+    const boxes = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const box = new THREE.Box3().setFromPoints([points[i], points[i + 1]]);
+        box.min.x -= halfWidth;
+        box.min.z -= halfWidth;
+        box.max.x += halfWidth;
+        box.max.z += halfWidth;
+        box.max.y += height;
+        boxes.push(box);
+    }
+    return boxes;
+};
+
+export class Acoustics {
+    // Reverb returns are fed from the mixer's sends, so a muted bus is muted in the reverb too
+    constructor(listener, mixer) {
+        this.context = listener.context;
+        this.mixer = mixer;
+        this.zones = []; // { type, boxes }
+        this.collisionWorld = null;
+        this.sounds = []; // { sound, filter, sends: { type: GainNode } }
+        this.next = 0;
+        this.listenerZone = null;
+
+        this.reverbs = {};
+        Object.keys(REVERB_TYPES).forEach(type => {
+            const convolver = this.context.createConvolver();
+            convolver.connect(listener.getInput());
+            Object.keys(mixer.buses).forEach(bus => mixer.getSend(bus, type).connect(convolver));
+            this.reverbs[type] = convolver;
+        });
+    }
+
+    // A space with reverb `type`, as a list of world-space Box3s
+    addZone(type, boxes) {
+        if (!REVERB_TYPES[type]) throw new Error(`Acoustics: unknown reverb zone "${type}"`);
+        this.zones.push({ type, boxes });
+    }
+
+    // What blocks sound: a CollisionWorld, once the city is built
+    setCollisionWorld(world) {
+        this.collisionWorld = world;
+    }
+
+    // The impulse responses come from the sound bank as they're ready
+    addBuffer(name, buffer) {
+        Object.keys(REVERB_TYPES).forEach(type => {
+            if (REVERB_TYPES[type].impulse === name) this.reverbs[type].buffer = buffer;
+        });
+    }
+
+    // Type of the zone holding `point`, or null
+    getZone(point) {
+        const zone = this.zones.find(z => z.boxes.some(box => box.containsPoint(point)));
+        return zone ? zone.type : null;
+    }
+
+    // Occlusion and reverb sends for a positional sound already assigned to `bus`
+    add(sound, bus) {
+        const ctx = this.context;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = OPEN_CUTOFF;
+        filter.Q.value = 0.7;
+        sound.setFilter(filter);
+
+        const sends = {};
+        Object.keys(REVERB_TYPES).forEach(type => {
+            const send = ctx.createGain();
+            send.gain.value = 0;
+            sound.gain.connect(send).connect(this.mixer.getSend(bus, type));
+            sends[type] = send;
+        });
+        this.sounds.push({ sound, filter, sends });
+    }
+
+    // Once a frame with the listener's world position
+    update(delta, listenerPosition) {
+        if (isNaN(delta) || this.sounds.length === 0) return;
+        this.listenerZone = this.getZone(listenerPosition);
+        const count = Math.min(CHECKS_PER_FRAME, this.sounds.length);
+        for (let i = 0; i < count; i++) {
+            this.next = (this.next + 1) % this.sounds.length;
+            this.check(this.sounds[this.next], listenerPosition);
+        }
+    }
+
+    check(entry, listenerPosition) {
+        const sound = entry.sound;
+        // Not placed yet, or out of sight (cars parked in a garage)
+        if (!sound.parent || !sound.parent.visible) return;
+        sound.getWorldPosition(_source);
+        // Too far off to hear anyway
+        if (_source.distanceTo(listenerPosition) > sound.getMaxDistance()) return;
+        const time = this.context.currentTime;
+
+        const zone = this.getZone(_source);
+        Object.keys(entry.sends).forEach(type => {
+            const level = type === zone ? 1 : (type === this.listenerZone ? LISTENER_ONLY : 0);
+            entry.sends[type].gain.setTargetAtTime(level * REVERB_TYPES[type].wet, time, GLIDE);
+        });
+
+        const occluded = this.collisionWorld ? this.collisionWorld.isSegmentBlocked(_source, listenerPosition, true) : false;
+        entry.filter.frequency.setTargetAtTime(occluded ? OCCLUDED_CUTOFF : OPEN_CUTOFF, time, GLIDE);
+    }
+}
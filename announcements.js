@@ -0,0 +1,47 @@
+import { Station } from './constants.js';
+
+// --- STATION ANNOUNCEMENTS ---
+// What the trains say at each stop (data/announcements.json):
+//   chimes    { arrive, depart }: door chime notes (Hz), played in turn before the announcement
+//   stations  per station, { arrive, depart } announcement text. Either may be left out for a
+//             chime on its own.
+
+export const ANNOUNCEMENT_EVENTS = ['arrive', 'depart'];
+
+const isFrequency = (v) => typeof v === 'number' && isFinite(v) && v >= 20 && v <= 20000;
+
+export class StationAnnouncements {
+    constructor(data) {
+        StationAnnouncements.validate(data);
+        this.chimes = data.chimes;
+        this.stations = data.stations;
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('StationAnnouncements: expected an object');
+        if (!data.chimes || typeof data.chimes !== 'object') throw new Error('StationAnnouncements: chimes must be an object');
+        ANNOUNCEMENT_EVENTS.forEach(event => {
+            const notes = data.chimes[event];
+            if (!Array.isArray(notes) || notes.length === 0 || !notes.every(isFrequency)) {
+                throw new Error(`StationAnnouncements: chimes.${event} must be a non-empty list of frequencies (Hz)`);
+            }
+        });
+        if (!data.stations || typeof data.stations !== 'object') throw new Error('StationAnnouncements: stations must be an object');
+        Object.keys(data.stations).forEach(key => {
+            const station = data.stations[key];
+            if (!Station[key]) throw new Error(`StationAnnouncements: unknown station "${key}"`);
+            if (!station || typeof station !== 'object') throw new Error(`StationAnnouncements: stations.${key} must be an object`);
+            ANNOUNCEMENT_EVENTS.forEach(event => {
+                if (station[event] !== undefined && (typeof station[event] !== 'string' || !station[event].trim())) {
+                    throw new Error(`StationAnnouncements: stations.${key}.${event} must be text`);
+                }
+            });
+        });
+    }
+
+    // { chime, text } for a train arriving at or departing `station`; text may be null
+    get(station, event) {
+        const texts = this.stations[station] || {};
+        return { chime: this.chimes[event], text: texts[event] || null };
+    }
+}
@@ -1,6 +1,10 @@
 import * as THREE from 'three';
-import { COLORS, TRACK_HEIGHT, PIER_SPACING, CarType, TRACK_LEFT, TRACK_RIGHT, TAXI_PATH } from './constants.js';
+import { COLORS, TRACK_HEIGHT, CarType, FIFTH_AVE_INTERSECTIONS, INTERSECTION_LAYOUT } from './constants.js';
+import { TRACK_LEFT, TRACK_RIGHT, PIER_SPACING, getPierPositions } from './tracks.js';
+import { TrafficSystem } from './traffic.js';
+import { createRoadNetwork } from './roads.js';
 import { createBox, createCylinder, createPlane } from './utils.js';
+import { sweepZone } from './acoustics.js';
 
 // Global list of objects requiring animation updates
 export const animatedObjects = [];
@@ -10,7 +14,7 @@ export function clearAnimatedObjects() {
 }
 
 // --- TRACK ---
-export function createTrack(curve, scene) {
+export function createTrack(curve, scene, pierShifts = []) {
   if (!curve || !curve.getLength) return;
 
   const group = new THREE.Group();
@@ -29,19 +33,13 @@ export function createTrack(curve, scene) {
   const beam = new THREE.Mesh(beamGeo, beamMat);
   beam.castShadow = true;
   beam.receiveShadow = true;
+  // Collide against the beam itself, not the box around the whole route
+  beam.userData.collisionCurve = curve;
+  beam.userData.collisionProfile = { halfWidth: w / 2, halfHeight: h / 2 };
   group.add(beam);
 
-  const length = curve.getLength();
-  const count = Math.floor(length / PIER_SPACING);
-  
-  for (let i = 0; i <= count; i++) {
-      const t = i / count;
-      const position = curve.getPointAt(t);
-      const tangent = curve.getTangentAt(t);
-      
-      // Strict check for position validity to prevent TypeError
-      if (!position || typeof position.x !== 'number') continue;
-
+  // Pier spacing and the ground each pier stands on (ramps of the 5th Ave cut) come from tracks.js
+  getPierPositions(curve, PIER_SPACING, pierShifts).forEach(({ position, tangent, groundY }) => {
       const dummy = new THREE.Object3D();
       dummy.position.copy(position);
       if (tangent && typeof tangent.x === 'number') {
@@ -52,28 +50,6 @@ export function createTrack(curve, scene) {
       pierGroup.position.copy(position);
       pierGroup.rotation.y = dummy.rotation.y;
 
-      // Calculate Ground Height (Ramp Logic) to ensure pillars touch ground
-      let groundY = 0;
-      const z = position.z;
-      const x = position.x;
-      
-      // Only apply ramp depth if within the 5th Ave cut bounds
-      if (x > -10 && x < 40) {
-          if (z < -200 && z > -245) {
-              // North Ramp Area
-              const rampLen = 45; 
-              const dist = z - (-245);
-              const tRamp = Math.max(0, Math.min(1, dist / rampLen));
-              groundY = -12 * (1 - tRamp);
-          } else if (z > 80 && z < 140) {
-              // South Ramp Area
-              const rampLen = 60;
-              const dist = z - 80;
-              const tRamp = Math.max(0, Math.min(1, dist / rampLen));
-              groundY = -12 * tRamp;
-          }
-      }
-
       const beamHalfHeight = 1.0;
       const capHeight = 1.5;
       const capTopY = -beamHalfHeight;
@@ -91,7 +67,7 @@ export function createTrack(curve, scene) {
           createBox(3.0, capHeight, 2.0, COLORS.CONCRETE, 0, capCy, 0, pierGroup);
           group.add(pierGroup);
       }
-  }
+  });
 
   // --- ADD BUMPERS ---
   const bumperGeo = new THREE.BoxGeometry(2.4, 1.5, 1.0); 
@@ -132,13 +108,12 @@ export function createTrack(curve, scene) {
   }
 
   scene.add(group);
+  return group;
 }
 
 // --- NEWS TOWER ---
-const createNewsTower = (scene) => {
+const createNewsTower = (tx, tz, scene) => {
     const group = new THREE.Group();
-    const tx = -55;
-    const tz = -215;
     group.position.set(tx, 0, tz);
 
     const h = 45;
@@ -146,8 +121,11 @@ const createNewsTower = (scene) => {
     const d = 18;
 
     createBox(w, h, d, '#888899', 0, h/2, 0, group);
-    createBox(w+0.2, h-4, 4, '#113355', 0, h/2, 0, group).userData = { isLitWindow: true };
-    createBox(4, h-4, d+0.2, '#113355', 0, h/2, 0, group).userData = { isLitWindow: true };
+    [createBox(w+0.2, h-4, 4, '#113355', 0, h/2, 0, group), createBox(4, h-4, d+0.2, '#113355', 0, h/2, 0, group)].forEach(band => {
+        band.material.emissive = new THREE.Color('#FFE8B0');
+        band.material.emissiveIntensity = 0.0;
+        band.userData = { isLitWindow: true };
+    });
 
     const roofY = h + 0.5;
     createBox(w+2, 1, d+2, '#333333', 0, roofY, 0, group); 
@@ -188,15 +166,23 @@ const createNewsTower = (scene) => {
 };
 
 // --- HELICOPTER ---
-class NewsHelicopter {
+// Events: 'impact' { speed, health }, 'crash' and 'reset' (back on the pad)
+const GROUND_Y = -0.1; // Open ground planes (createEnvironment), too big for the collision world
+const SKID_HEIGHT = 0.2; // Skids below the body's origin
+
+class NewsHelicopter extends THREE.EventDispatcher {
     constructor(scene, landingPadPos, audioGenerator, collidableGroup) {
+        super();
         this.group = new THREE.Group();
+        this.group.userData.dynamic = true; // Not baked into the collision world (collision.js)
         this.landingPos = landingPadPos ? landingPadPos.clone() : new THREE.Vector3(0,0,0);
         this.group.position.copy(this.landingPos);
         this.collidableGroup = collidableGroup;
 
         // Physics State
         this.isManual = false;
+        this.input = null; // FlightInput, attached by index.js
+        this.autopilot = null; // Autopilot (autopilot.js) flies the route whenever isManual is off
         this.velocity = new THREE.Vector3();
         this.angularVelocity = 0;
         this.rotorSpeed = 0;
@@ -205,6 +191,9 @@ class NewsHelicopter {
         // Collision Setup
         this.raycaster = new THREE.Raycaster();
         this.downVector = new THREE.Vector3(0, -1, 0);
+        this.collisionWorld = null; // CollisionWorld (collision.js), attached by index.js
+        this.health = 100;
+        this.crashTimer = 0; // Counts down while the wreck falls, then we're back on the pad
 
         // Physics Constants
         this.PHYSICS = {
@@ -214,7 +203,14 @@ class NewsHelicopter {
             FRICTION: 0.97,
             ANGULAR_ACCEL: 2.0,
             ANGULAR_FRICTION: 0.92,
-            MAX_TILT: 0.4 // Max banking in radians
+            MAX_TILT: 0.4, // Max banking in radians
+            COLLISION_RADIUS: 3.0, // Sphere around the cabin and rotor hub
+            COLLISION_CENTER_Y: 2.0, // Above the skids
+            RESTITUTION: 0.4,
+            SAFE_IMPACT: 5.0, // m/s, scrapes below this do no damage
+            DAMAGE_PER_MS: 4.0, // Health lost per m/s above SAFE_IMPACT
+            CRASH_IMPACT: 22.0, // m/s, anything harder is a crash outright
+            CRASH_RESET_DELAY: 3.0 // Seconds before the aircraft is back on the pad
         };
 
         if (audioGenerator) {
@@ -293,50 +289,54 @@ class NewsHelicopter {
         scene.add(this.group);
     }
 
-    updateHelicopterControls(delta) {
+    updateHelicopterControls(delta, source = this.input) {
         if (isNaN(delta)) return;
 
-        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
-        let gp = null;
-        for (let i = 0; i < 4; i++) {
-            if (gamepads[i] && gamepads[i].connected) {
-                gp = gamepads[i];
-                break;
-            }
-        }
-
-        if (gp) {
-            const leftStickX = (gp.axes && Math.abs(gp.axes[0]) > 0.15) ? gp.axes[0] : 0;
-            const leftStickY = (gp.axes && Math.abs(gp.axes[1]) > 0.15) ? gp.axes[1] : 0;
-            const rightStickX = (gp.axes && Math.abs(gp.axes[2]) > 0.15) ? gp.axes[2] : 0;
-            
-            const getBtn = (idx) => {
-                if (!gp.buttons || !gp.buttons[idx]) return 0;
-                return typeof gp.buttons[idx] === 'number' ? gp.buttons[idx] : gp.buttons[idx].value;
-            };
-            const rightTrigger = getBtn(7);
+        // Pilot (flightinput.js) or autopilot axes; null while nothing is flying
+        const crashed = this.crashTimer > 0;
+        const input = (source && !crashed) ? source.read(delta) : null;
 
-            this.angularVelocity -= rightStickX * this.PHYSICS.ANGULAR_ACCEL * delta;
+        if (input) {
+            this.angularVelocity -= input.yaw * this.PHYSICS.ANGULAR_ACCEL * delta;
             this.angularVelocity *= this.PHYSICS.ANGULAR_FRICTION;
             this.group.rotation.y += this.angularVelocity * delta;
 
             const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.group.quaternion);
             const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.group.quaternion);
 
-            this.velocity.addScaledVector(forward, -leftStickY * this.PHYSICS.ACCEL * delta);
-            this.velocity.addScaledVector(right, leftStickX * this.PHYSICS.ACCEL * delta);
+            this.velocity.addScaledVector(forward, input.pitch * this.PHYSICS.ACCEL * delta);
+            this.velocity.addScaledVector(right, input.roll * this.PHYSICS.ACCEL * delta);
+
+            this.velocity.y -= this.PHYSICS.GRAVITY * delta;
+            this.velocity.y += input.collective * this.PHYSICS.LIFT * delta;
+        }
 
+        if (crashed) {
+            // No tail rotor, no lift: spin down to the ground
+            this.angularVelocity = 4.0;
+            this.group.rotation.y += this.angularVelocity * delta;
             this.velocity.y -= this.PHYSICS.GRAVITY * delta;
-            this.velocity.y += rightTrigger * this.PHYSICS.LIFT * delta;
+            this.crashTimer -= delta;
+            if (this.crashTimer <= 0) {
+                this.resetToPad();
+                return;
+            }
         }
 
         // Apply Velocity
         this.group.position.addScaledVector(this.velocity, delta);
         this.velocity.multiplyScalar(this.PHYSICS.FRICTION);
 
+        this.resolveCollisions();
+
         // --- COLLISION DETECTION ---
         let groundY = 2; // Default floor
-        if (this.collidableGroup) {
+        if (this.collisionWorld) {
+            // Same answer as the raycast below, from the baked boxes instead of every triangle;
+            // nothing under us is the open ground, which the boxes leave out
+            const floor = this.collisionWorld.floorBelow(this.group.position.x, this.group.position.z, this.group.position.y + 2.0);
+            groundY = (floor !== null ? floor : GROUND_Y) + SKID_HEIGHT;
+        } else if (this.collidableGroup) {
             // Raycast down from slightly above current position to find surface
             this.raycaster.set(this.group.position.clone().add(new THREE.Vector3(0, 10, 0)), this.downVector);
             const intersects = this.raycaster.intersectObject(this.collidableGroup, true);
@@ -357,7 +357,7 @@ class NewsHelicopter {
                 if (!isSelf) {
                     // Valid ground hit
                     if (hit.point.y < this.group.position.y + 2.0) { // Only consider things below or near us
-                        groundY = hit.point.y + 0.2; // Add offset for skids
+                        groundY = hit.point.y + SKID_HEIGHT;
                     }
                     break; // Use highest valid hit
                 }
@@ -384,6 +384,56 @@ class NewsHelicopter {
         this.gimbal.lookAt(lookT);
     }
 
+    // Push the aircraft out of buildings, piers and beams, bouncing off with a loss of speed
+    resolveCollisions() {
+        if (!this.collisionWorld) return;
+        const P = this.PHYSICS;
+        const center = this.group.position.clone();
+        center.y += P.COLLISION_CENTER_Y;
+
+        // Settling onto roofs and the ground is left to the floor raycast below
+        const notFloor = (normal) => normal.y < 0.7;
+        let impact = 0;
+        for (let i = 0; i < 4; i++) {
+            const contact = this.collisionWorld.querySphere(center, P.COLLISION_RADIUS, notFloor);
+            if (!contact) break;
+            center.addScaledVector(contact.normal, contact.depth);
+
+            const closingSpeed = -this.velocity.dot(contact.normal);
+            if (closingSpeed > 0.5) {
+                impact = Math.max(impact, closingSpeed);
+                this.velocity.addScaledVector(contact.normal, closingSpeed * (1 + P.RESTITUTION));
+            }
+        }
+        this.group.position.set(center.x, center.y - P.COLLISION_CENTER_Y, center.z);
+
+        if (impact > 0) this.onImpact(impact);
+    }
+
+    onImpact(speed) {
+        const P = this.PHYSICS;
+        if (speed > P.SAFE_IMPACT) {
+            this.health = Math.max(0, this.health - (speed - P.SAFE_IMPACT) * P.DAMAGE_PER_MS);
+        }
+        this.dispatchEvent({ type: 'impact', speed, health: this.health });
+
+        if (this.crashTimer <= 0 && (speed >= P.CRASH_IMPACT || this.health <= 0)) {
+            this.crashTimer = P.CRASH_RESET_DELAY;
+            this.dispatchEvent({ type: 'crash' });
+        }
+    }
+
+    resetToPad() {
+        this.group.position.copy(this.landingPos);
+        this.group.rotation.set(0,0,0);
+        this.body.rotation.set(0,0,0);
+        this.velocity.set(0,0,0);
+        this.angularVelocity = 0;
+        this.health = 100;
+        this.crashTimer = 0;
+        this.dispatchEvent({ type: 'reset' });
+    }
+
     update(delta) {
         // Rotor Animation
         if (this.rotorSpeed < this.targetRotorSpeed) {
@@ -406,11 +456,20 @@ class NewsHelicopter {
         }
 
         if (this.isManual) {
-            this.targetRotorSpeed = 20;
+            this.targetRotorSpeed = this.crashTimer > 0 ? 0 : 20;
             this.updateHelicopterControls(delta);
+            return;
+        }
+
+        if (this.autopilot && this.crashTimer <= 0) this.autopilot.update(delta);
+        if (this.autopilot && (this.crashTimer > 0 || this.autopilot.isFlying())) {
+            this.targetRotorSpeed = this.crashTimer > 0 ? 0 : 20;
+            this.updateHelicopterControls(delta, this.autopilot);
         } else {
             // Parked State Logic
             this.targetRotorSpeed = 0;
+            this.health = 100;
+            this.crashTimer = 0;
             this.group.position.copy(this.landingPos);
             this.group.rotation.set(0,0,0);
             this.body.rotation.set(0,0,0);
@@ -582,17 +641,61 @@ const createTurnstile = (x, y, z, parent) => {
     if(parent) parent.add(g);
 }
 
+// --- PEDESTRIANS ---
+const PED_SKIN = ['#FFDDBB', '#E0AC69', '#C68642', '#8D5524'];
+const PED_SHIRTS = ['#CC3333', '#3366CC', '#33AA55', '#EEAA22', '#884499', '#EEEEEE', '#222222'];
+const PED_PANTS = ['#223344', '#333333', '#665544', '#112266'];
+const pedGeo = {
+    leg: new THREE.BoxGeometry(0.25, 0.8, 0.25),
+    torso: new THREE.BoxGeometry(0.6, 0.7, 0.35),
+    head: new THREE.BoxGeometry(0.35, 0.35, 0.35)
+};
+const pedMaterials = new Map();
+const pedMaterial = (color) => {
+    if (!pedMaterials.has(color)) pedMaterials.set(color, new THREE.MeshStandardMaterial({ color: color, roughness: 0.8 }));
+    return pedMaterials.get(color);
+};
+
+// Voxel person, origin at the feet, facing +Z. Legs are exposed for walk animation.
+export function createPedestrianMesh(random) {
+    const group = new THREE.Group();
+    const pants = pedMaterial(random.pick(PED_PANTS));
+
+    const legs = [-0.15, 0.15].map(x => {
+        const pivot = new THREE.Group();
+        pivot.position.set(x, 0.8, 0);
+        const leg = new THREE.Mesh(pedGeo.leg, pants);
+        leg.position.y = -0.4;
+        leg.castShadow = true;
+        pivot.add(leg);
+        group.add(pivot);
+        return pivot;
+    });
+
+    const torso = new THREE.Mesh(pedGeo.torso, pedMaterial(random.pick(PED_SHIRTS)));
+    torso.position.y = 1.15;
+    torso.castShadow = true;
+    group.add(torso);
+
+    const head = new THREE.Mesh(pedGeo.head, pedMaterial(random.pick(PED_SKIN)));
+    head.position.y = 1.7;
+    head.castShadow = true;
+    group.add(head);
+
+    group.userData.legs = legs;
+    return group;
+}
+
 class TrafficCar {
-  constructor(curve, initialProgress, speed, color, audioGenerator) {
-    this.curve = curve;
-    this.progress = initialProgress || 0;
-    this.speed = speed; 
+  constructor(color, audioGenerator) {
     this.color = color;
+    this.driver = null; // Set when it joins the TrafficSystem (traffic.js), which drives it
     
     this.group = new THREE.Group();
+    this.group.userData.dynamic = true;
     
     if (audioGenerator) {
-        const sound = audioGenerator.createPositionalAudio('TRAFFIC', 30, 300, 0.3);
+        const sound = audioGenerator.createVehicleSound('CAR', 30, 300, 0.3);
         if (sound) this.group.add(sound);
     }
 
@@ -617,66 +720,19 @@ class TrafficCar {
     const tail = createBox(1.8, 0.2, 0.1, '#F00', 0, 1.0, -2.26, this.group);
     tail.material.emissive = new THREE.Color('#AA0000');
   }
-
-  update(delta) {
-    if (isNaN(delta)) return;
-
-    const LOOP_SPEED_SCALE = 0.0005; 
-    
-    // SAFETY: Initialize progress if undefined or NaN
-    if (isNaN(this.progress)) this.progress = 0;
-
-    this.progress += this.speed * delta * LOOP_SPEED_SCALE;
-    if (this.progress > 1) this.progress -= 1;
-
-    if (!this.curve || !this.curve.getPointAt) return;
-
-    const pos = this.curve.getPointAt(this.progress);
-    const nextT = (this.progress + 0.005) % 1;
-    const nextPos = this.curve.getPointAt(nextT);
-
-    // SAFETY: Strict checks on Vector3 properties
-    if (pos && typeof pos.x === 'number' && !isNaN(pos.x)) {
-        this.group.position.copy(pos);
-        
-        if (nextPos && typeof nextPos.x === 'number' && !isNaN(nextPos.x)) {
-            const m = new THREE.Matrix4();
-            m.lookAt(pos, nextPos, new THREE.Vector3(0, 1, 0));
-            this.group.quaternion.setFromRotationMatrix(m);
-        }
-    }
-  }
 }
 
-class TrafficSystem {
-    constructor(scene, audioGenerator) {
-        this.cars = [];
-        const colors = ['#A93226', '#1F618D', '#117A65', '#D68910', '#D35400', '#7F8C8D', '#2E4053', '#F1C40F', '#E74C3C'];
-        const SPEED_BASE = 60; 
-        const NUM_CARS = 20;
-
-        for(let i=0; i<NUM_CARS; i++) {
-             const t = i / NUM_CARS;
-             const color = colors[Math.floor(Math.random() * colors.length)];
-             const speed = SPEED_BASE; 
-             const car = new TrafficCar(TAXI_PATH, t, speed, color, audioGenerator);
-             scene.add(car.group);
-             this.cars.push(car);
-        }
-    }
-
-    update(delta) {
-        this.cars.forEach(car => car.update(delta));
-    }
-}
+const TAXI_SIGN = { GLOW: 0.5, FOR_HIRE: 2.0 }; // Roof sign emissive intensities
 
 export class HeroTaxi {
     constructor(scene, audioGenerator) {
         this.group = new THREE.Group();
-        this.curve = TAXI_PATH;
-        this.progress = 0.85; 
-        this.speed = 70; 
+        this.group.userData.dynamic = true;
+        this.driver = null; // Set when it joins the TrafficSystem (traffic.js)
         this.isHeroTaxi = true; 
+        this.isManual = false;
+        this.drive = null; // ManualDriving (drive.js) and DriveInput (driveinput.js), set by index.js
+        this.input = null;
         
         const taxiColor = '#FFD700'; 
         
@@ -691,9 +747,9 @@ export class HeroTaxi {
             createBox(0.1, 0.2, 0.4, col, -1.11, 1.0, z, this.group);
         }
 
-        const sign = createBox(0.8, 0.3, 0.4, '#FFFFE0', 0, 2.5, 0.5, this.group);
-        sign.material.emissive = new THREE.Color('#FFFFE0');
-        sign.material.emissiveIntensity = 0.5;
+        this.sign = createBox(0.8, 0.3, 0.4, '#FFFFE0', 0, 2.5, 0.5, this.group);
+        this.sign.material.emissive = new THREE.Color('#FFFFE0');
+        this.setForHire(null);
         
         const wCol = '#222';
         const wY = 0.4;
@@ -720,41 +776,13 @@ export class HeroTaxi {
         this.group.add(this.viewTarget);
 
         if (audioGenerator) {
-            const sound = audioGenerator.createPositionalAudio('TRAFFIC', 30, 300, 0.8);
+            const sound = audioGenerator.createVehicleSound('CAR', 30, 300, 0.8);
             if (sound) this.group.add(sound);
         }
 
         scene.add(this.group);
     }
 
-    update(delta) {
-        if (isNaN(delta)) return;
-
-        const LOOP_SPEED_SCALE = 0.0005; 
-        
-        if (isNaN(this.progress)) this.progress = 0;
-
-        this.progress += this.speed * delta * LOOP_SPEED_SCALE;
-        if (this.progress > 1) this.progress -= 1;
-
-        if (!this.curve || !this.curve.getPointAt) return;
-
-        const pos = this.curve.getPointAt(this.progress);
-        const nextT = (this.progress + 0.005) % 1;
-        const nextPos = this.curve.getPointAt(nextT);
-
-        // SAFETY: Strict checks on Vector3 properties
-        if (pos && typeof pos.x === 'number' && !isNaN(pos.x)) {
-            this.group.position.copy(pos);
-            
-            if (nextPos && typeof nextPos.x === 'number' && !isNaN(nextPos.x)) {
-                const m = new THREE.Matrix4();
-                m.lookAt(pos, nextPos, new THREE.Vector3(0, 1, 0));
-                this.group.quaternion.setFromRotationMatrix(m);
-            }
-        }
-    }
-
     getCameraTarget() {
         const eyePos = new THREE.Vector3();
         const lookPos = new THREE.Vector3();
@@ -762,16 +790,30 @@ export class HeroTaxi {
         this.viewTarget.getWorldPosition(lookPos);
         return { position: eyePos, lookAt: lookPos };
     }
-}
 
-const createTunnelGeometry = (scene) => {
-    const allPoints = TAXI_PATH.getSpacedPoints(600);
-    const tunnelPoints = allPoints.filter(p => p.y < -0.1 || (p.z > 70 && p.z < 150) || (p.z < -190 && p.z > -260));
-    
-    if (tunnelPoints.length < 2) return;
+    // Roof sign: bright for hire, dark with a fare aboard (fares.js), or its usual glow (null)
+    setForHire(forHire) {
+        this.sign.material.emissiveIntensity = forHire === null ? TAXI_SIGN.GLOW : (forHire ? TAXI_SIGN.FOR_HIRE : 0);
+    }
 
-    const tunnelCurve = new THREE.CatmullRomCurve3(tunnelPoints);
-    
+    // Driven by hand, or handed back to traffic
+    setManual(manual) {
+        if (!this.drive || manual === this.isManual) return;
+        this.isManual = manual;
+        if (manual) {
+            this.drive.begin();
+        } else {
+            this.drive.end();
+        }
+    }
+
+    update(delta) {
+        if (this.isManual) this.drive.update(delta, this.input ? this.input.read(delta) : null);
+    }
+}
+
+// Sweeps the tunnel section along every underground edge of the road network (roads.js)
+const createTunnelGeometry = (scene, network, audioGenerator) => {
     const w = 14; 
     const h = 9; 
     const shape = new THREE.Shape();
@@ -781,14 +823,34 @@ const createTunnelGeometry = (scene) => {
     shape.lineTo(-w/2, h);
     shape.lineTo(-w/2, 0);
 
-    const extrudeSettings = { steps: 300, bevelEnabled: false, extrudePath: tunnelCurve };
-    const geo = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    
     const mat = new THREE.MeshStandardMaterial({ 
         color: '#555555', 
         side: THREE.DoubleSide, 
         roughness: 0.9 
     });
+
+    network.getUndergroundEdges().forEach(edge => {
+        createTunnelSection(scene, edge.curve, shape, mat, h);
+        // Traffic down here rings off the concrete
+        if (audioGenerator) audioGenerator.acoustics.addZone('TUNNEL', sweepZone(edge.curve, w / 2, h));
+    });
+}
+
+const createTunnelSection = (scene, tunnelCurve, shape, mat, h) => {
+    // Level frames (the section hangs below the roadway) rather than Frenet frames, which
+    // twist on straight runs
+    const steps = Math.max(1, Math.ceil(tunnelCurve.getLength() / 2));
+    const frames = { tangents: [], normals: [], binormals: [] };
+    for (let i = 0; i <= steps; i++) {
+        const tangent = tunnelCurve.getTangentAt(i / steps);
+        const normal = new THREE.Vector3(tangent.z, 0, -tangent.x).normalize();
+        frames.tangents.push(tangent);
+        frames.normals.push(normal);
+        frames.binormals.push(new THREE.Vector3().crossVectors(normal, tangent).normalize());
+    }
+
+    const extrudeSettings = { steps, bevelEnabled: false, extrudePath: tunnelCurve, frames };
+    const geo = new THREE.ExtrudeGeometry(shape, extrudeSettings);
     const tunnel = new THREE.Mesh(geo, mat);
     scene.add(tunnel);
 
@@ -797,7 +859,7 @@ const createTunnelGeometry = (scene) => {
     const numLights = Math.floor(pathLen / lightSpacing);
     
     for(let i=0; i<=numLights; i++) {
-        const t = i / numLights;
+        const t = numLights > 0 ? i / numLights : 0.5;
         const p = tunnelCurve.getPointAt(t);
         const tan = tunnelCurve.getTangentAt(t);
         
@@ -835,7 +897,7 @@ const createTunnelSignage = (scene) => {
     createSignPost(-4, -200, Math.PI/2);
 }
 
-export const createFifthAvePavement = (scene) => {
+export const createFifthAvePavement = (scene, random) => {
     const voxels = [];
     const voxelSize = 0.5;
     
@@ -887,6 +949,10 @@ export const createFifthAvePavement = (scene) => {
 
         const sidewalkH = 0.25;
 
+        const intersection = FIFTH_AVE_INTERSECTIONS.find(i => Math.abs(z - i.z) <= INTERSECTION_LAYOUT.STOP_LINE + 0.5);
+        const crossing = intersection ? { dz: z - intersection.z } : null;
+        const isCrossStreet = crossing && Math.abs(crossing.dz) < INTERSECTION_LAYOUT.STREET_HALF_WIDTH;
+
         for (let x = minX; x <= maxX; x += voxelSize) {
             const isRoad = (x >= roadMinX && x <= roadMaxX);
             const isLeftSidewalk = (x < roadMinX);
@@ -899,18 +965,24 @@ export const createFifthAvePavement = (scene) => {
             if (isRoad) {
                 let col = ((Math.floor(x*2) + Math.floor(z*2)) % 7 === 0) ? C_ASPHALT_NOISE : C_ASPHALT_BASE;
 
-                if (Math.abs(x - 9.5) < 0.1 || Math.abs(x - 10.5) < 0.1) {
+                // No lane markings across a cross street
+                const inCrossStreet = crossing && Math.abs(crossing.dz) < INTERSECTION_LAYOUT.CROSSWALK_FAR;
+
+                if (!inCrossStreet && (Math.abs(x - 9.5) < 0.1 || Math.abs(x - 10.5) < 0.1)) {
                     col = C_MARKING_YELLOW;
                 }
                 
                 const isDividerX = (Math.abs(x - 2.0) < 0.1 || Math.abs(x - 6.0) < 0.1 || Math.abs(x - 14.0) < 0.1 || Math.abs(x - 18.0) < 0.1);
-                if (isDividerX && Math.abs(z % 12) < 3) col = C_MARKING_WHITE;
-
-                const cwZ = Math.abs(z % 40); 
-                if (Math.abs(cwZ - 6) < 0.4) col = C_MARKING_WHITE; 
+                if (!inCrossStreet && isDividerX && Math.abs(z % 12) < 3) col = C_MARKING_WHITE;
 
-                if (cwZ < 3.0) {
-                    if (Math.floor(x) % 2 === 0) col = C_MARKING_WHITE;
+                if (crossing) {
+                    const adz = Math.abs(crossing.dz);
+                    if (adz >= INTERSECTION_LAYOUT.CROSSWALK_NEAR && adz <= INTERSECTION_LAYOUT.CROSSWALK_FAR) {
+                        if (Math.floor(x) % 2 === 0) col = C_MARKING_WHITE;
+                    }
+                    // Stop line on the approach side only: southbound lanes east of the median come from -Z
+                    const approach = x > 10 ? -1 : 1;
+                    if (Math.abs(crossing.dz - approach * INTERSECTION_LAYOUT.STOP_LINE) < 0.4) col = C_MARKING_WHITE;
                 }
                 
                 if (Math.abs(z % 50) < 1.0) {
@@ -924,7 +996,16 @@ export const createFifthAvePavement = (scene) => {
                 addVoxel(x, yBase, z, col);
             }
 
-            if (isLeftSidewalk || isRightSidewalk) {
+            if ((isLeftSidewalk || isRightSidewalk) && isCrossStreet) {
+                // The cross street runs through the sidewalk at road level: a center line, and a
+                // stop line across the lane coming in (north half from the west, south from the east)
+                let col = ((Math.floor(x*2) + Math.floor(z*2)) % 7 === 0) ? C_ASPHALT_NOISE : C_ASPHALT_BASE;
+                if (Math.abs(crossing.dz) < 0.25) col = C_MARKING_YELLOW;
+                const inbound = isLeftSidewalk ? crossing.dz < 0 : crossing.dz > 0;
+                const stopX = isLeftSidewalk ? roadMinX - 0.75 : roadMaxX + 0.75;
+                if (inbound && Math.abs(x - stopX) < 0.3) col = C_MARKING_WHITE;
+                addVoxel(x, yBase, z, col);
+            } else if (isLeftSidewalk || isRightSidewalk) {
                 let ySidewalk = yBase + sidewalkH;
                 
                 const isEdge = (isLeftSidewalk && x >= roadMinX - 0.5) || (isRightSidewalk && x <= roadMaxX + 0.5);
@@ -963,7 +1044,7 @@ export const createFifthAvePavement = (scene) => {
                             addVoxel(x, ySidewalk + voxelSize, z, C_SOIL); 
                             addVoxel(x, ySidewalk + voxelSize*1.5, z, C_GRASS); 
                             
-                            if (Math.random() > 0.8) {
+                            if (random.next() > 0.8) {
                                  addVoxel(x, ySidewalk + voxelSize*2.5, z, new THREE.Color('#33AA33'));
                             }
                         }
@@ -1003,7 +1084,7 @@ export const createFifthAvePavement = (scene) => {
     return mesh;
 };
 
-const createDetailedBrickBuilding = (x, z, floors, width, depth, color, scene) => {
+const createDetailedBrickBuilding = (x, z, floors, width, depth, color, scene, random) => {
     const group = new THREE.Group();
     group.position.set(x, 0, z);
 
@@ -1052,7 +1133,7 @@ const createDetailedBrickBuilding = (x, z, floors, width, depth, color, scene) =
                 mLintel.push(dummy.matrix.clone());
                 
                 dummy.position.set(wx, y + h/2, 0); dummy.updateMatrix();
-                if (Math.random() < 0.25) {
+                if (random.next() < 0.25) {
                     mLit.push(dummy.matrix.clone());
                 } else {
                     mDark.push(dummy.matrix.clone());
@@ -1095,7 +1176,7 @@ const createDetailedBrickBuilding = (x, z, floors, width, depth, color, scene) =
     if(scene) scene.add(group);
 };
 
-const createDetailedGlassTower = (x, z, floors, width, color, scene) => {
+const createDetailedGlassTower = (x, z, floors, width, color, scene, random) => {
     const group = new THREE.Group();
     group.position.set(x, 0, z);
     
@@ -1113,11 +1194,11 @@ const createDetailedGlassTower = (x, z, floors, width, color, scene) => {
     const dummy = new THREE.Object3D();
     let idx = 0;
     for(let i=0; i<roomCount; i++) {
-        if (Math.random() > 0.4) continue;
-        const f = Math.floor(Math.random() * floors);
+        if (random.next() > 0.4) continue;
+        const f = random.int(floors);
         const y = f * floorHeight + floorHeight/2;
         dummy.position.set(0, y, 0);
-        dummy.scale.set(0.8+Math.random()*0.2, 0.8, 0.8+Math.random()*0.2);
+        dummy.scale.set(0.8+random.next()*0.2, 0.8, 0.8+random.next()*0.2);
         dummy.updateMatrix();
         roomMesh.setMatrixAt(idx++, dummy.matrix);
     }
@@ -1179,27 +1260,29 @@ const createBrutalistBlock = (x, z, height, width, scene) => {
     if(scene) scene.add(group);
 }
 
-const createStackedApartments = (x, z, scene) => {
+const createStackedApartments = (x, z, scene, random) => {
     const group = new THREE.Group();
     group.position.set(x, 0, z);
     createBox(10, 60, 10, '#333', 0, 30, 0, group);
     const numBlocks = 8;
     for(let i=0; i<numBlocks; i++) {
         const y = 5 + (i * 7);
-        const w = 12 + Math.random() * 4;
-        const d = 12 + Math.random() * 4;
-        const xOff = (Math.random() - 0.5) * 4;
-        const zOff = (Math.random() - 0.5) * 4;
+        const w = 12 + random.next() * 4;
+        const d = 12 + random.next() * 4;
+        const xOff = (random.next() - 0.5) * 4;
+        const zOff = (random.next() - 0.5) * 4;
         const color = i % 2 === 0 ? '#EFEFEF' : '#DDDDDD';
         createBox(w, 6, d, color, xOff, y + 3, zOff, group);
         createBox(w + 0.2, 2, d + 0.2, '#222', xOff, y + 4, zOff, group);
-        const bx = xOff + (Math.random() > 0.5 ? w/2 : -w/2);
+        const bx = xOff + (random.next() > 0.5 ? w/2 : -w/2);
         createBox(2, 1, d * 0.8, '#555', bx, y + 1, zOff, group); 
         
         const win = createBox(2, 2, 0.2, '#88CCFF', bx, y + 2, zOff + d/2 - 0.5, group);
-        if (Math.random() > 0.5) {
+        if (random.next() > 0.5) {
              win.material = win.material.clone();
              win.material.transparent = true;
+             win.material.emissive = new THREE.Color('#FFE8B0');
+             win.material.emissiveIntensity = 0.0;
              win.userData = { isLitWindow: true };
         } else {
              win.material.transparent = true;
@@ -1236,7 +1319,7 @@ const createArmory = (x, y, z, parent) => {
     parent.add(g);
 };
 
-const createMuralAmphitheater = (x, y, z, parent) => {
+const createMuralAmphitheater = (x, y, z, parent, random) => {
     const g = new THREE.Group();
     g.position.set(x, y, z);
     g.rotation.y = -Math.PI / 3;
@@ -1269,8 +1352,8 @@ const createMuralAmphitheater = (x, y, z, parent) => {
         const numTiles = 8;
         const tileH = height / numTiles;
         for(let k=0; k<numTiles; k++) {
-            const col = colors[Math.floor(Math.random() * colors.length)];
-            const depth = 0.5 + Math.random() * 0.5;
+            const col = random.pick(colors);
+            const depth = 0.5 + random.next() * 0.5;
             createBox(segWidth * 0.95, tileH * 0.95, depth, col, 0, k*tileH + tileH/2, 1, column);
         }
         
@@ -1320,9 +1403,9 @@ const createMuralAmphitheater = (x, y, z, parent) => {
         const zPos = i * stepL;
         const grass = createBox(lawnW, stepH + 1, stepL + 0.5, '#3A5F0B', 0, yPos, zPos, lawnGroup);
         
-        if (Math.random() > 0.6) {
-             const px = (Math.random() - 0.5) * (lawnW - 5);
-             createBox(1.5, 1.5, 1.5, colors[Math.floor(Math.random()*colors.length)], px, yPos + stepH/2 + 0.75, zPos, lawnGroup);
+        if (random.next() > 0.6) {
+             const px = (random.next() - 0.5) * (lawnW - 5);
+             createBox(1.5, 1.5, 1.5, random.pick(colors), px, yPos + stepH/2 + 0.75, zPos, lawnGroup);
         }
     }
     
@@ -1335,7 +1418,7 @@ const createMuralAmphitheater = (x, y, z, parent) => {
     parent.add(g);
 };
 
-const createChihulyGarden = (x, y, z, parent) => {
+const createChihulyGarden = (x, y, z, parent, random) => {
     const g = new THREE.Group();
     g.position.set(x, y, z);
     const ghW = 20;
@@ -1365,20 +1448,20 @@ const createChihulyGarden = (x, y, z, parent) => {
         const sz = (t - 0.5) * 30;
         const sy = Math.cos(t * Math.PI * 2) * 2;
         const color = t < 0.3 ? '#FF4500' : (t < 0.6 ? '#FFA500' : '#FFFF00'); 
-        createBox(1.5, 1.5, 1.5, color, sx, sy, sz, sculpG).rotation.set(Math.random(), Math.random(), Math.random());
+        createBox(1.5, 1.5, 1.5, color, sx, sy, sz, sculpG).rotation.set(random.next(), random.next(), random.next());
     }
     g.add(sculpG);
     for(let i=0; i<20; i++) {
-        const rx = (Math.random() - 0.5) * 50;
-        const rz = (Math.random() - 0.5) * 50;
+        const rx = (random.next() - 0.5) * 50;
+        const rz = (random.next() - 0.5) * 50;
         if (Math.abs(rx) < 12 && Math.abs(rz) < 22) continue;
-        const h = 5 + Math.random() * 8;
-        const col = Math.random() > 0.5 ? '#8A2BE2' : '#4169E1'; 
+        const h = 5 + random.next() * 8;
+        const col = random.next() > 0.5 ? '#8A2BE2' : '#4169E1'; 
         createCylinder(0.2, 0.2, h, 6, col, rx, h/2, rz, g);
     }
     for(let i=0; i<10; i++) {
-        const sx = (Math.random() - 0.5) * 40;
-        const sz = (Math.random() - 0.5) * 40;
+        const sx = (random.next() - 0.5) * 40;
+        const sz = (random.next() - 0.5) * 40;
         if (Math.abs(sx) < 12 && Math.abs(sz) < 22) continue;
         createBox(1.5, 1.5, 1.5, '#FFD700', sx, 0.75, sz, g);
     }
@@ -1983,18 +2066,20 @@ const generateNeedleVoxels = () => {
 };
 
 class Elevator {
-  constructor(angle, color, speedOffset, parent, audioGenerator) {
+  constructor(angle, color, speedOffset, parent, audioGenerator, random) {
       this.angle = angle;
       this.speedOffset = speedOffset;
+      this.random = random;
       this.state = {
           y: 10,
           targetY: 415,
           velocity: 0,
           mode: 'wait',
-          waitTime: Math.random() * 5 + speedOffset
+          waitTime: random.next() * 5 + speedOffset
       };
 
       this.group = new THREE.Group();
+      this.group.userData.dynamic = true; // Rides up and down the core
       if (audioGenerator) {
           const sound = audioGenerator.createPositionalAudio('ELEVATOR', 20, 300, 0.5);
           if (sound) this.group.add(sound);
@@ -2086,6 +2171,13 @@ class Elevator {
       this.carGroup.add(this.glassMesh);
   }
 
+  setState(state) {
+      Object.assign(this.state, state);
+      this.carGroup.position.y = this.state.y;
+      const p = rotatePoint(11, 0, this.angle);
+      this.soundDummy.position.set(p.x, this.state.y + 3, p.z);
+  }
+
   update(delta) {
       const s = this.state;
       const MAX_SPEED = 15;
@@ -2109,7 +2201,7 @@ class Elevator {
              s.y = s.targetY;
              s.velocity = 0;
              s.mode = 'wait';
-             s.waitTime = 3 + Math.random() * 5;
+             s.waitTime = 3 + this.random.next() * 5;
          } else {
              s.y += s.velocity * delta;
          }
@@ -2135,7 +2227,7 @@ class Elevator {
 }
 
 class SpaceNeedle {
-    constructor(scene, x, y, z, audioGenerator) {
+    constructor(scene, x, y, z, audioGenerator, random) {
         this.group = new THREE.Group();
         this.group.position.set(x, y, z);
         this.group.scale.set(0.5, 0.5, 0.5); 
@@ -2193,9 +2285,9 @@ class SpaceNeedle {
         this.rotatingGroup.add(this.rotatingGlassMesh);
 
         this.elevators = [
-            new Elevator(60, NEEDLE_PALETTE.ELEVATOR_BLUE, 0, this.group, audioGenerator),
-            new Elevator(180, NEEDLE_PALETTE.ELEVATOR_YELLOW, 2, this.group, audioGenerator),
-            new Elevator(300, NEEDLE_PALETTE.ELEVATOR_RED, 4, this.group, audioGenerator)
+            new Elevator(60, NEEDLE_PALETTE.ELEVATOR_BLUE, 0, this.group, audioGenerator, random),
+            new Elevator(180, NEEDLE_PALETTE.ELEVATOR_YELLOW, 2, this.group, audioGenerator, random),
+            new Elevator(300, NEEDLE_PALETTE.ELEVATOR_RED, 4, this.group, audioGenerator, random)
         ];
 
         this.blinkLight = new THREE.PointLight(0xff0000, 500, 40, 2);
@@ -2216,6 +2308,23 @@ class SpaceNeedle {
         this.blinkLight.intensity = intensity;
     }
 
+    // Elevator cars and the turning restaurant, as plain data
+    getState() {
+        return {
+            time: this.time,
+            rotation: this.rotatingGroup.rotation.y,
+            elevators: this.elevators.map(e => ({ ...e.state }))
+        };
+    }
+
+    setState(state) {
+        this.time = state.time;
+        this.rotatingGroup.rotation.y = state.rotation;
+        state.elevators.forEach((s, i) => {
+            if (this.elevators[i]) this.elevators[i].setState(s);
+        });
+    }
+
     getPOV() {
         const elevator = this.elevators[0];
         const local = elevator.getCameraTarget();
@@ -2226,7 +2335,46 @@ class SpaceNeedle {
     }
 }
 
-const createTunnelPortal = (z, isNorth, scene, length=8) => {
+// Covered ramp down to parking at the end of a cross street (roads.js); vehicles vanish into
+// the dark inside
+const createGarageEntrance = (garage, scene) => {
+    const group = new THREE.Group();
+    group.position.copy(garage.door);
+    if (garage.door.x < garage.street.x) group.rotation.y = Math.PI; // Local +X points inside
+
+    const width = INTERSECTION_LAYOUT.STREET_HALF_WIDTH * 2;
+    const depth = 8;
+    const height = 4;
+    const driveway = garage.door.distanceTo(garage.street);
+
+    createBox(driveway, 0.1, width, '#252525', -driveway / 2, 0.05, 0, group);
+    createBox(depth, 0.1, width, '#111111', depth / 2, 0.05, 0, group);
+
+    // Shell, dark inside
+    createBox(depth, 0.6, width + 1, COLORS.CONCRETE_DARK, depth / 2, height + 0.3, 0, group);
+    [-1, 1].forEach(side => {
+        createBox(depth, height, 0.5, COLORS.CONCRETE_DARK, depth / 2, height / 2, side * (width / 2 + 0.25), group);
+    });
+    createBox(0.5, height, width, COLORS.CONCRETE_DARK, depth + 0.25, height / 2, 0, group);
+    createBox(0.1, height - 0.2, width - 0.2, '#050505', depth - 0.1, height / 2, 0, group);
+    createBox(depth - 0.4, 0.1, width - 0.2, '#0A0A0A', depth / 2, height - 0.1, 0, group);
+
+    // Header with a parking sign
+    createBox(0.4, 0.8, width + 1, COLORS.CONCRETE, -0.2, height - 0.2, 0, group);
+    const signZ = width / 2 - 1.2;
+    const sign = createBox(0.15, 0.8, 0.8, '#1F4E9E', -0.45, height - 0.2, signZ, group);
+    sign.material.emissive = new THREE.Color('#1F4E9E');
+    sign.material.emissiveIntensity = 0.4;
+    // "P", read from the street (local +Z is the reader's right)
+    createBox(0.05, 0.56, 0.1, '#FFFFFF', -0.55, height - 0.2, signZ - 0.15, group);
+    createBox(0.05, 0.1, 0.3, '#FFFFFF', -0.55, height + 0.03, signZ, group);
+    createBox(0.05, 0.1, 0.3, '#FFFFFF', -0.55, height - 0.2, signZ, group);
+    createBox(0.05, 0.33, 0.1, '#FFFFFF', -0.55, height - 0.085, signZ + 0.15, group);
+
+    scene.add(group);
+}
+
+const createTunnelPortal = (z, isNorth, scene, length, random) => {
     const group = new THREE.Group();
     // Center X roughly at 10 (Road is -2 to 22)
     group.position.set(10, 0, z); 
@@ -2245,8 +2393,8 @@ const createTunnelPortal = (z, isNorth, scene, length=8) => {
     
     const bushCount = Math.floor(length * 1.5);
     for(let i=0; i<bushCount; i++) {
-        const bx = (Math.random() - 0.5) * 36;
-        const bz = boxCenterZ + (Math.random() - 0.5) * (length - 3);
+        const bx = (random.next() - 0.5) * 36;
+        const bz = boxCenterZ + (random.next() - 0.5) * (length - 3);
         createBox(0.8, 0.8, 0.8, '#228822', bx, 2.0, bz, group);
     }
 
@@ -2305,8 +2453,11 @@ const createTunnelPortal = (z, isNorth, scene, length=8) => {
     scene.add(group);
 }
 
+const ESCALATOR_STEP_DROP = 0.5; // Escalator steps run this far below the handrail line
+
 class WestlakeMall {
-    constructor(parent, x, z, audioGenerator) {
+    constructor(parent, x, z, audioGenerator, random) {
+        this.random = random;
         this.group = new THREE.Group();
         this.group.position.set(x, 0, z);
         parent.add(this.group);
@@ -2324,10 +2475,22 @@ class WestlakeMall {
         this.buildShops(LEVEL_4_Y);
         this.buildVegetation(LEVEL_3_Y);
         
-        // Ambient Mall Audio
+        // Ambient Mall Audio, playing in the atrium
         if (audioGenerator) {
              const sound = audioGenerator.createPositionalAudio('MOPOP', 60, 400, 0.4); 
-             if (sound) this.group.add(sound);
+             if (sound) {
+                 sound.position.y = LEVEL_3_Y + 4;
+                 this.group.add(sound);
+             }
+
+             // The glass enclosure over the atrium, for its reverb
+             const roofY = LEVEL_4_Y + 16;
+             this.group.updateWorldMatrix(true, false);
+             const enclosure = new THREE.Box3(
+                 new THREE.Vector3(-WIDTH / 2, LEVEL_3_Y, -DEPTH / 2),
+                 new THREE.Vector3(WIDTH / 2, roofY, DEPTH / 2)
+             ).applyMatrix4(this.group.matrixWorld);
+             audioGenerator.acoustics.addZone('MALL', [enclosure]);
         }
     }
 
@@ -2371,8 +2534,8 @@ class WestlakeMall {
         for(let x=-w/2; x<w/2; x+=tSize) {
             for(let z=-d/2; z<d/2; z+=tSize) {
                 if (Math.abs(x) < 5 && Math.abs(z) < 12) continue; // Escalator Pit
-                if (Math.random() > 0.85) {
-                    const col = colors[Math.floor(Math.random() * colors.length)];
+                if (this.random.next() > 0.85) {
+                    const col = this.random.pick(colors);
                     tVoxels.push({x: x + tSize/2, y: 0.05, z: z + tSize/2, color: col});
                 }
             }
@@ -2428,7 +2591,9 @@ class WestlakeMall {
         };
         addRail(0.2, 20, -7.1, 1);
         addRail(0.2, 20, 7.1, 1);
-        addRail(14.2, 0.2, 0, -9.1);
+        // Open where the escalators arrive (x ±3.5)
+        addRail(3.6, 0.2, -5.3, -9.1);
+        addRail(3.6, 0.2, 5.3, -9.1);
         addRail(14.2, 0.2, 0, 11.1);
         
         // 4. Glass Enclosure
@@ -2526,6 +2691,11 @@ class WestlakeMall {
         const slopeGroup = new THREE.Group();
         slopeGroup.position.set(x, 0, 0);
         this.group.add(slopeGroup);
+        // Walkable from floor to floor (spectator.js): a ramp from the foot of the steps up to the landing
+        slopeGroup.userData.collisionCurve = new THREE.LineCurve3(
+            new THREE.Vector3(0, yBot - ESCALATOR_STEP_DROP, zStart), new THREE.Vector3(0, yTop, zEnd)
+        );
+        slopeGroup.userData.collisionProfile = { halfWidth: 0.9, halfHeight: 0.05, step: 0.5 };
         
         const length = zStart - zEnd;
         const height = yTop - yBot;
@@ -2563,7 +2733,7 @@ class WestlakeMall {
         for(let i=0; i<numSteps; i++) {
             const z = (i - numSteps/2) * stepDist;
             const step = new THREE.Group();
-            step.position.set(0, -0.5, z);
+            step.position.set(0, -ESCALATOR_STEP_DROP, z);
             balustrade.add(step);
             
             // Step Body (Silver)
@@ -2649,31 +2819,10 @@ class WestlakeMall {
     }
 }
 
-// --- MAIN ENVIRONMENT ---
-export function createEnvironment(scene, audioGenerator) {
-  const env = new THREE.Group();
-  
-  createPlane(2000, 2000, '#556655', 0, -20, 0, -Math.PI/2, env);
-
-  createPlane(1000, 2000, '#556655', -510, -0.1, 0, -Math.PI/2, env); 
-  createPlane(1000, 2000, '#556655', 530, -0.1, 0, -Math.PI/2, env);
-  createPlane(40, 1000, '#556655', 10, -0.1, 580, -Math.PI/2, env);
-  createPlane(40, 1000, '#556655', 10, -0.1, -730, -Math.PI/2, env);
-
-  createFifthAvePavement(env);
-
-  createTunnelGeometry(env);
-  createTunnelSignage(env); 
-  createTunnelPortal(95, false, env, 60);
-  createTunnelPortal(-215, true, env, 60);
-
-  // --- WESTLAKE MALL ---
-  const westlake = new WestlakeMall(env, 10, 50, audioGenerator);
-  animatedObjects.push(westlake);
-
-  // --- SEATTLE CENTER ---
+// --- SEATTLE CENTER STATION ---
+const createSeattleCenterStation = (x, z, parent) => {
   const seattleCenter = new THREE.Group();
-  seattleCenter.position.set(-155, 0, -280);
+  seattleCenter.position.set(x, 0, z);
   createBox(50, 2, 16, '#EEEEEE', 0, TRACK_HEIGHT - 1, 0, seattleCenter); 
   createBox(50, 1.2, 0.2, COLORS.STEEL, 0, TRACK_HEIGHT + 1, 7.8, seattleCenter).material.opacity = 0.5;
   createBox(50, 0.2, 0.4, '#C0C0C0', 0, TRACK_HEIGHT + 1.6, 7.8, seattleCenter);
@@ -2715,20 +2864,16 @@ export function createEnvironment(scene, audioGenerator) {
       spiral.add(s);
   }
   seattleCenter.add(spiral);
-  
-  createArmory(15, 0, -30, seattleCenter); 
-  createMuralAmphitheater(-70, 0, -35, seattleCenter);
-  createChihulyGarden(-40, 0, 25, seattleCenter);
-  createPacificScienceCenter(-60, 260, seattleCenter);
 
-  env.add(seattleCenter);
-
-  const needle = new SpaceNeedle(seattleCenter, -40, 0, 85, audioGenerator);
-  animatedObjects.push(needle);
+  parent.add(seattleCenter);
+  return seattleCenter;
+};
 
+// --- MOPOP ---
+const createMoPOP = (x, z, rotation, parent, audioGenerator) => {
   const mopop = new THREE.Group();
-  mopop.position.set(-70, 0, -280);
-  mopop.rotation.y = Math.PI / 4;
+  mopop.position.set(x, 0, z);
+  mopop.rotation.y = rotation;
   mopop.updateMatrix(); 
 
   const spotCount = 4;
@@ -2753,7 +2898,7 @@ export function createEnvironment(scene, audioGenerator) {
   }
 
   const relevantTrackPoints = [];
-  const mopopWorldPos = new THREE.Vector3(-70, 0, -280);
+  const mopopWorldPos = new THREE.Vector3(x, 0, z);
   [TRACK_LEFT, TRACK_RIGHT].forEach(track => {
      if (!track) return;
      const pts = track.getSpacedPoints(400); 
@@ -2794,7 +2939,7 @@ export function createEnvironment(scene, audioGenerator) {
   }
 
   createSteppedLobe(
-    scene,
+    parent,
     new THREE.Vector3(-25, 0, 0),
     { w: 18, h: 22, d: 15 }, 
     '#C5A059', 
@@ -2810,7 +2955,7 @@ export function createEnvironment(scene, audioGenerator) {
   );
 
   createSteppedLobe(
-    scene,
+    parent,
     new THREE.Vector3(-5, 0, 25),
     { w: 12, h: 18, d: 12 },
     '#D91E36', 
@@ -2825,7 +2970,7 @@ export function createEnvironment(scene, audioGenerator) {
   );
 
   createSteppedLobe(
-    scene,
+    parent,
     new THREE.Vector3(16, 0, 6),
     { w: 15, h: 28, d: 15 },
     '#7A8999', 
@@ -2841,7 +2986,7 @@ export function createEnvironment(scene, audioGenerator) {
   );
   
   createSteppedLobe(
-    scene,
+    parent,
     new THREE.Vector3(2, 0, -4),
     { w: 8, h: 32, d: 8 },
     '#111111', 
@@ -2853,100 +2998,41 @@ export function createEnvironment(scene, audioGenerator) {
     checkExclusion
   );
 
-  env.add(mopop);
-
-  const city = new THREE.Group();
-
-  const createVoxelTree = (x, z, p) => {
-      const g = new THREE.Group(); g.position.set(x, 0, z);
-      createBox(0.6, 4, 0.6, '#5C4033', 0, 2, 0, g);
-      const leavesColor = '#32CD32'; 
-      createBox(2.4, 1.2, 2.4, leavesColor, 0, 4, 0, g);
-      createBox(1.8, 1.2, 1.8, leavesColor, 0, 5, 0, g);
-      createBox(1.2, 0.8, 1.2, leavesColor, 0, 6, 0, g);
-      if(p) p.add(g);
-  };
-  
-  const createLamp = (x, z, r, p, yBase = 0) => {
-      const g = new THREE.Group(); g.position.set(x, yBase, z); g.rotation.y = r;
-      createBox(0.8, 1, 0.8, '#444', 0, 0.5, 0, g);
-      createBox(0.3, 8, 0.3, '#444', 0, 4, 0, g);
-      createBox(2.5, 0.2, 0.3, '#444', 1, 7.5, 0, g);
-      const glass = createBox(0.9, 0.5, 0.9, '#FFFFE0', 2, 7.2, 0, g);
-      glass.material.transparent = true;
-      glass.material.opacity = 0.8;
-      glass.material.emissive = new THREE.Color('#FFFFE0');
-      glass.material.emissiveIntensity = 0.8;
-      const bulb = new THREE.PointLight(0xFFAA00, 10, 30); 
-      bulb.position.set(2, 6.5, 0); 
-      bulb.userData = { nightLight: true }; 
-      g.add(bulb);
-      if(p) p.add(g);
-  };
-
-  const exclusionZonesLeft = [
-      [17.5, 42.5],   
-      [-20, 0],       
-      [-101, -79],    
-      [-160, -120],   
-      [-240, -210]    
-  ];
-  const exclusionZonesRight = [
-      [-12.5, 12.5],  
-      [30, 50],       
-      [-55, -25],     
-      [-92.5, -67.5], 
-      [-135, -105],   
-      [-172.5, -147.5], 
-      [-240, -210]    
-  ];
-
-  const isExcluded = (z, zones) => {
-      for(let zone of zones) {
-          if (z >= zone[0] - 2 && z <= zone[1] + 2) return true;
-      }
-      return false;
-  };
+  parent.add(mopop);
+  return mopop;
+};
 
-  for(let i=-3; i<12; i++) {
-      const z = 40 - (i*25);
-      
-      let y = 0;
-      if (z < -140 && z > -230) {
-          const rampLen = -90; 
-          const dist = z - (-140);
-          const t = dist / rampLen;
-          y = -12 * t;
-      } 
-      else if (z > 40 && z < 100) {
-          const rampLen = 40; 
-          const dist = z - 40;
-          const t = Math.min(1, dist / rampLen);
-          y = -12 * t;
-      }
-      y = Math.max(-12, y);
+// --- STREET FURNITURE ---
+const createVoxelTree = (x, z, p) => {
+    const g = new THREE.Group(); g.position.set(x, 0, z);
+    createBox(0.6, 4, 0.6, '#5C4033', 0, 2, 0, g);
+    const leavesColor = '#32CD32'; 
+    createBox(2.4, 1.2, 2.4, leavesColor, 0, 4, 0, g);
+    createBox(1.8, 1.2, 1.8, leavesColor, 0, 5, 0, g);
+    createBox(1.2, 0.8, 1.2, leavesColor, 0, 6, 0, g);
+    if(p) p.add(g);
+};
 
-      createLamp(-8, z, Math.PI/2, city, y);
-      if (!isExcluded(z + 12, exclusionZonesLeft)) {
-          createVoxelTree(-12, z + 12, city);
-      }
-      createLamp(28, z, -Math.PI/2, city, y);
-      if (!isExcluded(z + 12, exclusionZonesRight)) {
-          createVoxelTree(32, z + 12, city);
-      }
-  }
+const createLamp = (x, z, r, p, yBase = 0) => {
+    const g = new THREE.Group(); g.position.set(x, yBase, z); g.rotation.y = r;
+    createBox(0.8, 1, 0.8, '#444', 0, 0.5, 0, g);
+    createBox(0.3, 8, 0.3, '#444', 0, 4, 0, g);
+    createBox(2.5, 0.2, 0.3, '#444', 1, 7.5, 0, g);
+    const glass = createBox(0.9, 0.5, 0.9, '#FFFFE0', 2, 7.2, 0, g);
+    glass.material.transparent = true;
+    glass.material.opacity = 0.8;
+    glass.material.emissive = new THREE.Color('#FFFFE0');
+    glass.material.emissiveIntensity = 0.8;
+    const bulb = new THREE.PointLight(0xFFAA00, 10, 30); 
+    bulb.position.set(2, 6.5, 0); 
+    bulb.userData = { nightLight: true }; 
+    g.add(bulb);
+    if(p) p.add(g);
+};
 
-  createDetailedBrickBuilding(-25, 30, 8, 25, 25, '#8B4513', city); 
-  createDetailedBrickBuilding(-25, -90, 6, 22, 22, '#553333', city); 
-  createDetailedBrickBuilding(45, 40, 5, 25, 20, '#A0522D', city); 
-  createDetailedBrickBuilding(45, -80, 10, 25, 25, '#708090', city); 
-  createBrutalistBlock(45, -160, 40, 25, city); 
-  createDetailedGlassTower(-25, -10, 10, 20, '#88CCFF', city); 
-  createDetailedGlassTower(45, 0, 12, 25, '#AAFFAA', city); 
-  createDetailedGlassTower(45, -120, 8, 30, '#AACCDD', city); 
-  createStackedApartments(-30, -140, city);
-
-  const th = new THREE.Group(); th.position.set(45, 0, -40);
+// --- THEATER ---
+const createTheater = (x, z, parent) => {
+  const th = new THREE.Group(); th.position.set(x, 0, z);
   const thColor = '#A05040'; 
   createBox(25, 25, 30, thColor, 0, 12.5, 0, th);
   createBox(25, 40, 15, thColor, 0, 20, 7.5, th);
@@ -2959,23 +3045,117 @@ export function createEnvironment(scene, audioGenerator) {
   createBox(18, 1, 8, '#333', 0, 4, -16, th);
   createBox(0.5, 4, 0.5, '#D4AF37', 8, 2, -19, th);
   createBox(0.5, 4, 0.5, '#D4AF37', -8, 2, -19, th);
-  city.add(th);
+  parent.add(th);
+  return th;
+};
+
+// --- LAYOUT BUILDERS ---
+// One builder per entry type in data/scene.json (validated by layout.js)
+const LANDMARK_BUILDERS = {
+  westlakeMall: (e, ctx, parent) => {
+      animatedObjects.push(new WestlakeMall(parent, e.x, e.z, ctx.audioGenerator, ctx.random));
+  },
+  seattleCenterStation: (e, ctx, parent) => createSeattleCenterStation(e.x, e.z, parent),
+  armory: (e, ctx, parent) => createArmory(e.x, 0, e.z, parent),
+  muralAmphitheater: (e, ctx, parent) => createMuralAmphitheater(e.x, 0, e.z, parent, ctx.random),
+  chihulyGarden: (e, ctx, parent) => createChihulyGarden(e.x, 0, e.z, parent, ctx.random),
+  pacificScienceCenter: (e, ctx, parent) => createPacificScienceCenter(e.x, e.z, parent),
+  spaceNeedle: (e, ctx, parent) => {
+      animatedObjects.push(new SpaceNeedle(parent, e.x, 0, e.z, ctx.audioGenerator, ctx.random.fork('elevators')));
+  },
+  theater: (e, ctx) => createTheater(e.x, e.z, ctx.city),
+  newsTower: (e, ctx) => {
+      const padPos = createNewsTower(e.x, e.z, ctx.city);
+      // Pass env as collidable group
+      animatedObjects.push(new NewsHelicopter(ctx.city, padPos, ctx.audioGenerator, ctx.env));
+  }
+};
+
+const LAYOUT_BUILDERS = {
+  brickBuilding: (e, ctx) => createDetailedBrickBuilding(e.x, e.z, e.floors, e.width, e.depth, e.color, ctx.city, ctx.random),
+  glassTower: (e, ctx) => createDetailedGlassTower(e.x, e.z, e.floors, e.width, e.color, ctx.city, ctx.random),
+  brutalistBlock: (e, ctx) => createBrutalistBlock(e.x, e.z, e.height, e.width, ctx.city),
+  stackedApartments: (e, ctx) => createStackedApartments(e.x, e.z, ctx.city, ctx.random),
+  lamp: (e, ctx) => createLamp(e.x, e.z, THREE.MathUtils.degToRad(e.rotation || 0), ctx.city, e.y || 0),
+  tree: (e, ctx) => createVoxelTree(e.x, e.z, ctx.city),
+  landmark: (e, ctx) => {
+      if (e.name === 'mopop') {
+          // MoPOP rotates itself so its track clearance check stays in its own frame
+          createMoPOP(e.x, e.z, THREE.MathUtils.degToRad(e.rotation || 0), ctx.env, ctx.audioGenerator);
+          return;
+      }
+      if (!e.rotation) {
+          LANDMARK_BUILDERS[e.name](e, ctx, ctx.env);
+          return;
+      }
+      // Rotated landmarks are built at the origin of a pivot group
+      const pivot = new THREE.Group();
+      pivot.position.set(e.x, 0, e.z);
+      pivot.rotation.y = THREE.MathUtils.degToRad(e.rotation);
+      ctx.env.add(pivot);
+      LANDMARK_BUILDERS[e.name]({ ...e, x: 0, z: 0 }, ctx, pivot);
+  }
+};
+
+// Entries that are buildings, so hide sounds behind them (acoustics.js); lamps, trees and the
+// open-air Chihuly garden don't
+const OCCLUDING_TYPES = ['brickBuilding', 'glassTower', 'brutalistBlock', 'stackedApartments', 'landmark'];
+const OPEN_LANDMARKS = ['chihulyGarden'];
+
+function buildSceneLayout(entries, ctx) {
+  const parents = [ctx.city, ctx.env];
+  entries.forEach(entry => {
+      const counts = parents.map(parent => parent.children.length);
+      LAYOUT_BUILDERS[entry.type](entry, ctx);
+      // Tag what a building added, for the collision world (collision.js)
+      if (!OCCLUDING_TYPES.includes(entry.type) || OPEN_LANDMARKS.includes(entry.name)) return;
+      parents.forEach((parent, i) => parent.children.slice(counts[i]).forEach(obj => { obj.userData.occluder = true; }));
+  });
+}
+
+// --- MAIN ENVIRONMENT ---
+// `layout` is the entry list returned by parseSceneLayout (layout.js); `random` (random.js)
+// details the buildings and sets the traffic going
+export function createEnvironment(scene, audioGenerator, layout, random) {
+  const env = new THREE.Group();
   
-  createTunnelSignage(env); 
+  createPlane(2000, 2000, '#556655', 0, -20, 0, -Math.PI/2, env);
+
+  createPlane(1000, 2000, '#556655', -510, -0.1, 0, -Math.PI/2, env); 
+  createPlane(1000, 2000, '#556655', 530, -0.1, 0, -Math.PI/2, env);
+  createPlane(40, 1000, '#556655', 10, -0.1, 580, -Math.PI/2, env);
+  createPlane(40, 1000, '#556655', 10, -0.1, -730, -Math.PI/2, env);
+
+  createFifthAvePavement(env, random);
 
-  // --- NEWS TOWER & HELICOPTER ---
-  const padPos = createNewsTower(city);
-  // Pass env as collidable group
-  const heli = new NewsHelicopter(city, padPos, audioGenerator, env);
-  animatedObjects.push(heli);
+  const roads = createRoadNetwork();
+  createTunnelGeometry(env, roads, audioGenerator);
+  createTunnelSignage(env); 
+  createTunnelPortal(95, false, env, 60, random);
+  createTunnelPortal(-215, true, env, 60, random);
+  roads.garages.forEach(garage => createGarageEntrance(garage, env));
 
+  const city = new THREE.Group();
+  buildSceneLayout(layout, { env, city, audioGenerator, random });
   env.add(city);
   
-  const traffic = new TrafficSystem(city, audioGenerator);
+  // Cars spread evenly round the loop, each with its own cruising speed and a garage to get to;
+  // the taxi joins in the largest gap
+  const traffic = new TrafficSystem(roads, random.fork('traffic'));
+  const trafficColors = ['#A93226', '#1F618D', '#117A65', '#D68910', '#D35400', '#7F8C8D', '#2E4053', '#F1C40F', '#E74C3C'];
+  const NUM_CARS = 20;
+  for (let i = 0; i < NUM_CARS; i++) {
+      const color = random.pick(trafficColors);
+      const car = new TrafficCar(color, audioGenerator);
+      city.add(car.group);
+      traffic.addVehicle(car, 20 + random.next() * 8, (i / NUM_CARS) * roads.getLoopLength());
+  }
   animatedObjects.push(traffic);
 
   const heroTaxi = new HeroTaxi(scene, audioGenerator);
+  traffic.addVehicle(heroTaxi, 30);
   animatedObjects.push(heroTaxi);
 
   scene.add(env);
-}
\ No newline at end of file
+  return env;
+}
@@ -1,218 +1,656 @@
 import * as THREE from 'three';
+import { SoundBank, SOUND_RECIPES } from './soundbank.js';
+import { Acoustics } from './acoustics.js';
 
-class SoundGenerator {
+// --- MIXER ---
+// Every sound plays through one of these buses on its way to the listener, so each kind of sound
+// has its own volume and mute. The listener's master volume stays the on/off switch.
+// Shared effects (the reverbs in acoustics.js) are fed through each bus's sends, which follow
+// the bus's level.
+// Bus settings are kept in localStorage.
+
+export const MIXER_BUSES = {
+  VEHICLES: 'Vehicles',
+  AMBIENCE: 'Ambience',
+  MUSIC: 'Music',
+  RADIO: 'Radio',
+  UI: 'UI'
+};
+
+// Sound type -> bus
+const SOUND_BUSES = {
+  TRAIN: 'VEHICLES',
+  CAR: 'VEHICLES',
+  HELICOPTER: 'VEHICLES',
+  ELEVATOR: 'AMBIENCE',
+  MOPOP: 'MUSIC',
+  RADIO: 'RADIO',
+  ANNOUNCER: 'UI' // Goes with its on-screen caption
+};
+
+const MIXER_STORAGE_KEY = 'seattleMonorail.mixer';
+const MAX_BUS_VOLUME = 1.5;
+const FADE_TIME = 0.03; // Time constant of volume changes (s), so sliders don't zip
+
+export class AudioMixer extends THREE.EventDispatcher {
   constructor(listener) {
-    this.listener = listener;
+    super();
     this.context = listener.context;
-    this.buffers = {};
-    this.sounds = []; // Track all created sounds
+    this.settings = this.loadSettings();
+    this.buses = {};
+    this.sends = {}; // Bus -> effect name -> GainNode
+    Object.keys(MIXER_BUSES).forEach(bus => {
+      this.sends[bus] = {};
+      const gain = this.context.createGain();
+      gain.gain.value = this.getLevel(bus);
+      gain.connect(listener.getInput());
+      this.buses[bus] = gain;
+    });
   }
 
-  async init() {
-    this.buffers['TRAFFIC'] = this.createTrafficBuffer();
-    this.buffers['TRAIN'] = this.createTrainBuffer();
-    this.buffers['ELEVATOR'] = this.createElevatorBuffer();
-    this.buffers['MOPOP'] = this.createMoPopBuffer();
-    this.buffers['HELICOPTER'] = this.createHelicopterBuffer();
-    this.buffers['RADIO'] = this.createRadioBuffer();
+  loadSettings() {
+    const settings = {};
+    Object.keys(MIXER_BUSES).forEach(bus => { settings[bus] = { volume: 1, muted: false }; });
+    try {
+      const stored = JSON.parse(localStorage.getItem(MIXER_STORAGE_KEY) || 'null');
+      if (stored && typeof stored === 'object') {
+        Object.keys(MIXER_BUSES).forEach(bus => {
+          const saved = stored[bus];
+          if (!saved || typeof saved !== 'object') return;
+          if (typeof saved.volume === 'number' && saved.volume >= 0 && saved.volume <= MAX_BUS_VOLUME) settings[bus].volume = saved.volume;
+          if (typeof saved.muted === 'boolean') settings[bus].muted = saved.muted;
+        });
+      }
+    } catch (e) {
+      console.warn('Ignoring saved mixer settings', e);
+    }
+    return settings;
   }
 
-  createBuffer(duration, renderCallback) {
-    const sampleRate = this.context.sampleRate;
-    const buffer = this.context.createBuffer(1, duration * sampleRate, sampleRate);
-    const data = buffer.getChannelData(0);
-    renderCallback(data, sampleRate);
-    return buffer;
+  saveSettings() {
+    try {
+      localStorage.setItem(MIXER_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (e) {
+      console.warn('Could not save mixer settings', e);
+    }
   }
 
-  createTrafficBuffer() {
-    // 2 Seconds loop: Low engine rumble
-    return this.createBuffer(2.0, (data, rate) => {
-      let lastOut = 0;
-      for (let i = 0; i < data.length; i++) {
-        const t = i / rate;
-        const white = Math.random() * 2 - 1;
-        // Brown noise filter
-        const brown = (lastOut + (0.02 * white)) / 1.02;
-        lastOut = brown;
-        // Engine hum (60Hz)
-        const hum = Math.sin(t * 2 * Math.PI * 60) * 0.3;
-        data[i] = (brown * 0.5) + (hum * 0.5); 
-      }
-    });
+  // Input node of a bus, for sounds built outside createPositionalAudio
+  getBus(bus) {
+    return this.buses[bus] || null;
   }
 
-  createTrainBuffer() {
-    // 1 Second loop: Electric Whine + Track Clack
-    return this.createBuffer(1.0, (data, rate) => {
-      for (let i = 0; i < data.length; i++) {
-        const t = i / rate;
-        // Motor Whine (Sawtooth-ish)
-        const freq = 400;
-        const whine = (t * freq % 1) * 2 - 1;
-        // Track Noise
-        const track = (Math.random() * 2 - 1) * 0.2;
-        // Clacking rhythm
-        const rhythm = (Math.sin(t * Math.PI * 4) > 0.8) ? 0.3 : 0.0;
-        data[i] = (whine * 0.1) + track + (track * rhythm);
-      }
-    });
+  // Input for `bus`'s sounds into the effect `name`, at the bus's level
+  getSend(bus, name) {
+    const sends = this.sends[bus];
+    if (!sends) return null;
+    if (!sends[name]) {
+      sends[name] = this.context.createGain();
+      sends[name].gain.value = this.getLevel(bus);
+    }
+    return sends[name];
   }
 
-  createElevatorBuffer() {
-    // 4 Second loop: Heavy Machinery Hum + Wind
-    return this.createBuffer(4.0, (data, rate) => {
-      let lastNoise = 0;
-      for (let i = 0; i < data.length; i++) {
-        const t = i / rate;
-        
-        // 1. Low Drone (Motor)
-        // 60Hz fundamental + harmonic
-        const drone = Math.sin(2 * Math.PI * 60 * t) * 0.2 
-                    + Math.sin(2 * Math.PI * 120 * t) * 0.1;
-                    
-        // 2. Wind / Air Resistance (Filtered Noise)
-        const white = Math.random() * 2 - 1;
-        // Simple low-pass filter
-        const noise = (lastNoise + (0.1 * white)) / 1.1;
-        lastNoise = noise;
-        
-        // Modulate wind volume slowly to simulate movement variations
-        const windSwell = 0.5 + 0.5 * Math.sin(2 * Math.PI * 0.25 * t);
-        
-        // 3. High Pitch Whine (Electric Actuator)
-        const whine = Math.sin(2 * Math.PI * 800 * t) * 0.05;
-
-        data[i] = (drone * 0.6) + (noise * 2.0 * windSwell) + whine; 
-      }
-    });
+  // Send a three.js Audio through `bus` instead of straight to the listener
+  assign(sound, bus) {
+    const input = this.buses[bus];
+    if (!input) return;
+    sound.gain.disconnect();
+    sound.gain.connect(input);
   }
 
-  createMoPopBuffer() {
-    // 2.0 Second loop: Synth Drum Beat (120 BPM)
-    return this.createBuffer(2.0, (data, rate) => {
-      for (let i = 0; i < data.length; i++) {
-        const t = i / rate;
-        
-        // 1. KICK (Simple 4/4) - Hits at 0.0, 0.5, 1.0, 1.5
-        const beatDuration = 0.5; 
-        const kickT = t % beatDuration;
-        let kick = 0;
-        if (kickT < 0.2) {
-             const env = Math.exp(-kickT * 20); // Exponential decay
-             const freq = 120 * Math.exp(-kickT * 25); // Pitch drop
-             kick = Math.sin(2 * Math.PI * freq * kickT) * env;
-        }
-
-        // 2. SNARE (Backbeat) - Hits at 0.5, 1.5
-        const barT = t % 2.0; 
-        let snare = 0;
-        let snareT = -1;
-        if (barT >= 0.5 && barT < 1.0) snareT = barT - 0.5;
-        if (barT >= 1.5 && barT < 2.0) snareT = barT - 1.5;
-
-        if (snareT >= 0 && snareT < 0.2) {
-            const env = Math.exp(-snareT * 30);
-            const noise = (Math.random() * 2 - 1);
-            snare = noise * env;
-        }
-
-        // 3. HI-HAT (16th notes)
-        const sixteenthT = t % 0.125;
-        let hat = 0;
-        if (sixteenthT < 0.05) {
-             const env = Math.exp(-sixteenthT * 80); // Very short
-             const noise = (Math.random() * 2 - 1);
-             hat = noise * env * 0.4; 
-        }
-        
-        // 4. SYNTH ARPEGGIO (Square wave bubbling)
-        const noteIdx = Math.floor(t / 0.125);
-        // Pentatonic sequence
-        const notes = [220, 261, 329, 392, 440, 392, 329, 261, 220, 196, 220, 261, 329, 440, 523, 440];
-        const freq = notes[noteIdx % notes.length];
-        const synthT = sixteenthT;
-        let synth = 0;
-        if (synthT < 0.1) {
-             const env = Math.exp(-synthT * 10);
-             const osc = (Math.sin(2 * Math.PI * freq * t) > 0 ? 1 : -1); // Square wave
-             const sine = Math.sin(2 * Math.PI * freq * t);
-             // Mix square and sine for "plucky" sound
-             synth = (osc * 0.3 + sine * 0.7) * env * 0.15;
-        }
-
-        data[i] = (kick * 0.8) + (snare * 0.5) + (hat * 0.3) + synth;
-      }
-    });
+  getVolume(bus) {
+    return this.settings[bus] ? this.settings[bus].volume : 0;
   }
 
-  createHelicopterBuffer() {
-    // 0.4s Loop for Fast Rotor
-    return this.createBuffer(0.4, (data, rate) => {
-      for (let i = 0; i < data.length; i++) {
-        const t = i / rate;
-        // White noise base
-        const white = Math.random() * 2 - 1;
-        // Amplitude Modulation for the "Chop"
-        // 12 Hz chop frequency
-        const chop = (Math.sin(2 * Math.PI * 12 * t) > 0.0) ? 1.0 : 0.3;
-        // Add a low sine for the engine drone
-        const drone = Math.sin(2 * Math.PI * 100 * t) * 0.1;
-        
-        data[i] = (white * 0.4 * chop) + drone;
-      }
+  isMuted(bus) {
+    return this.settings[bus] ? this.settings[bus].muted : false;
+  }
+
+  getLevel(bus) {
+    return this.isMuted(bus) ? 0 : this.getVolume(bus);
+  }
+
+  setVolume(bus, volume) {
+    if (!this.settings[bus] || typeof volume !== 'number' || isNaN(volume)) return;
+    this.settings[bus].volume = THREE.MathUtils.clamp(volume, 0, MAX_BUS_VOLUME);
+    this.applyLevel(bus);
+  }
+
+  setMuted(bus, muted) {
+    if (!this.settings[bus]) return;
+    this.settings[bus].muted = !!muted;
+    this.applyLevel(bus);
+  }
+
+  applyLevel(bus) {
+    const level = this.getLevel(bus);
+    const time = this.context.currentTime;
+    this.buses[bus].gain.setTargetAtTime(level, time, FADE_TIME);
+    Object.values(this.sends[bus]).forEach(send => send.gain.setTargetAtTime(level, time, FADE_TIME));
+    this.saveSettings();
+    this.dispatchEvent({ type: 'change', bus });
+  }
+}
+
+class SoundGenerator {
+  constructor(listener, mixer, acoustics) {
+    this.listener = listener;
+    this.mixer = mixer;
+    this.acoustics = acoustics;
+    this.context = listener.context;
+    this.buffers = { NOISE: this.createNoiseBuffer() };
+    this.waiting = {}; // Sound type -> sounds made before their buffer was ready
+    this.started = false;
+    this.sounds = []; // Track all created sounds
+    this.voices = []; // Vehicle voices, synthesized live
+    this.listenerMotion = createMotion();
+  }
+
+  // Loads (or renders) the rest of the buffers in the background. Sounds can be made before
+  // then: each gets its buffer, and starts if sound is already on, as soon as it arrives.
+  async init() {
+    const bank = new SoundBank(this.context, this.buffers['NOISE']);
+    await Promise.all(Object.keys(SOUND_RECIPES).map(type => bank.load(type)
+      .then(buffer => this.addBuffer(type, buffer))
+      .catch(e => console.warn(`Sound ${type} unavailable`, e))));
+  }
+
+  addBuffer(type, buffer) {
+    this.buffers[type] = buffer;
+    this.acoustics.addBuffer(type, buffer);
+    (this.waiting[type] || []).forEach(sound => {
+      sound.setBuffer(buffer);
+      if (this.started) sound.play();
     });
+    delete this.waiting[type];
   }
 
-  createRadioBuffer() {
-    // 12s Loop for Chatter
-    return this.createBuffer(12.0, (data, rate) => {
-      for (let i = 0; i < data.length; i++) {
-        const t = i / rate;
-        data[i] = 0;
-        
-        // Create 2 bursts of chatter
-        const isBurst1 = t > 2.0 && t < 4.5;
-        const isBurst2 = t > 8.0 && t < 9.5;
-        
-        if (isBurst1 || isBurst2) {
-            // Static
-            const staticNoise = (Math.random() * 2 - 1) * 0.1;
-            // "Voice" - Amplitude modulated noise with varying frequencies to sound like garbled speech
-            const mod1 = Math.sin(t * 20); // Syllable-ish rate
-            const mod2 = Math.sin(t * 300); // Tonal
-            const voice = staticNoise * mod1 * mod2 * 4.0;
-            
-            // Bandpass filter approximation (just dampen it)
-            data[i] = (voice + staticNoise) * 0.2;
-        }
-      }
+  createBuffer(duration, renderCallback) {
+    const sampleRate = this.context.sampleRate;
+    const buffer = this.context.createBuffer(1, duration * sampleRate, sampleRate);
+    const data = buffer.getChannelData(0);
+    renderCallback(data, sampleRate);
+    return buffer;
+  }
+
+  createNoiseBuffer() {
+    // 2 Second loop: White noise, filtered into rolling and tyre noise by the vehicle voices
+    // and into everything noisy in the sound bank
+    return this.createBuffer(2.0, (data) => {
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
     });
   }
 
   createPositionalAudio(type, refDistance, maxDistance, volume = 1.0) {
-     if (!this.buffers[type]) return null;
+     if (!SOUND_RECIPES[type]) return null;
      
      const sound = new THREE.PositionalAudio(this.listener);
-     sound.setBuffer(this.buffers[type]);
+     if (this.buffers[type]) {
+       sound.setBuffer(this.buffers[type]);
+     } else {
+       (this.waiting[type] = this.waiting[type] || []).push(sound);
+     }
      sound.setRefDistance(refDistance); 
      sound.setMaxDistance(maxDistance);
      sound.setLoop(true);
      sound.setVolume(volume);
+     this.mixer.assign(sound, SOUND_BUSES[type]);
+     this.acoustics.add(sound, SOUND_BUSES[type]);
      
      this.sounds.push(sound); // Track it
      
      return sound;
   }
 
+  // A live vehicle sound ('TRAIN' or 'CAR'), driven by how it moves once added to a vehicle
+  createVehicleSound(type, refDistance, maxDistance, volume = 1.0) {
+     const Voice = VOICE_TYPES[type];
+     if (!Voice || !this.buffers['NOISE']) return null;
+
+     const sound = new THREE.PositionalAudio(this.listener);
+     sound.setRefDistance(refDistance);
+     sound.setMaxDistance(maxDistance);
+     sound.setVolume(volume);
+     const voice = new Voice(this, sound);
+     sound.setNodeSource(voice.output);
+     this.mixer.assign(sound, SOUND_BUSES[type]);
+     this.acoustics.add(sound, SOUND_BUSES[type]);
+
+     this.voices.push(voice);
+     return sound;
+  }
+
+  // A train's door chimes and announcements: add `.sound` to the car, then announce()
+  createAnnouncer(refDistance, maxDistance, volume = 1.0) {
+     const sound = new THREE.PositionalAudio(this.listener);
+     sound.setRefDistance(refDistance);
+     sound.setMaxDistance(maxDistance);
+     sound.setVolume(volume);
+     const announcer = new Announcer(this, sound);
+     sound.setNodeSource(announcer.output);
+     this.mixer.assign(sound, SOUND_BUSES['ANNOUNCER']);
+     this.acoustics.add(sound, SOUND_BUSES['ANNOUNCER']);
+     return announcer;
+  }
+
   startAll() {
-      // Start all sounds that aren't playing
+      // Start all sounds that aren't playing (the vehicle voices run from the start)
+      this.started = true;
       this.sounds.forEach(sound => {
-          if (!sound.isPlaying) {
+          if (!sound.isPlaying && sound.buffer) {
               sound.play();
           }
       });
   }
+
+  // Once a frame, after the camera has moved
+  update(delta) {
+      if (isNaN(delta) || delta <= 0) return;
+      this.listener.getWorldPosition(_position);
+      followMotion(this.listenerMotion, _position, delta);
+      this.voices.forEach(voice => voice.update(delta, this.listenerMotion));
+      this.acoustics.update(delta, this.listenerMotion.position);
+  }
+}
+
+// --- VEHICLE VOICES ---
+// Trains and cars are synthesized as they go instead of looping a recording. Each voice works
+// out its speed and acceleration from where its sound is in the world, so it follows whatever
+// moves the vehicle (the timetable, traffic, the player):
+//   TRAIN  motor whine rising with speed and louder under power or braking, rolling noise, a
+//          clack from each bogie at every beam joint passed, brake squeal slowing into stations
+//   CAR    engine note running up through the gears, tyre roar, tyre squeal under hard braking
+// Both are Doppler shifted against the listener on the camera.
+
+const SPEED_OF_SOUND = 343; // m/s
+const MAX_DOPPLER = 0.3; // Most the pitch moves either way (fraction)
+const TELEPORT_SPEED = 120; // Faster than this between frames is a jump (camera cut, replay seek), not motion (m/s)
+const MOTION_RESPONSE = 8; // How quickly measured velocity follows (1/s)
+const GLIDE = 0.05; // Time constant of parameter changes (s)
+
+const TRAIN_VOICE = {
+  WHINE_BASE: 70, // Hz at a standstill
+  WHINE_PER_SPEED: 22, // Hz per m/s
+  FULL_LOAD: 1.3, // Acceleration at full motor current (m/s²)
+  JOINT_SPACING: 24, // m between guideway beam joints
+  BOGIE_SPACING: 2.6, // m between a car's two bogies
+  TOP_SPEED: 18, // m/s
+  SQUEAL_FREQ: 3100, // Hz
+  SQUEAL_SPEED: 8, // Brakes squeal below this (m/s)
+  BRAKING: 0.4 // Slowing faster than this counts as braking (m/s²)
+};
+
+const CAR_VOICE = {
+  IDLE_RPM: 800,
+  GEAR_TOPS: [7, 14, 22, 32], // m/s at the top of each gear
+  LOW_RPM: 1500, // Just after an upshift
+  HIGH_RPM: 4200, // Just before one
+  CYLINDERS: 4,
+  FULL_THROTTLE: 3, // Acceleration with the pedal down (m/s²)
+  TOP_SPEED: 25, // m/s
+  SQUEAL_FREQ: 1700, // Hz
+  SQUEAL_DECEL: 5 // Tyres squeal braking harder than this (m/s²)
+};
+
+const _position = new THREE.Vector3();
+const _step = new THREE.Vector3();
+const _toListener = new THREE.Vector3();
+
+const createMotion = () => ({ position: new THREE.Vector3(), velocity: new THREE.Vector3(), ready: false });
+
+// Velocity from one frame's movement, smoothed, ignoring jumps
+const followMotion = (motion, position, delta) => {
+  if (motion.ready) {
+    _step.subVectors(position, motion.position).divideScalar(delta);
+    if (_step.length() > TELEPORT_SPEED) _step.copy(motion.velocity);
+    motion.velocity.lerp(_step, 1 - Math.exp(-MOTION_RESPONSE * delta));
+  }
+  motion.position.copy(position);
+  motion.ready = true;
+};
+
+const glide = (param, value, time) => param.setTargetAtTime(value, time, GLIDE);
+
+class VehicleVoice {
+  constructor(generator, sound) {
+    this.generator = generator;
+    this.sound = sound;
+    this.context = generator.context;
+    this.output = this.context.createGain();
+    this.motion = createMotion();
+    this.speed = 0;
+    this.acceleration = 0;
+  }
+
+  // A looping noise source through a filter into its own gain
+  createNoise(filterType) {
+    const ctx = this.context;
+    const source = ctx.createBufferSource();
+    source.buffer = this.generator.buffers['NOISE'];
+    source.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = filterType;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    source.connect(filter).connect(gain).connect(this.output);
+    // Each vehicle starts somewhere else in the loop, so they don't phase together
+    source.start(0, Math.random() * source.buffer.duration);
+    return { source, filter, gain };
+  }
+
+  createTone(type, frequency, destination = this.output) {
+    const osc = this.context.createOscillator();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    const gain = this.context.createGain();
+    gain.gain.value = 0;
+    osc.connect(gain).connect(destination);
+    osc.start();
+    return { osc, gain };
+  }
+
+  // Pitch factor for the listener hearing this vehicle
+  getDoppler(listener) {
+    _toListener.subVectors(listener.position, this.motion.position);
+    const distance = _toListener.length();
+    if (distance < 1e-3) return 1;
+    _toListener.divideScalar(distance);
+    const doppler = (SPEED_OF_SOUND - listener.velocity.dot(_toListener)) / (SPEED_OF_SOUND - this.motion.velocity.dot(_toListener));
+    return THREE.MathUtils.clamp(doppler, 1 - MAX_DOPPLER, 1 + MAX_DOPPLER);
+  }
+
+  update(delta, listener) {
+    // Not on a vehicle yet
+    if (!this.sound.parent) return;
+    this.sound.getWorldPosition(_position);
+    followMotion(this.motion, _position, delta);
+    const speed = this.motion.velocity.length();
+    const change = (speed - this.speed) / delta;
+    this.acceleration += (change - this.acceleration) * (1 - Math.exp(-MOTION_RESPONSE * delta));
+    this.speed = speed;
+    const time = this.context.currentTime;
+    // Quiet while the vehicle is out of sight (cars parked in a garage)
+    glide(this.output.gain, this.sound.parent.visible ? 1 : 0, time);
+    this.render(delta, this.getDoppler(listener), time);
+  }
+}
+
+class TrainVoice extends VehicleVoice {
+  constructor(generator, sound) {
+    super(generator, sound);
+    const ctx = this.context;
+    // A sawtooth softened into a motor whine
+    const whineFilter = ctx.createBiquadFilter();
+    whineFilter.type = 'lowpass';
+    whineFilter.frequency.value = 1800;
+    whineFilter.connect(this.output);
+    this.whine = this.createTone('sawtooth', TRAIN_VOICE.WHINE_BASE, whineFilter);
+
+    this.rolling = this.createNoise('bandpass');
+    this.rolling.filter.Q.value = 0.8;
+
+    this.squeal = this.createTone('sine', TRAIN_VOICE.SQUEAL_FREQ);
+    // A wobble in the squeal
+    this.wobble = ctx.createOscillator();
+    this.wobble.frequency.value = 7;
+    const wobbleDepth = ctx.createGain();
+    wobbleDepth.gain.value = 35;
+    this.wobble.connect(wobbleDepth).connect(this.squeal.osc.frequency);
+    this.wobble.start();
+
+    this.clacks = ctx.createGain();
+    this.clacks.connect(this.output);
+    this.sinceJoint = 0; // m travelled since the last joint
+  }
+
+  render(delta, doppler, time) {
+    const V = TRAIN_VOICE;
+    const speed = this.speed;
+    const moving = THREE.MathUtils.clamp(speed / 2, 0, 1);
+    const load = THREE.MathUtils.clamp(Math.abs(this.acceleration) / V.FULL_LOAD, 0, 1);
+
+    glide(this.whine.osc.frequency, (V.WHINE_BASE + V.WHINE_PER_SPEED * speed) * doppler, time);
+    glide(this.whine.gain.gain, (0.03 + 0.07 * load) * moving, time);
+
+    glide(this.rolling.source.playbackRate, doppler, time);
+    glide(this.rolling.filter.frequency, 180 + 45 * speed, time);
+    glide(this.rolling.gain.gain, 0.35 * Math.min(1, speed / V.TOP_SPEED), time);
+
+    const braking = THREE.MathUtils.clamp((-this.acceleration - V.BRAKING) / V.FULL_LOAD, 0, 1);
+    const squealing = speed > 0.3 && speed < V.SQUEAL_SPEED ? braking * (1 - speed / V.SQUEAL_SPEED) : 0;
+    glide(this.squeal.osc.frequency, V.SQUEAL_FREQ * doppler, time);
+    glide(this.squeal.gain.gain, 0.06 * squealing, time);
+
+    // Over a joint: one clack per bogie, the second as the trailing bogie reaches it
+    this.sinceJoint += speed * delta;
+    if (this.sinceJoint >= V.JOINT_SPACING) {
+      this.sinceJoint %= V.JOINT_SPACING;
+      if (this.context.state === 'running' && speed > 0.5) {
+        const level = 0.25 + 0.5 * Math.min(1, speed / V.TOP_SPEED);
+        this.clack(time, level, doppler);
+        this.clack(time + V.BOGIE_SPACING / speed, level, doppler);
+      }
+    }
+  }
+
+  clack(time, level, doppler) {
+    if (!this.generator.buffers['CLACK']) return;
+    const source = this.context.createBufferSource();
+    source.buffer = this.generator.buffers['CLACK'];
+    source.playbackRate.value = doppler;
+    const gain = this.context.createGain();
+    gain.gain.value = level;
+    source.connect(gain).connect(this.clacks);
+    source.start(time);
+  }
+}
+
+class CarVoice extends VehicleVoice {
+  constructor(generator, sound) {
+    super(generator, sound);
+    const ctx = this.context;
+    // Firing note and its octave, through a low-pass for the exhaust
+    this.engineFilter = ctx.createBiquadFilter();
+    this.engineFilter.type = 'lowpass';
+    this.engineFilter.connect(this.output);
+    this.engine = this.createTone('sawtooth', 30, this.engineFilter);
+    this.octave = this.createTone('square', 60, this.engineFilter);
+
+    this.tyres = this.createNoise('lowpass');
+    this.squeal = this.createTone('triangle', CAR_VOICE.SQUEAL_FREQ);
+  }
+
+  getRpm(speed) {
+    const V = CAR_VOICE;
+    if (speed < 0.5) return V.IDLE_RPM;
+    let low = 0;
+    for (let gear = 0; gear < V.GEAR_TOPS.length; gear++) {
+      const top = V.GEAR_TOPS[gear];
+      if (speed <= top || gear === V.GEAR_TOPS.length - 1) {
+        const u = Math.min(1, (speed - low) / (top - low));
+        return THREE.MathUtils.lerp(gear === 0 ? V.IDLE_RPM : V.LOW_RPM, V.HIGH_RPM, u);
+      }
+      low = top;
+    }
+    return V.HIGH_RPM;
+  }
+
+  render(delta, doppler, time) {
+    const V = CAR_VOICE;
+    const speed = this.speed;
+    const rpm = this.getRpm(speed);
+    const firing = rpm / 60 * V.CYLINDERS / 2; // Four-stroke: every cylinder fires every other turn
+    const throttle = THREE.MathUtils.clamp(this.acceleration / V.FULL_THROTTLE, 0, 1);
+
+    glide(this.engine.osc.frequency, firing * doppler, time);
+    glide(this.octave.osc.frequency, firing * 2 * doppler, time);
+    glide(this.engineFilter.frequency, 250 + rpm * 0.15 + throttle * 400, time);
+    glide(this.engine.gain.gain, 0.25 + 0.2 * throttle, time);
+    glide(this.octave.gain.gain, 0.05 + 0.1 * throttle, time);
+
+    glide(this.tyres.source.playbackRate, doppler, time);
+    glide(this.tyres.filter.frequency, 300 + 60 * speed, time);
+    glide(this.tyres.gain.gain, 0.3 * Math.min(1, speed / V.TOP_SPEED), time);
+
+    const squealing = speed > 2 && -this.acceleration > V.SQUEAL_DECEL ? 1 : 0;
+    glide(this.squeal.osc.frequency, V.SQUEAL_FREQ * doppler, time);
+    glide(this.squeal.gain.gain, 0.04 * squealing, time);
+  }
+}
+
+const VOICE_TYPES = { TRAIN: TrainVoice, CAR: CarVoice };
+
+// --- ANNOUNCER ---
+// There's no speech engine: the voice is a buzz at speaking pitch through two formant filters,
+// stepping through the vowels of the text a syllable at a time with a hiss for each consonant.
+// It has the rhythm and tune of a PA announcement, and the caption carries the words.
+
+const ANNOUNCER = {
+  NOTE_SPACING: 0.45, // s between chime notes
+  NOTE_RING: 1.4, // s a chime note rings for
+  VOICE_DELAY: 0.7, // s from the last chime note to the voice
+  SYLLABLE: 0.16, // s
+  WORD_GAP: 0.06, // s
+  SENTENCE_GAP: 0.35, // s
+  PITCH: 165, // Hz at the start of a sentence
+  PITCH_FALL: 0.25 // Fraction the pitch falls by the end of one
+};
+
+// First two formants (Hz) of each vowel
+const FORMANTS = {
+  a: [730, 1090],
+  e: [530, 1840],
+  i: [300, 2200],
+  o: [570, 840],
+  u: [330, 1000],
+  y: [300, 2200]
+};
+
+// Sentences of words of syllables, a syllable being a run of vowels (a word without one gets one)
+const toSentences = (text) => text.split(/[.!?]+/)
+  .map(sentence => sentence.toLowerCase().split(/[^a-z]+/).filter(Boolean)
+    .map(word => (word.match(/[aeiouy]+/g) || ['e']).map(run => run[0])))
+  .filter(words => words.length > 0);
+
+// When everything in an announcement happens, in seconds from its start:
+// { notes: [t], syllables: [{ t, vowel, pitch }], duration }
+export const planAnnouncement = (text, chime) => {
+  const A = ANNOUNCER;
+  const notes = chime.map((_, i) => i * A.NOTE_SPACING);
+  const chimeEnd = notes.length > 0 ? notes[notes.length - 1] + A.NOTE_RING : 0;
+  const syllables = [];
+  let t = notes.length > 0 ? notes[notes.length - 1] + A.VOICE_DELAY : 0;
+  if (text) {
+    toSentences(text).forEach(words => {
+      const count = words.reduce((n, word) => n + word.length, 0);
+      let k = 0;
+      words.forEach(word => {
+        word.forEach(vowel => {
+          syllables.push({ t, vowel, pitch: A.PITCH * (1 - A.PITCH_FALL * k / count) });
+          t += A.SYLLABLE;
+          k++;
+        });
+        t += A.WORD_GAP;
+      });
+      t += A.SENTENCE_GAP;
+    });
+  }
+  return { notes, syllables, duration: Math.max(chimeEnd, syllables.length > 0 ? t : 0) };
+};
+
+class Announcer {
+  constructor(generator, sound) {
+    this.generator = generator;
+    this.sound = sound;
+    this.context = generator.context;
+    this.output = this.context.createGain();
+    // Small speakers: not much below 300Hz or above 3.4kHz
+    this.speaker = this.context.createBiquadFilter();
+    this.speaker.type = 'bandpass';
+    this.speaker.frequency.value = 1000;
+    this.speaker.Q.value = 0.35;
+    this.speaker.connect(this.output);
+    this.busyUntil = 0;
+  }
+
+  // Chime the notes (Hz), then say `text` (may be null). Returns how long it lasts (s), which
+  // the caption needs whether or not there's sound
+  announce(text, chime) {
+    const plan = planAnnouncement(text, chime);
+    const time = this.context.currentTime;
+    // Still finishing the last one: a replay seek can run through several stops at once
+    if (this.context.state !== 'running' || time < this.busyUntil) return plan.duration;
+    this.busyUntil = time + plan.duration;
+    chime.forEach((frequency, i) => this.ring(time + plan.notes[i], frequency));
+    if (plan.syllables.length > 0) this.speak(time, plan);
+    return plan.duration;
+  }
+
+  // A struck bell: the note and its inharmonic partial, dying away
+  ring(time, frequency) {
+    const ctx = this.context;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(0.35, time + 0.005);
+    gain.gain.setTargetAtTime(0, time + 0.005, ANNOUNCER.NOTE_RING / 4);
+    gain.connect(this.speaker);
+    [[1, 1], [2.76, 0.3]].forEach(([ratio, level]) => {
+      const osc = ctx.createOscillator();
+      osc.frequency.value = frequency * ratio;
+      const partial = ctx.createGain();
+      partial.gain.value = level;
+      osc.connect(partial).connect(gain);
+      osc.start(time);
+      osc.stop(time + ANNOUNCER.NOTE_RING);
+    });
+  }
+
+  speak(time, plan) {
+    const ctx = this.context;
+    const start = time + plan.syllables[0].t;
+    const end = time + plan.duration;
+
+    const voice = ctx.createGain();
+    voice.gain.value = 0;
+    voice.connect(this.speaker);
+    const glottis = ctx.createOscillator();
+    glottis.type = 'sawtooth';
+    const formants = [6, 8].map((Q, i) => {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.Q.value = Q;
+      const level = ctx.createGain();
+      level.gain.value = i === 0 ? 1 : 0.6;
+      glottis.connect(filter).connect(level).connect(voice);
+      return filter;
+    });
+
+    const hiss = ctx.createBufferSource();
+    hiss.buffer = this.generator.buffers['NOISE'];
+    hiss.loop = true;
+    const hissFilter = ctx.createBiquadFilter();
+    hissFilter.type = 'highpass';
+    hissFilter.frequency.value = 2500;
+    const hissGain = ctx.createGain();
+    hissGain.gain.value = 0;
+    hiss.connect(hissFilter).connect(hissGain).connect(this.speaker);
+
+    plan.syllables.forEach(({ t, vowel, pitch }) => {
+      const at = time + t;
+      glottis.frequency.setTargetAtTime(pitch, at, 0.03);
+      FORMANTS[vowel].forEach((frequency, i) => formants[i].frequency.setTargetAtTime(frequency, at, 0.025));
+      hissGain.gain.setValueAtTime(0.12, at);
+      hissGain.gain.setTargetAtTime(0, at, 0.015);
+      voice.gain.setTargetAtTime(0.5, at + 0.02, 0.02);
+      voice.gain.setTargetAtTime(0, at + ANNOUNCER.SYLLABLE * 0.75, 0.025);
+    });
+
+    glottis.start(start);
+    glottis.stop(end);
+    hiss.start(start, Math.random() * hiss.buffer.duration);
+    hiss.stop(end);
+  }
 }
 
 export const setupAudio = (camera) => {
@@ -222,8 +660,10 @@ export const setupAudio = (camera) => {
     // Start muted
     listener.setMasterVolume(0);
 
-    const generator = new SoundGenerator(listener);
+    const mixer = new AudioMixer(listener);
+    const acoustics = new Acoustics(listener, mixer);
+    const generator = new SoundGenerator(listener, mixer, acoustics);
     generator.init();
 
-    return { listener, generator };
+    return { listener, generator, mixer, acoustics };
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+// --- FLIGHT PLAN ---
+// A looping route for the news helicopter when nobody is flying it (data/flightplan.json).
+// Waypoints are flown in order; each has an altitude (meters above sea level) and a hover time
+// in seconds (0 flies straight through). After the last one the aircraft returns to its pad,
+// lands, and waits `turnaround` seconds before taking off again.
+
+const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+const isNonNegative = (v) => isFiniteNumber(v) && v >= 0;
+
+export class FlightPlan {
+    constructor(data) {
+        FlightPlan.validate(data);
+        this.cruiseSpeed = data.cruiseSpeed;
+        this.takeoffHeight = data.takeoffHeight;
+        this.turnaround = data.turnaround;
+        this.waypoints = data.waypoints.map((wp, i) => ({
+            name: wp.name || `Waypoint ${i + 1}`,
+            position: new THREE.Vector3(wp.x, wp.altitude, wp.z),
+            hover: wp.hover || 0
+        }));
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('FlightPlan: expected an object');
+        if (!(data.cruiseSpeed > 0)) throw new Error('FlightPlan: cruiseSpeed must be positive');
+        if (!(data.takeoffHeight > 0)) throw new Error('FlightPlan: takeoffHeight must be positive');
+        if (!isNonNegative(data.turnaround)) throw new Error('FlightPlan: turnaround must be a non-negative number');
+        if (!Array.isArray(data.waypoints) || data.waypoints.length === 0) {
+            throw new Error('FlightPlan: waypoints must be a non-empty array');
+        }
+
+        data.waypoints.forEach((wp, i) => {
+            if (!wp || typeof wp !== 'object') throw new Error(`FlightPlan: waypoints[${i}] must be an object`);
+            ['x', 'z', 'altitude'].forEach(key => {
+                if (!isFiniteNumber(wp[key])) throw new Error(`FlightPlan: waypoints[${i}].${key} must be a number`);
+            });
+            if (wp.hover !== undefined && !isNonNegative(wp.hover)) {
+                throw new Error(`FlightPlan: waypoints[${i}].hover must be a non-negative number`);
+            }
+        });
+    }
+}
+
+// --- AUTOPILOT ---
+// Flies a FlightPlan through the same axes as FlightInput (flightinput.js), so the helicopter's
+// own physics, collisions and banking apply exactly as they do for a pilot.
+//   PARKED -> TAKEOFF -> ENROUTE <-> HOVER -> RETURN -> LANDING -> PARKED
+
+const ARRIVAL_RADIUS = 12; // Fly-through waypoints count as reached inside this (m)
+const HOVER_RADIUS = 4; // Hover clock only runs once settled over the spot (m)
+const PAD_RADIUS = 1.5; // Horizontal error allowed before descending onto the pad (m)
+const BRAKING = 3.0; // Deceleration planned into the approach (m/s²)
+const VELOCITY_GAIN = 0.15; // Stick per m/s of velocity error
+const CLIMB_GAIN = 0.1; // Collective per meter of altitude error
+const CLIMB_DAMPING = 0.15; // Collective per m/s of vertical speed
+const TURN_RATE_GAIN = 1.2; // Turn rate (rad/s) per radian of heading error
+const YAW_GAIN = 3.0;
+const LANDING_SINK = 1.5; // Final descent rate (m/s)
+const TOUCHDOWN_HEIGHT = 0.3; // Skids within this of the pad altitude count as landed (m)
+const SPOOL_UP_SPEED = 18; // Rotor speed needed before lifting off (the helicopter targets 20)
+
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+export class Autopilot {
+    constructor(helicopter, plan) {
+        this.helicopter = helicopter;
+        this.plan = plan;
+        this.state = 'PARKED';
+        this.waypointIndex = 0;
+        this.timer = plan.turnaround; // Parked: until takeoff. Hover: until moving on.
+
+        // A crash puts the aircraft back on the pad; start the turnaround from there
+        helicopter.addEventListener('reset', () => {
+            this.state = 'PARKED';
+            this.timer = this.plan.turnaround;
+        });
+    }
+
+    isFlying() {
+        return this.state !== 'PARKED';
+    }
+
+    getWaypoint() {
+        return this.plan.waypoints[this.waypointIndex] || null;
+    }
+
+    getPadApproach() {
+        const pad = this.helicopter.landingPos;
+        return new THREE.Vector3(pad.x, pad.y + this.plan.takeoffHeight, pad.z);
+    }
+
+    horizontalDistance(target) {
+        const p = this.helicopter.group.position;
+        return Math.hypot(target.x - p.x, target.z - p.z);
+    }
+
+    nextWaypoint() {
+        this.waypointIndex++;
+        this.state = this.getWaypoint() ? 'ENROUTE' : 'RETURN';
+    }
+
+    // Advance the route; called every frame the aircraft is not manually flown
+    update(delta) {
+        const heli = this.helicopter;
+        const pos = heli.group.position;
+        const pad = heli.landingPos;
+
+        switch (this.state) {
+            case 'PARKED':
+                // Handed back mid-air by the pilot: go home first
+                if (pos.distanceTo(pad) > 1.0) {
+                    this.state = 'RETURN';
+                    break;
+                }
+                this.timer -= delta;
+                if (this.timer <= 0) this.state = 'TAKEOFF';
+                break;
+
+            case 'TAKEOFF':
+                if (pos.y >= this.getPadApproach().y - 1.0) {
+                    this.state = 'ENROUTE';
+                    this.waypointIndex = 0;
+                }
+                break;
+
+            case 'ENROUTE': {
+                const wp = this.getWaypoint();
+                const radius = wp.hover > 0 ? HOVER_RADIUS : ARRIVAL_RADIUS;
+                if (pos.distanceTo(wp.position) < radius) {
+                    if (wp.hover > 0) {
+                        this.state = 'HOVER';
+                        this.timer = wp.hover;
+                    } else {
+                        this.nextWaypoint();
+                    }
+                }
+                break;
+            }
+
+            case 'HOVER':
+                this.timer -= delta;
+                if (this.timer <= 0) this.nextWaypoint();
+                break;
+
+            case 'RETURN':
+                if (this.horizontalDistance(pad) < PAD_RADIUS && heli.velocity.length() < 2.0) {
+                    this.state = 'LANDING';
+                }
+                break;
+
+            case 'LANDING':
+                if (this.horizontalDistance(pad) < PAD_RADIUS * 2 && pos.y - pad.y < TOUCHDOWN_HEIGHT) {
+                    this.state = 'PARKED';
+                    this.timer = this.plan.turnaround;
+                }
+                break;
+        }
+    }
+
+    // Stick positions for this frame ({ pitch, roll, yaw, collective }, like FlightInput.read)
+    read() {
+        const heli = this.helicopter;
+        const pos = heli.group.position;
+        const pad = heli.landingPos;
+        if (this.state === 'PARKED') return null;
+        if (this.state === 'TAKEOFF' && heli.rotorSpeed < SPOOL_UP_SPEED) {
+            return { pitch: 0, roll: 0, yaw: 0, collective: 0 };
+        }
+
+        let target;
+        let heading = null; // Radians; null keeps facing the direction of travel
+        let sinkRate = null; // m/s, replaces altitude hold on the way down to the pad
+        let speed = this.plan.cruiseSpeed;
+        let stopping = true; // Fly-through waypoints are passed at cruise speed
+
+        if (this.state === 'TAKEOFF') {
+            target = this.getPadApproach();
+            heading = heli.group.rotation.y;
+        } else if (this.state === 'ENROUTE' || this.state === 'HOVER') {
+            const wp = this.getWaypoint();
+            target = wp.position;
+            stopping = wp.hover > 0;
+            if (this.state === 'HOVER') heading = heli.group.rotation.y;
+        } else if (this.state === 'RETURN') {
+            // Stay at least at pad approach height until over the pad
+            target = this.getPadApproach();
+            if (this.horizontalDistance(pad) > 10) target.y = Math.max(target.y, pos.y);
+            else heading = 0;
+        } else {
+            target = pad;
+            heading = 0; // Parked orientation
+            sinkRate = LANDING_SINK;
+            speed = 2.0;
+        }
+
+        // Horizontal: fly at a speed we can still stop from, steering the velocity onto the target
+        const toTarget = new THREE.Vector3(target.x - pos.x, 0, target.z - pos.z);
+        const distance = toTarget.length();
+        const approachSpeed = stopping ? Math.min(speed, Math.sqrt(2 * BRAKING * distance)) : speed;
+        const desired = distance > 0.01 ? toTarget.multiplyScalar(approachSpeed / distance) : toTarget;
+        const command = desired.sub(new THREE.Vector3(heli.velocity.x, 0, heli.velocity.z)).multiplyScalar(VELOCITY_GAIN);
+
+        const yaw = heli.group.rotation.y;
+        const pitch = command.x * Math.sin(yaw) + command.z * Math.cos(yaw);
+        const roll = command.x * Math.cos(yaw) - command.z * Math.sin(yaw);
+
+        // Heading: nose into the direction of travel once moving, otherwise hold
+        if (heading === null) heading = distance > 5 ? Math.atan2(target.x - pos.x, target.z - pos.z) : yaw;
+        const turnRate = wrapAngle(heading - yaw) * TURN_RATE_GAIN;
+        const yawStick = (heli.angularVelocity - turnRate) * YAW_GAIN;
+
+        // Vertical: altitude hold, or a steady sink onto the pad
+        let collective;
+        if (sinkRate !== null) {
+            collective = 0.5 + (-sinkRate - heli.velocity.y) * CLIMB_DAMPING;
+        } else {
+            collective = 0.5 + (target.y - pos.y) * CLIMB_GAIN - heli.velocity.y * CLIMB_DAMPING;
+        }
+
+        return {
+            pitch: THREE.MathUtils.clamp(pitch, -1, 1),
+            roll: THREE.MathUtils.clamp(roll, -1, 1),
+            yaw: THREE.MathUtils.clamp(yawStick, -1, 1),
+            collective: THREE.MathUtils.clamp(collective, 0, 1)
+        };
+    }
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import { catmullRom } from './utils.js';
+
+// --- CAMERA TRACKS ---
+// A recorded fly-through, saved and loaded as JSON:
+//   frames  the simulation step of every recorded frame (seconds)
+//   start   the simulation state as recording began (trains, elevators, time of day)
+//   syncs   [{ frame, state }]: the state again after some frames, every SYNC_INTERVAL or so.
+//           Playback steps the simulation by the recorded frames and lands back on these, so
+//           it stays with the recording where the simulation rolls dice
+//   keys    camera keyframes { t, position: [x, y, z], quaternion: [x, y, z, w], fov }, t in
+//           seconds from the start. Recording keys every frame; the camera glides through
+//           whatever keys are left after editing.
+
+const SYNC_INTERVAL = 1.0; // Seconds of recording between simulation states
+const MAX_DURATION = 600; // Recording stops by itself after this long (s)
+const KEY_EPSILON = 1e-4; // Keys closer than this (s) are the same key
+const MAX_CATCH_UP = 0.25; // Most real time one playback frame makes up (s)
+
+const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+const isArrayOf = (v, length) => Array.isArray(v) && v.length === length && v.every(isFiniteNumber);
+const round = (v, places) => Number(v.toFixed(places));
+
+export class CameraTrack {
+    constructor(data) {
+        CameraTrack.validate(data);
+        this.frames = data.frames.slice();
+        this.start = data.start;
+        this.syncs = new Map(data.syncs.map(sync => [sync.frame, sync.state]));
+        this.keys = data.keys.map(key => ({
+            t: key.t,
+            position: new THREE.Vector3().fromArray(key.position),
+            quaternion: new THREE.Quaternion().fromArray(key.quaternion),
+            fov: key.fov
+        }));
+
+        // Simulation time at the end of each frame
+        this.times = [];
+        let time = 0;
+        this.frames.forEach(dt => {
+            time += dt;
+            this.times.push(time);
+        });
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('CameraTrack: expected an object');
+        if (!Array.isArray(data.frames) || data.frames.length === 0) throw new Error('CameraTrack: frames must be a non-empty array');
+        data.frames.forEach((dt, i) => {
+            if (!(isFiniteNumber(dt) && dt > 0)) throw new Error(`CameraTrack: frames[${i}] must be a positive number`);
+        });
+        if (!data.start || typeof data.start !== 'object') throw new Error('CameraTrack: start must be an object');
+        if (!Array.isArray(data.syncs)) throw new Error('CameraTrack: syncs must be an array');
+        data.syncs.forEach((sync, i) => {
+            if (!sync || !Number.isInteger(sync.frame) || sync.frame < 0 || sync.frame >= data.frames.length) {
+                throw new Error(`CameraTrack: syncs[${i}].frame must be a frame index`);
+            }
+            if (!sync.state || typeof sync.state !== 'object') throw new Error(`CameraTrack: syncs[${i}].state must be an object`);
+        });
+        if (!Array.isArray(data.keys) || data.keys.length === 0) throw new Error('CameraTrack: keys must be a non-empty array');
+        data.keys.forEach((key, i) => {
+            const where = `keys[${i}]`;
+            if (!key || typeof key !== 'object') throw new Error(`CameraTrack: ${where} must be an object`);
+            if (!isFiniteNumber(key.t) || key.t < 0) throw new Error(`CameraTrack: ${where}.t must be a non-negative number`);
+            if (i > 0 && !(key.t > data.keys[i - 1].t)) throw new Error(`CameraTrack: ${where}.t must be later than the key before`);
+            if (!isArrayOf(key.position, 3)) throw new Error(`CameraTrack: ${where}.position must be [x, y, z]`);
+            if (!isArrayOf(key.quaternion, 4)) throw new Error(`CameraTrack: ${where}.quaternion must be [x, y, z, w]`);
+            if (!(isFiniteNumber(key.fov) && key.fov > 0 && key.fov < 180)) throw new Error(`CameraTrack: ${where}.fov must be an angle in degrees`);
+        });
+    }
+
+    getDuration() {
+        return this.times[this.times.length - 1];
+    }
+
+    // --- KEYS ---
+    // Index of the key at time t, or -1
+    findKey(t) {
+        return this.keys.findIndex(key => Math.abs(key.t - t) < KEY_EPSILON);
+    }
+
+    // Keys either side of t, for jumping from key to key
+    getPreviousKey(t) {
+        for (let i = this.keys.length - 1; i >= 0; i--) {
+            if (this.keys[i].t < t - KEY_EPSILON) return this.keys[i];
+        }
+        return null;
+    }
+
+    getNextKey(t) {
+        return this.keys.find(key => key.t > t + KEY_EPSILON) || null;
+    }
+
+    // Key the camera's view at time t, replacing any key already there
+    setKey(t, camera) {
+        const key = {
+            t,
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            fov: camera.fov
+        };
+        const existing = this.findKey(t);
+        if (existing >= 0) {
+            this.keys[existing] = key;
+            return;
+        }
+        const after = this.keys.findIndex(k => k.t > t);
+        this.keys.splice(after < 0 ? this.keys.length : after, 0, key);
+    }
+
+    // The last key can't go: there would be nothing to look through
+    removeKey(index) {
+        if (this.keys.length <= 1 || index < 0 || index >= this.keys.length) return false;
+        this.keys.splice(index, 1);
+        return true;
+    }
+
+    // Down to a key every `interval` seconds (and the last one), for editing by hand
+    thin(interval) {
+        const last = this.keys[this.keys.length - 1];
+        let kept = this.keys[0];
+        this.keys = this.keys.filter(key => {
+            if (key === this.keys[0] || key === last) return true;
+            if (key.t - kept.t < interval || last.t - key.t < interval) return false;
+            kept = key;
+            return true;
+        });
+    }
+
+    // Camera view at time t: { position, quaternion, fov }
+    sample(t, out) {
+        const keys = this.keys;
+        // Last key at or before t (a recording has a key every frame, so halve rather than walk)
+        let i = 0;
+        let hi = keys.length - 2;
+        while (i < hi) {
+            const mid = (i + hi + 1) >> 1;
+            if (keys[mid].t <= t) i = mid;
+            else hi = mid - 1;
+        }
+        i = Math.max(0, i);
+        const k1 = keys[i];
+        const k2 = keys[Math.min(keys.length - 1, i + 1)];
+        const u = k2.t > k1.t ? THREE.MathUtils.clamp((t - k1.t) / (k2.t - k1.t), 0, 1) : 0;
+        const p0 = keys[Math.max(0, i - 1)].position;
+        const p3 = keys[Math.min(keys.length - 1, i + 2)].position;
+
+        out.position.set(
+            catmullRom(u, p0.x, k1.position.x, k2.position.x, p3.x),
+            catmullRom(u, p0.y, k1.position.y, k2.position.y, p3.y),
+            catmullRom(u, p0.z, k1.position.z, k2.position.z, p3.z)
+        );
+        out.quaternion.slerpQuaternions(k1.quaternion, k2.quaternion, u);
+        out.fov = THREE.MathUtils.lerp(k1.fov, k2.fov, u);
+        return out;
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            frames: this.frames,
+            start: this.start,
+            syncs: Array.from(this.syncs, ([frame, state]) => ({ frame, state })),
+            keys: this.keys.map(key => ({
+                t: key.t,
+                position: key.position.toArray().map(v => round(v, 4)),
+                quaternion: key.quaternion.toArray().map(v => round(v, 6)),
+                fov: round(key.fov, 3)
+            }))
+        };
+    }
+}
+
+// --- RECORDER ---
+// Keys the camera every frame, in any mode. `simulation` is { getState, setState, step(delta) }.
+// Call capture() once a frame with the simulation step, after the camera has been placed.
+// Events: 'stop' ({ track }) when recording runs out of room
+
+export class CameraRecorder extends THREE.EventDispatcher {
+    constructor(camera, simulation) {
+        super();
+        this.camera = camera;
+        this.simulation = simulation;
+        this.data = null;
+        this.time = 0;
+        this.sinceSync = 0;
+    }
+
+    isRecording() {
+        return !!this.data;
+    }
+
+    getTime() {
+        return this.time;
+    }
+
+    start() {
+        this.data = { version: 1, frames: [], start: this.simulation.getState(), syncs: [], keys: [] };
+        this.time = 0;
+        this.sinceSync = 0;
+    }
+
+    // The recorded CameraTrack, or null if nothing was recorded
+    stop() {
+        const data = this.data;
+        this.data = null;
+        if (!data || data.frames.length === 0) return null;
+        return new CameraTrack(data);
+    }
+
+    capture(delta) {
+        // Paused frames don't move the simulation on, so there's nothing to record
+        if (!this.data || isNaN(delta) || delta <= 0) return;
+        const data = this.data;
+        const camera = this.camera;
+        data.frames.push(delta);
+        this.time += delta;
+        data.keys.push({
+            t: this.time,
+            position: camera.position.toArray(),
+            quaternion: camera.quaternion.toArray(),
+            fov: camera.fov
+        });
+
+        this.sinceSync += delta;
+        if (this.sinceSync >= SYNC_INTERVAL) {
+            data.syncs.push({ frame: data.frames.length - 1, state: this.simulation.getState() });
+            this.sinceSync = 0;
+        }
+
+        if (this.time >= MAX_DURATION) this.dispatchEvent({ type: 'stop', track: this.stop() });
+    }
+}
+
+// --- PLAYER ---
+// Plays a CameraTrack back. The player steps the simulation itself, frame by recorded frame,
+// so the trains and elevators go through what they did while recording whatever the display
+// rate. Paused, the simulation holds still at the playhead.
+// Each animation frame: advance() in place of stepping the simulation, then applyCamera().
+// Events: 'end' when the playhead reaches the end of the track
+
+const _view = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), fov: 45 };
+
+export class CameraPlayer extends THREE.EventDispatcher {
+    constructor(camera, simulation) {
+        super();
+        this.camera = camera;
+        this.simulation = simulation;
+        this.track = null;
+        this.frame = 0; // Frames played
+        this.time = 0; // Simulation time at the playhead
+        this.playing = false;
+        this.owed = 0; // Real time not yet played
+    }
+
+    // Ready to play from the start; the simulation is left alone until seek() or play()
+    load(track) {
+        this.track = track;
+        this.playing = false;
+        this.frame = 0;
+        this.time = 0;
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    play() {
+        if (!this.track) return;
+        if (this.frame === 0 || this.frame >= this.track.frames.length) this.seek(0);
+        this.playing = true;
+        this.owed = 0;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Simulation and playhead to time t: back to the last state kept before it, then play on
+    seek(t) {
+        const track = this.track;
+        if (!track) return;
+        let target = 0;
+        while (target < track.frames.length && track.times[target] <= t + KEY_EPSILON) target++;
+
+        let frame = 0;
+        let state = track.start;
+        track.syncs.forEach((syncState, syncFrame) => {
+            if (syncFrame < target && syncFrame + 1 > frame) {
+                frame = syncFrame + 1;
+                state = syncState;
+            }
+        });
+        this.simulation.setState(state);
+        this.frame = frame;
+        while (this.frame < target) this.stepFrame();
+        this.time = this.frame > 0 ? track.times[this.frame - 1] : 0;
+    }
+
+    stepFrame() {
+        const track = this.track;
+        this.simulation.step(track.frames[this.frame]);
+        const state = track.syncs.get(this.frame);
+        if (state) this.simulation.setState(state);
+        this.frame++;
+    }
+
+    advance(delta) {
+        if (!this.track || !this.playing || isNaN(delta)) return;
+        const track = this.track;
+        this.owed = Math.min(this.owed + delta, MAX_CATCH_UP);
+        while (this.frame < track.frames.length && this.owed >= track.frames[this.frame]) {
+            this.owed -= track.frames[this.frame];
+            this.stepFrame();
+        }
+        this.time = this.frame > 0 ? track.times[this.frame - 1] : 0;
+
+        if (this.frame >= track.frames.length) {
+            this.playing = false;
+            this.dispatchEvent({ type: 'end' });
+        }
+    }
+
+    applyCamera() {
+        if (!this.track) return;
+        const view = this.track.sample(this.time, _view);
+        const camera = this.camera;
+        camera.position.copy(view.position);
+        camera.quaternion.copy(view.quaternion);
+        if (camera.fov !== view.fov) {
+            camera.fov = view.fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+}
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+// --- CAMERA TRANSITIONS ---
+// Eases the camera from the view it had when the mode changed into the new mode's view. The new
+// mode keeps placing the camera every frame as usual. The transition blends towards wherever
+// that puts it, so trains, the elevator or the helicopter are still followed while it eases in.
+// - Both views look at a point ahead of the camera. The look point slides from one to the other
+//   while the camera swings around it (a slerp of its offset), closing in or backing off on the way.
+// - Field of view and the camera's roll (the helicopter banks) are tweened alongside.
+// Each frame: restore() before the mode moves the camera, update() after it.
+
+const DEFAULT_DURATION = 1.2; // Seconds
+const MIN_LOOK_DISTANCE = 20; // Look points are at least this far ahead (m)
+
+const _forward = new THREE.Vector3();
+const _fromLook = new THREE.Vector3();
+const _toLook = new THREE.Vector3();
+const _look = new THREE.Vector3();
+const _fromOffset = new THREE.Vector3();
+const _toOffset = new THREE.Vector3();
+const _swing = new THREE.Quaternion();
+const _turn = new THREE.Quaternion();
+const _up = new THREE.Vector3();
+const _toUp = new THREE.Vector3();
+
+const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+const createPose = () => ({
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    up: new THREE.Vector3(0, 1, 0),
+    fov: 45
+});
+
+const copyPose = (pose, camera) => {
+    pose.position.copy(camera.position);
+    pose.quaternion.copy(camera.quaternion);
+    pose.up.copy(camera.up);
+    pose.fov = camera.fov;
+};
+
+const applyPose = (camera, pose) => {
+    camera.position.copy(pose.position);
+    camera.quaternion.copy(pose.quaternion);
+    camera.up.copy(pose.up);
+    if (camera.fov !== pose.fov) {
+        camera.fov = pose.fov;
+        camera.updateProjectionMatrix();
+    }
+};
+
+export class CameraTransition {
+    constructor(camera, options = {}) {
+        this.camera = camera;
+        this.duration = options.duration !== undefined ? options.duration : DEFAULT_DURATION;
+        this.from = createPose();
+        this.target = createPose(); // Where the new mode put the camera last frame
+        this.hasTarget = false;
+        this.active = false;
+        this.elapsed = 0;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    // Call as the mode changes, before anything moves the camera: eases from the view on screen.
+    // Leaves the camera on the old mode's own view, as if no transition had been running.
+    start() {
+        copyPose(this.from, this.camera);
+        if (this.active && this.hasTarget) applyPose(this.camera, this.target);
+        this.hasTarget = false;
+        this.elapsed = 0;
+        this.active = this.duration > 0;
+    }
+
+    // Put back the mode's own view, for modes that move on from where the camera was (orbit)
+    restore() {
+        if (this.active && this.hasTarget) applyPose(this.camera, this.target);
+    }
+
+    update(delta) {
+        if (!this.active || isNaN(delta)) return;
+        const camera = this.camera;
+        copyPose(this.target, camera);
+        this.hasTarget = true;
+
+        this.elapsed += delta;
+        if (this.elapsed >= this.duration) {
+            this.active = false;
+            return;
+        }
+        const t = easeInOutCubic(this.elapsed / this.duration);
+        const from = this.from;
+        const to = this.target;
+
+        // Look points far enough ahead that the swing between the two views stays gentle
+        const distance = Math.max(MIN_LOOK_DISTANCE, from.position.distanceTo(to.position));
+        _fromLook.copy(from.position).addScaledVector(_forward.set(0, 0, -1).applyQuaternion(from.quaternion), distance);
+        _toLook.copy(to.position).addScaledVector(_forward.set(0, 0, -1).applyQuaternion(to.quaternion), distance);
+        _look.lerpVectors(_fromLook, _toLook, t);
+
+        // Swing the camera around the look point, from one offset to the other
+        _fromOffset.subVectors(from.position, _fromLook);
+        _toOffset.subVectors(to.position, _toLook);
+        const length = THREE.MathUtils.lerp(_fromOffset.length(), _toOffset.length(), t);
+        _swing.setFromUnitVectors(_fromOffset.normalize(), _toOffset.normalize());
+        _turn.identity().slerp(_swing, t);
+        camera.position.copy(_look).addScaledVector(_fromOffset.applyQuaternion(_turn), length);
+
+        // Roll: blend the two views' up directions for lookAt, then hand the mode its own back
+        _up.set(0, 1, 0).applyQuaternion(from.quaternion);
+        _toUp.set(0, 1, 0).applyQuaternion(to.quaternion);
+        camera.up.copy(_up.lerp(_toUp, t).normalize());
+        camera.lookAt(_look);
+        camera.up.copy(to.up);
+
+        camera.fov = THREE.MathUtils.lerp(from.fov, to.fov, t);
+        camera.updateProjectionMatrix();
+    }
+}
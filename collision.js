@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+
+// --- COLLISION WORLD ---
+// Static axis-aligned boxes baked from the scene, bucketed in a 3D spatial hash.
+// - Every Mesh contributes its world bounding box; every InstancedMesh one box per instance (voxels).
+// - Objects tagged userData.dynamic (vehicles, the helicopter) are skipped with their children.
+// - Objects tagged userData.collisionCurve (the guideway beams, the mall's escalators) are swept
+//   as a chain of small boxes along the curve, given in the object's own space, instead of one
+//   box around the whole thing. collisionProfile.step shortens the boxes where a walker has to
+//   climb them.
+// - Boxes of objects tagged userData.occluder (buildings), or inside one, are marked as hiding
+//   what's behind them from the camera's ears (isSegmentBlocked).
+
+const DEFAULT_CELL_SIZE = 8;
+const MAX_BOX_SIZE = 300; // Larger boxes are ground planes; the floor raycasts cover those
+const CURVE_STEP = 2; // Meters between boxes along a swept curve
+
+const _box = new THREE.Box3();
+const _matrix = new THREE.Matrix4();
+const _closest = new THREE.Vector3();
+
+export class CollisionWorld {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.bounds = []; // minX, minY, minZ, maxX, maxY, maxZ per box
+        this.cells = new Map();
+        this.queryStamp = 0;
+        this.stamps = [];
+        this.occluders = []; // Per box, whether it is part of a building
+    }
+
+    getBoxCount() {
+        return this.bounds.length / 6;
+    }
+
+    cellKey(ix, iy, iz) {
+        return `${ix},${iy},${iz}`;
+    }
+
+    addBox(box, occluder = false) {
+        if (box.isEmpty()) return;
+        const size = box.max.x - box.min.x > box.max.z - box.min.z ? box.max.x - box.min.x : box.max.z - box.min.z;
+        if (size > MAX_BOX_SIZE) return;
+
+        const index = this.bounds.length / 6;
+        this.bounds.push(box.min.x, box.min.y, box.min.z, box.max.x, box.max.y, box.max.z);
+        this.stamps.push(0);
+        this.occluders.push(occluder);
+
+        const s = this.cellSize;
+        for (let ix = Math.floor(box.min.x / s); ix <= Math.floor(box.max.x / s); ix++) {
+            for (let iy = Math.floor(box.min.y / s); iy <= Math.floor(box.max.y / s); iy++) {
+                for (let iz = Math.floor(box.min.z / s); iz <= Math.floor(box.max.z / s); iz++) {
+                    const key = this.cellKey(ix, iy, iz);
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(index);
+                }
+            }
+        }
+    }
+
+    // Bake everything under `root` (world matrices are refreshed first)
+    addObject(root) {
+        root.updateMatrixWorld(true);
+        const visit = (obj, occluder) => {
+            if (obj.userData && obj.userData.dynamic) return;
+            occluder = occluder || !!(obj.userData && obj.userData.occluder);
+
+            if (obj.userData && obj.userData.collisionCurve) {
+                const p = obj.userData.collisionProfile || {};
+                this.addCurve(obj.userData.collisionCurve, p.halfWidth || 1, p.halfHeight || 1, p.step || CURVE_STEP, obj.matrixWorld, occluder);
+            } else if (obj.isInstancedMesh) {
+                this.addInstancedMesh(obj, occluder);
+            } else if (obj.isMesh && obj.geometry) {
+                if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
+                _box.copy(obj.geometry.boundingBox).applyMatrix4(obj.matrixWorld);
+                this.addBox(_box, occluder);
+            }
+
+            obj.children.forEach(child => visit(child, occluder));
+        };
+        visit(root, false);
+    }
+
+    addInstancedMesh(mesh, occluder = false) {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        const local = mesh.geometry.boundingBox;
+        for (let i = 0; i < mesh.count; i++) {
+            mesh.getMatrixAt(i, _matrix);
+            _matrix.premultiply(mesh.matrixWorld);
+            _box.copy(local).applyMatrix4(_matrix);
+            this.addBox(_box, occluder);
+        }
+    }
+
+    // A beam of the given half-width/half-height swept along a curve (placed by `matrix`)
+    addCurve(curve, halfWidth, halfHeight, step = CURVE_STEP, matrix = null, occluder = false) {
+        const divisions = Math.max(1, Math.ceil(curve.getLength() / step));
+        const points = curve.getSpacedPoints(divisions);
+        if (matrix) points.forEach(p => p.applyMatrix4(matrix));
+        for (let i = 0; i < points.length - 1; i++) {
+            _box.makeEmpty();
+            _box.expandByPoint(points[i]);
+            _box.expandByPoint(points[i + 1]);
+            // Widen across the segment only, so boxes along a slope don't reach past its ends
+            const dx = points[i + 1].x - points[i].x;
+            const dz = points[i + 1].z - points[i].z;
+            const run = Math.hypot(dx, dz);
+            const acrossX = run > 1e-6 ? Math.abs(dz) / run * halfWidth : halfWidth;
+            const acrossZ = run > 1e-6 ? Math.abs(dx) / run * halfWidth : halfWidth;
+            _box.min.x -= acrossX; _box.max.x += acrossX;
+            _box.min.z -= acrossZ; _box.max.z += acrossZ;
+            _box.min.y -= halfHeight; _box.max.y += halfHeight;
+            this.addBox(_box, occluder);
+        }
+    }
+
+    // Calls fn(index) once for every box whose cells overlap [min, max]
+    forEachNear(minX, minY, minZ, maxX, maxY, maxZ, fn) {
+        const s = this.cellSize;
+        const stamp = ++this.queryStamp;
+        for (let ix = Math.floor(minX / s); ix <= Math.floor(maxX / s); ix++) {
+            for (let iy = Math.floor(minY / s); iy <= Math.floor(maxY / s); iy++) {
+                for (let iz = Math.floor(minZ / s); iz <= Math.floor(maxZ / s); iz++) {
+                    const cell = this.cells.get(this.cellKey(ix, iy, iz));
+                    if (!cell) continue;
+                    for (let k = 0; k < cell.length; k++) {
+                        const index = cell[k];
+                        if (this.stamps[index] === stamp) continue;
+                        this.stamps[index] = stamp;
+                        fn(index);
+                    }
+                }
+            }
+        }
+    }
+
+    // Deepest contact between a sphere and the world: { normal, depth } or null.
+    // The normal points from the obstacle towards the sphere center.
+    // `accept(normal)` can rule contacts out, e.g. floors handled elsewhere.
+    querySphere(center, radius, accept = null) {
+        const b = this.bounds;
+        let best = null;
+        this.forEachNear(
+            center.x - radius, center.y - radius, center.z - radius,
+            center.x + radius, center.y + radius, center.z + radius,
+            (i) => {
+                const o = i * 6;
+                _closest.set(
+                    Math.max(b[o], Math.min(center.x, b[o + 3])),
+                    Math.max(b[o + 1], Math.min(center.y, b[o + 4])),
+                    Math.max(b[o + 2], Math.min(center.z, b[o + 5]))
+                );
+                const distSq = _closest.distanceToSquared(center);
+                if (distSq >= radius * radius) return;
+
+                let normal;
+                let depth;
+                if (distSq > 1e-8) {
+                    const dist = Math.sqrt(distSq);
+                    normal = center.clone().sub(_closest).divideScalar(dist);
+                    depth = radius - dist;
+                } else {
+                    // Center is inside the box: leave through the nearest face
+                    const faces = [
+                        { d: center.x - b[o], n: [-1, 0, 0] }, { d: b[o + 3] - center.x, n: [1, 0, 0] },
+                        { d: center.y - b[o + 1], n: [0, -1, 0] }, { d: b[o + 4] - center.y, n: [0, 1, 0] },
+                        { d: center.z - b[o + 2], n: [0, 0, -1] }, { d: b[o + 5] - center.z, n: [0, 0, 1] }
+                    ];
+                    faces.sort((f1, f2) => f1.d - f2.d);
+                    normal = new THREE.Vector3().fromArray(faces[0].n);
+                    depth = radius + faces[0].d;
+                }
+                if (accept && !accept(normal)) return;
+                if (!best || depth > best.depth) best = { normal, depth };
+            }
+        );
+        return best;
+    }
+
+    // Whether the straight line between two points passes through a box, or with `occludersOnly`
+    // a building's box (not piers, poles and railings). Boxes holding either end don't count: a
+    // sound playing inside its own building isn't hidden by it. Walks the cells the line crosses
+    // in order, so long lines only look at boxes along them.
+    isSegmentBlocked(from, to, occludersOnly = false) {
+        const b = this.bounds;
+        const s = this.cellSize;
+        const start = [from.x, from.y, from.z];
+        const end = [to.x, to.y, to.z];
+        const dir = [end[0] - start[0], end[1] - start[1], end[2] - start[2]];
+        const cell = start.map(v => Math.floor(v / s));
+        const last = end.map(v => Math.floor(v / s));
+        const step = dir.map(d => Math.sign(d));
+        // Segment fraction to the next cell boundary on each axis, and per whole cell
+        const tNext = dir.map((d, a) => d > 0 ? ((cell[a] + 1) * s - start[a]) / d : d < 0 ? (cell[a] * s - start[a]) / d : Infinity);
+        const tCell = dir.map(d => d !== 0 ? s / Math.abs(d) : Infinity);
+
+        const contains = (o, p) => p[0] >= b[o] && p[0] <= b[o + 3] && p[1] >= b[o + 1] && p[1] <= b[o + 4] && p[2] >= b[o + 2] && p[2] <= b[o + 5];
+        const crosses = (o) => {
+            let t0 = 0;
+            let t1 = 1;
+            for (let a = 0; a < 3; a++) {
+                if (dir[a] === 0) {
+                    if (start[a] < b[o + a] || start[a] > b[o + 3 + a]) return false;
+                    continue;
+                }
+                let ta = (b[o + a] - start[a]) / dir[a];
+                let tb = (b[o + 3 + a] - start[a]) / dir[a];
+                if (ta > tb) [ta, tb] = [tb, ta];
+                t0 = Math.max(t0, ta);
+                t1 = Math.min(t1, tb);
+                if (t0 > t1) return false;
+            }
+            return true;
+        };
+
+        const stamp = ++this.queryStamp;
+        const cells = Math.abs(last[0] - cell[0]) + Math.abs(last[1] - cell[1]) + Math.abs(last[2] - cell[2]) + 1;
+        for (let n = 0; n < cells; n++) {
+            const indices = this.cells.get(this.cellKey(cell[0], cell[1], cell[2]));
+            if (indices) {
+                for (let k = 0; k < indices.length; k++) {
+                    const index = indices[k];
+                    if (this.stamps[index] === stamp) continue;
+                    this.stamps[index] = stamp;
+                    const o = index * 6;
+                    if ((occludersOnly && !this.occluders[index]) || contains(o, start) || contains(o, end)) continue;
+                    if (crosses(o)) return true;
+                }
+            }
+            // On to the neighbouring cell across the nearest boundary
+            const a = tNext[0] < tNext[1] ? (tNext[0] < tNext[2] ? 0 : 2) : (tNext[1] < tNext[2] ? 1 : 2);
+            cell[a] += step[a];
+            tNext[a] += tCell[a];
+        }
+        return false;
+    }
+
+    // Top of the highest box under (x, z) that is no higher than maxY, or null
+    floorBelow(x, z, maxY, minY = -30) {
+        const b = this.bounds;
+        const s = this.cellSize;
+        const ix = Math.floor(x / s);
+        const iz = Math.floor(z / s);
+        let best = null;
+        for (let iy = Math.floor(maxY / s); iy >= Math.floor(minY / s); iy--) {
+            const cell = this.cells.get(this.cellKey(ix, iy, iz));
+            if (!cell) continue;
+            for (let k = 0; k < cell.length; k++) {
+                const o = cell[k] * 6;
+                const top = b[o + 4];
+                if (top > maxY || (best !== null && top <= best)) continue;
+                if (x >= b[o] && x <= b[o + 3] && z >= b[o + 2] && z <= b[o + 5]) best = top;
+            }
+            // Nothing in a lower cell can top a floor found at or above this cell's base
+            if (best !== null && best >= iy * s) break;
+        }
+        return best;
+    }
+}
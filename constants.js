@@ -16,35 +16,11 @@ export const COLORS = {
 
 // Dimensions
 export const TRACK_HEIGHT = 12;
-export const PIER_SPACING = 20;
 export const TRAIN_LENGTH_RATIO = 0.01; 
 export const CAR_GAP = 0.0005;
 
 // Route Definition
-// Track 1 (West/Inner Track)
-const LEFT_POINTS = [
-  new THREE.Vector3(7.5, TRACK_HEIGHT, 80), // Shortened to 80 (Wall is at 88)
-  new THREE.Vector3(7.5, TRACK_HEIGHT, 0),
-  new THREE.Vector3(7.5, TRACK_HEIGHT, -100),
-  new THREE.Vector3(7.5, TRACK_HEIGHT, -200),
-  new THREE.Vector3(-41.8, TRACK_HEIGHT, -258.2), // Apex Turn (Inside)
-  new THREE.Vector3(-100, TRACK_HEIGHT, -277.5),
-  new THREE.Vector3(-150, TRACK_HEIGHT, -277.5)
-];
-
-// Track 2 (East/Outer Track)
-const RIGHT_POINTS = [
-  new THREE.Vector3(12.5, TRACK_HEIGHT, 80), // Shortened to 80
-  new THREE.Vector3(12.5, TRACK_HEIGHT, 0),
-  new THREE.Vector3(12.5, TRACK_HEIGHT, -100),
-  new THREE.Vector3(12.5, TRACK_HEIGHT, -200),
-  new THREE.Vector3(-38.2, TRACK_HEIGHT, -261.8), // Apex Turn (Outside)
-  new THREE.Vector3(-100, TRACK_HEIGHT, -282.5),
-  new THREE.Vector3(-150, TRACK_HEIGHT, -282.5)
-];
-
-export const TRACK_LEFT = new THREE.CatmullRomCurve3(LEFT_POINTS, false, 'catmullrom', 0.2);
-export const TRACK_RIGHT = new THREE.CatmullRomCurve3(RIGHT_POINTS, false, 'catmullrom', 0.2);
+// The guideways (control points, station stops, speed limits) live in data/tracks.json, see tracks.js
 
 // Traffic Loop Definition
 // Road spans X = -2 to 22.
@@ -78,10 +54,46 @@ const TRAFFIC_POINTS = [
 ];
 
 export const TRAFFIC_PATH = new THREE.CatmullRomCurve3(TRAFFIC_POINTS, true, 'catmullrom', 0.05);
-export const TAXI_PATH = TRAFFIC_PATH; 
+
+// Signalized intersections on 5th Ave (signals.js, roads.js): cross street centerline Z, and the
+// offset (s) of each signal's cycle so southbound traffic meets a green wave. Placed so both cross
+// street lanes pass between the monorail piers in the median, and clear of the street lamps.
+export const FIFTH_AVE_INTERSECTIONS = [
+  { name: 'Bell St', z: -153, offset: 0 },
+  { name: 'Lenora St', z: -50, offset: 4.5 },
+  { name: 'Stewart St', z: 5, offset: 7 }
+];
+
+// Phase lengths in seconds. 5th Ave: GREEN -> YELLOW -> ALL_RED, then the cross street:
+// TURN (its traffic only, to turn before people start across) -> WALK -> FLASH (flashing
+// don't walk) -> CLEARANCE, and round again.
+export const SIGNAL_TIMING = {
+  GREEN: 25,
+  YELLOW: 3,
+  ALL_RED: 2,
+  TURN: 6,
+  WALK: 7,
+  FLASH: 18, // Long enough for someone stepping off at the end of WALK to finish crossing
+  CLEARANCE: 3
+};
+
+// Meters from the cross street centerline
+export const INTERSECTION_LAYOUT = {
+  STREET_HALF_WIDTH: 5,
+  CROSSWALK_NEAR: 6,
+  CROSSWALK_FAR: 9,
+  STOP_LINE: 10
+};
 
 export const CarType = {
   HEAD: 'HEAD',
   BODY: 'BODY',
   TAIL: 'TAIL'
 };
+
+// Terminal stations. WESTLAKE sits at the low-progress end of both tracks (T=0),
+// SEATTLE_CENTER at the high-progress end (T=1).
+export const Station = {
+  WESTLAKE: 'WESTLAKE',
+  SEATTLE_CENTER: 'SEATTLE_CENTER'
+};
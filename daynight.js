@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+
+// Lighting keyframes across a 24h day.
+// 'lights' is how far the city has switched to night mode (0 = day, 1 = full night).
+// The 18.5h key reproduces the original golden hour look.
+const SKY_KEYS = [
+    { hour: 0.0,  sky: '#0B1026', sun: '#334477', sunI: 0.0, hemiSky: '#1A1F3A', hemiGround: '#0A0A12', hemiI: 0.25, ambient: 0.08, lights: 1.0 },
+    { hour: 5.0,  sky: '#1E2345', sun: '#553355', sunI: 0.0, hemiSky: '#2A2A4A', hemiGround: '#110E14', hemiI: 0.3,  ambient: 0.1,  lights: 1.0 },
+    { hour: 6.5,  sky: '#FFAB76', sun: '#FFB070', sunI: 1.5, hemiSky: '#886699', hemiGround: '#332211', hemiI: 0.5,  ambient: 0.2,  lights: 0.4 },
+    { hour: 9.0,  sky: '#87CEEB', sun: '#FFF4E0', sunI: 3.0, hemiSky: '#BBDDFF', hemiGround: '#445533', hemiI: 0.7,  ambient: 0.35, lights: 0.0 },
+    { hour: 16.5, sky: '#87CEEB', sun: '#FFF0D0', sunI: 3.0, hemiSky: '#BBDDFF', hemiGround: '#445533', hemiI: 0.7,  ambient: 0.35, lights: 0.0 },
+    { hour: 18.5, sky: '#FFAB76', sun: '#FFD700', sunI: 3.0, hemiSky: '#663399', hemiGround: '#332200', hemiI: 0.6,  ambient: 0.3,  lights: 0.2 },
+    { hour: 20.0, sky: '#3A2E5A', sun: '#FF7744', sunI: 0.3, hemiSky: '#332255', hemiGround: '#110A08', hemiI: 0.35, ambient: 0.15, lights: 0.9 },
+    { hour: 21.5, sky: '#0B1026', sun: '#334477', sunI: 0.0, hemiSky: '#1A1F3A', hemiGround: '#0A0A12', hemiI: 0.25, ambient: 0.08, lights: 1.0 },
+    { hour: 24.0, sky: '#0B1026', sun: '#334477', sunI: 0.0, hemiSky: '#1A1F3A', hemiGround: '#0A0A12', hemiI: 0.25, ambient: 0.08, lights: 1.0 }
+];
+
+// Sun path: rises in the -X sky at SUNRISE, sets in the +X sky at SUNSET
+const SUNRISE = 6.0;
+const SUNSET = 20.0;
+const SUN_RADIUS = 320;
+const SUN_HEIGHT = 250;
+
+const LAMPS_ON_THRESHOLD = 0.5;
+const WINDOW_GLOW = 0.9;
+
+const FOG_DAY = { near: 200, far: 1500 };
+const FOG_NIGHT = { near: 120, far: 900 };
+
+const wrapHour = (h) => ((h % 24) + 24) % 24;
+
+export class DayNightCycle {
+    constructor(scene, lights, options = {}) {
+        this.scene = scene;
+        this.sun = lights.sun;
+        this.hemiLight = lights.hemiLight;
+        this.ambient = lights.ambient;
+        this.fillLight = lights.fillLight;
+
+        // Real seconds for one full 24h cycle
+        this.dayLength = options.dayLength || 600;
+        this.hour = wrapHour(typeof options.startHour === 'number' ? options.startHour : 18.5);
+        this.pinned = false;
+
+        this.nightLights = [];
+        this.litWindows = [];
+        this.lampsOn = null;
+        this.lastWindowLevel = -1;
+
+        this.skyColor = new THREE.Color();
+        this.sunColor = new THREE.Color();
+        this.hemiSkyColor = new THREE.Color();
+        this.hemiGroundColor = new THREE.Color();
+        this.fillBase = this.fillLight ? this.fillLight.intensity : 0;
+
+        if (!(scene.background instanceof THREE.Color)) scene.background = new THREE.Color();
+        if (!scene.fog) scene.fog = new THREE.Fog(0xffffff, FOG_DAY.near, FOG_DAY.far);
+
+        this.collectTaggedObjects();
+        this.apply();
+    }
+
+    // Gather everything tagged by the asset builders (createLamp bulbs, lit window meshes)
+    collectTaggedObjects() {
+        this.nightLights.length = 0;
+        this.litWindows.length = 0;
+        this.scene.traverse((child) => {
+            if (!child.userData) return;
+            if (child.userData.nightLight) this.nightLights.push(child);
+            if (child.userData.isLitWindow && child.material) this.litWindows.push(child);
+        });
+        this.lampsOn = null;
+        this.lastWindowLevel = -1;
+    }
+
+    update(delta) {
+        if (isNaN(delta)) return;
+        if (!this.pinned) {
+            this.hour = wrapHour(this.hour + delta * 24 / this.dayLength);
+        }
+        this.apply();
+    }
+
+    setHour(hour) {
+        this.hour = wrapHour(hour);
+        this.apply();
+    }
+
+    // Freeze the clock (optionally at a given hour) until unpin() is called
+    pin(hour) {
+        if (typeof hour === 'number') this.hour = wrapHour(hour);
+        this.pinned = true;
+        this.apply();
+    }
+
+    unpin() {
+        this.pinned = false;
+    }
+
+    getTimeString() {
+        const totalMinutes = Math.floor(this.hour * 60);
+        const hh = Math.floor(totalMinutes / 60) % 24;
+        const mm = totalMinutes % 60;
+        return `${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}`;
+    }
+
+    sampleKeys() {
+        let i = 0;
+        while (i < SKY_KEYS.length - 2 && SKY_KEYS[i + 1].hour <= this.hour) i++;
+        const a = SKY_KEYS[i];
+        const b = SKY_KEYS[i + 1];
+        const t = THREE.MathUtils.clamp((this.hour - a.hour) / (b.hour - a.hour), 0, 1);
+        return { a, b, t };
+    }
+
+    apply() {
+        const { a, b, t } = this.sampleKeys();
+        const lerp = THREE.MathUtils.lerp;
+
+        this.skyColor.set(a.sky).lerp(new THREE.Color(b.sky), t);
+        this.scene.background.copy(this.skyColor);
+
+        const nightLevel = lerp(a.lights, b.lights, t);
+        this.scene.fog.color.copy(this.skyColor);
+        this.scene.fog.near = lerp(FOG_DAY.near, FOG_NIGHT.near, nightLevel);
+        this.scene.fog.far = lerp(FOG_DAY.far, FOG_NIGHT.far, nightLevel);
+
+        if (this.sun) {
+            const dayT = (this.hour - SUNRISE) / (SUNSET - SUNRISE);
+            const angle = dayT * Math.PI;
+            this.sun.position.set(-Math.cos(angle) * SUN_RADIUS, Math.sin(angle) * SUN_HEIGHT, 50);
+            this.sunColor.set(a.sun).lerp(new THREE.Color(b.sun), t);
+            this.sun.color.copy(this.sunColor);
+            this.sun.intensity = lerp(a.sunI, b.sunI, t);
+            // Skip the shadow pass entirely while the sun is below the horizon
+            this.sun.castShadow = this.sun.position.y > 0 && this.sun.intensity > 0.05;
+        }
+
+        if (this.hemiLight) {
+            this.hemiSkyColor.set(a.hemiSky).lerp(new THREE.Color(b.hemiSky), t);
+            this.hemiGroundColor.set(a.hemiGround).lerp(new THREE.Color(b.hemiGround), t);
+            this.hemiLight.color.copy(this.hemiSkyColor);
+            this.hemiLight.groundColor.copy(this.hemiGroundColor);
+            this.hemiLight.intensity = lerp(a.hemiI, b.hemiI, t);
+        }
+
+        if (this.ambient) this.ambient.intensity = lerp(a.ambient, b.ambient, t);
+        if (this.fillLight) this.fillLight.intensity = this.fillBase * (1 - nightLevel * 0.6);
+
+        this.applyPracticalLights(nightLevel);
+    }
+
+    applyPracticalLights(nightLevel) {
+        // Street lamps switch as a group (toggling visibility recompiles shaders, so only on change)
+        const lampsOn = nightLevel >= LAMPS_ON_THRESHOLD;
+        if (lampsOn !== this.lampsOn) {
+            this.lampsOn = lampsOn;
+            this.nightLights.forEach(light => { light.visible = lampsOn; });
+        }
+
+        // Windows fade in through dusk
+        const windowLevel = Math.round(THREE.MathUtils.smoothstep(nightLevel, 0.2, 0.8) * 100) / 100;
+        if (windowLevel !== this.lastWindowLevel) {
+            this.lastWindowLevel = windowLevel;
+            this.litWindows.forEach(mesh => {
+                mesh.material.emissiveIntensity = windowLevel * WINDOW_GLOW;
+            });
+        }
+    }
+}
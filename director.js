@@ -0,0 +1,283 @@
+import * as THREE from 'three';
+import { catmullRom } from './utils.js';
+
+// --- SHOT LIST ---
+// Scripted camera moves for demos (data/shots.json). Each shot is a list of keyframes: seconds
+// from the start of the shot, a camera position, a point to look at and an optional field of
+// view. The camera glides through the keys on a Catmull-Rom spline and the shot lasts until the
+// last key. Positions are world coordinates unless the shot follows a `subject`: then they are
+// in that subject's own axes (+z ahead, +y up) and move with it.
+
+const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+const isPoint = (v) => Array.isArray(v) && v.length === 3 && v.every(isFiniteNumber);
+
+const DEFAULT_FOV = 45;
+const FOV_RANGE = { MIN: 10, MAX: 120 };
+
+export class ShotList {
+    constructor(data) {
+        ShotList.validate(data);
+        this.shots = data.shots.map(shot => ({
+            name: shot.name,
+            subject: shot.subject || null,
+            duration: shot.keys[shot.keys.length - 1].t,
+            keys: shot.keys.map(key => ({
+                t: key.t,
+                position: new THREE.Vector3().fromArray(key.position),
+                lookAt: new THREE.Vector3().fromArray(key.lookAt),
+                fov: key.fov !== undefined ? key.fov : DEFAULT_FOV
+            }))
+        }));
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('ShotList: expected an object');
+        if (!Array.isArray(data.shots) || data.shots.length === 0) throw new Error('ShotList: shots must be a non-empty array');
+
+        data.shots.forEach((shot, i) => {
+            if (!shot || typeof shot !== 'object') throw new Error(`ShotList: shots[${i}] must be an object`);
+            if (typeof shot.name !== 'string' || !shot.name) throw new Error(`ShotList: shots[${i}].name must be a string`);
+            if (shot.subject !== undefined && (typeof shot.subject !== 'string' || !shot.subject)) {
+                throw new Error(`ShotList: shots[${i}].subject must be a string`);
+            }
+            if (!Array.isArray(shot.keys) || shot.keys.length < 2) throw new Error(`ShotList: shots[${i}].keys needs at least two keyframes`);
+            shot.keys.forEach((key, k) => {
+                const where = `shots[${i}].keys[${k}]`;
+                if (!key || typeof key !== 'object') throw new Error(`ShotList: ${where} must be an object`);
+                if (!isFiniteNumber(key.t)) throw new Error(`ShotList: ${where}.t must be a number`);
+                if (k === 0 && key.t !== 0) throw new Error(`ShotList: ${where}.t must be 0`);
+                if (k > 0 && !(key.t > shot.keys[k - 1].t)) throw new Error(`ShotList: ${where}.t must be later than the key before`);
+                if (!isPoint(key.position)) throw new Error(`ShotList: ${where}.position must be [x, y, z]`);
+                if (!isPoint(key.lookAt)) throw new Error(`ShotList: ${where}.lookAt must be [x, y, z]`);
+                if (key.fov !== undefined && !(isFiniteNumber(key.fov) && key.fov >= FOV_RANGE.MIN && key.fov <= FOV_RANGE.MAX)) {
+                    throw new Error(`ShotList: ${where}.fov must be from ${FOV_RANGE.MIN} to ${FOV_RANGE.MAX}`);
+                }
+            });
+        });
+    }
+}
+
+// --- CAMERA DIRECTOR ---
+// Points the camera for the DIRECTOR mode, cutting from shot to shot:
+// - SHOTS plays the scripted ShotList in order, round and round.
+// - AUTO cuts between the live views (sources: the train cabs, the elevator, the taxi, the
+//   helicopter) and the scripted shots, going wherever is most interesting. Each source rates
+//   itself (moving beats parked) and notify() adds a boost that fades, for events like a train
+//   departing. A view stays up for at least MIN_HOLD and gives way after MAX_HOLD. Views shown
+//   lately count for less, so the same two don't alternate all day.
+// Sources are { label, getPose, interest } where getPose() returns { position, lookAt, up?, fov? }
+// (the getCameraTarget()/getPOV() providers) and interest is a number or a function returning one.
+// Events: 'cut' ({ label })
+
+const MIN_HOLD = 5; // Seconds before a live view may be cut away from
+const MAX_HOLD = 16;
+const CUT_MARGIN = 0.5; // How much more interesting another view has to be to cut early
+const BOOST_HALF_LIFE = 8; // Seconds for a notify() boost to halve
+const SHOT_INTEREST = 0.6; // Scripted shots, rated against the live views
+const STALE_PENALTY = 1.0; // Taken off a view just shown, fading over STALE_TIME
+const STALE_TIME = 30;
+
+const _frameX = new THREE.Vector3();
+const _frameZ = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+// The keys either side of time t within a shot: { i, u } for between keys i and i + 1
+const findSegment = (keys, t) => {
+    let i = 0;
+    while (i < keys.length - 2 && t > keys[i + 1].t) i++;
+    return { i, u: THREE.MathUtils.clamp((t - keys[i].t) / (keys[i + 1].t - keys[i].t), 0, 1) };
+};
+
+// Catmull-Rom through the keys' values
+const sampleKeys = (keys, { i, u }, read, out) => {
+    const k0 = keys[Math.max(0, i - 1)];
+    const k1 = keys[i];
+    const k2 = keys[i + 1];
+    const k3 = keys[Math.min(keys.length - 1, i + 2)];
+    const p0 = read(k0);
+    const p1 = read(k1);
+    const p2 = read(k2);
+    const p3 = read(k3);
+    return out.set(
+        catmullRom(u, p0.x, p1.x, p2.x, p3.x),
+        catmullRom(u, p0.y, p1.y, p2.y, p3.y),
+        catmullRom(u, p0.z, p1.z, p2.z, p3.z)
+    );
+};
+
+export class CameraDirector extends THREE.EventDispatcher {
+    // `sources` maps ids to sources; shots with a subject follow the source of that id
+    constructor(camera, shotList, sources) {
+        super();
+        this.camera = camera;
+        this.sources = sources;
+        this.shots = shotList.shots;
+        this.shots.forEach(shot => {
+            if (shot.subject && !sources[shot.subject]) {
+                throw new Error(`CameraDirector: shot "${shot.name}" follows unknown subject "${shot.subject}"`);
+            }
+        });
+
+        this.style = 'SHOTS'; // 'SHOTS' | 'AUTO'
+        this.current = null; // { kind: 'shot', shot, index } | { kind: 'source', id }
+        this.elapsed = 0;
+        this.clock = 0;
+        this.boosts = {}; // Source id -> boost
+        this.lastShown = {}; // View key -> clock
+        this.label = '';
+    }
+
+    setStyle(style) {
+        if (style === this.style) return;
+        this.style = style;
+        this.start();
+    }
+
+    // First cut of the current style, forgetting anything notified while off air
+    start() {
+        this.boosts = {};
+        if (this.style === 'SHOTS') {
+            this.cutToShot(0);
+        } else {
+            this.cutToBest();
+        }
+    }
+
+    // Something worth seeing is happening at source `id`
+    notify(id, amount = 1) {
+        if (!this.sources[id]) return;
+        this.boosts[id] = (this.boosts[id] || 0) + amount;
+    }
+
+    getLabel() {
+        return this.label;
+    }
+
+    // --- CUTTING ---
+    viewKey(view) {
+        return view.kind === 'shot' ? `shot:${view.index}` : `source:${view.id}`;
+    }
+
+    cut(view, label) {
+        this.current = view;
+        this.elapsed = 0;
+        this.lastShown[this.viewKey(view)] = this.clock;
+        this.label = label;
+        this.dispatchEvent({ type: 'cut', label });
+    }
+
+    cutToShot(index) {
+        const shot = this.shots[index];
+        this.cut({ kind: 'shot', shot, index }, shot.name);
+    }
+
+    staleness(view) {
+        const shown = this.lastShown[this.viewKey(view)];
+        if (shown === undefined) return 0;
+        return STALE_PENALTY * Math.exp(-(this.clock - shown) / STALE_TIME);
+    }
+
+    // How interesting a view is; the one on screen isn't marked down for being shown
+    score(view) {
+        const stale = view === this.current ? 0 : this.staleness(view);
+        if (view.kind === 'shot') return SHOT_INTEREST - stale;
+        const source = this.sources[view.id];
+        const base = typeof source.interest === 'function' ? source.interest() : (source.interest || 0);
+        return base + (this.boosts[view.id] || 0) - stale;
+    }
+
+    getViews() {
+        return [
+            ...Object.keys(this.sources).map(id => ({ kind: 'source', id })),
+            ...this.shots.map((shot, index) => ({ kind: 'shot', shot, index }))
+        ];
+    }
+
+    // The most interesting view other than the current one: { view, score }
+    findBest() {
+        const currentKey = this.current ? this.viewKey(this.current) : null;
+        let best = null;
+        this.getViews().forEach(view => {
+            if (this.viewKey(view) === currentKey) return;
+            const score = this.score(view);
+            if (!best || score > best.score) best = { view, score };
+        });
+        return best;
+    }
+
+    cutToBest() {
+        const best = this.findBest();
+        if (!best) return;
+        if (best.view.kind === 'shot') {
+            this.cutToShot(best.view.index);
+        } else {
+            this.cut(best.view, this.sources[best.view.id].label);
+        }
+    }
+
+    // --- POSES ---
+    // Where the camera goes in the current view: { position, lookAt, up, fov }
+    getPose() {
+        const view = this.current;
+        if (view.kind === 'source') {
+            const pose = this.sources[view.id].getPose();
+            return { position: pose.position, lookAt: pose.lookAt, up: pose.up || _up, fov: pose.fov || DEFAULT_FOV };
+        }
+
+        const shot = view.shot;
+        const segment = findSegment(shot.keys, Math.min(this.elapsed, shot.duration));
+        const position = sampleKeys(shot.keys, segment, k => k.position, new THREE.Vector3());
+        const lookAt = sampleKeys(shot.keys, segment, k => k.lookAt, new THREE.Vector3());
+        const fov = THREE.MathUtils.lerp(shot.keys[segment.i].fov, shot.keys[segment.i + 1].fov, segment.u);
+
+        if (shot.subject) {
+            // Into the subject's axes: ahead is where its own view looks, levelled off
+            const frame = this.sources[shot.subject].getPose();
+            _frameZ.subVectors(frame.lookAt, frame.position).setY(0);
+            if (_frameZ.lengthSq() < 1e-6) _frameZ.set(0, 0, 1);
+            _frameZ.normalize();
+            _frameX.crossVectors(_up, _frameZ);
+            [position, lookAt].forEach(p => {
+                p.set(
+                    frame.position.x + _frameX.x * p.x + _frameZ.x * p.z,
+                    frame.position.y + p.y,
+                    frame.position.z + _frameX.z * p.x + _frameZ.z * p.z
+                );
+            });
+        }
+        return { position, lookAt, up: _up, fov };
+    }
+
+    update(delta) {
+        if (isNaN(delta) || !this.current) return;
+        this.clock += delta;
+        this.elapsed += delta;
+        const fade = Math.pow(0.5, delta / BOOST_HALF_LIFE);
+        Object.keys(this.boosts).forEach(id => { this.boosts[id] *= fade; });
+
+        const view = this.current;
+        if (this.style === 'SHOTS') {
+            if (view.kind !== 'shot') {
+                this.cutToShot(0);
+            } else if (this.elapsed >= view.shot.duration) {
+                this.cutToShot((view.index + 1) % this.shots.length);
+            }
+        } else if (view.kind === 'shot') {
+            // Scripted shots play out in full
+            if (this.elapsed >= view.shot.duration) this.cutToBest();
+        } else if (this.elapsed >= MIN_HOLD) {
+            const best = this.findBest();
+            if (best && (this.elapsed >= MAX_HOLD || best.score > this.score(view) + CUT_MARGIN)) this.cutToBest();
+        }
+
+        const pose = this.getPose();
+        const camera = this.camera;
+        camera.position.copy(pose.position);
+        camera.up.copy(pose.up);
+        camera.lookAt(pose.lookAt);
+        if (camera.fov !== pose.fov) {
+            camera.fov = pose.fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+}
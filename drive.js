@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import { TRACKS, PIER_SPACING, getPierPositions } from './tracks.js';
+
+// --- MANUAL DRIVING ---
+// A vehicle driven by hand (DriveInput, driveinput.js) instead of by the traffic model: a
+// bicycle model on the surface of the road network (roads.js), down the ramps and through the
+// tunnel.
+// - Throttle, brakes (reversing once stopped), rolling resistance, drag and the pull of the
+//   ramps; the steering lock closes in as the speed goes up.
+// - Curbs: all four corners must stay on a road, so the car slides along a curb it meets.
+// - Monorail piers and other traffic are circles it bounces off.
+// The traffic system keeps tracking it meanwhile (TrafficSystem.track) so cars stop behind it.
+// Events: 'impact' ({ speed }) on hitting anything harder than IMPACT_SPEED
+
+const ENGINE = 4.0; // Full-throttle acceleration (m/s²)
+const BRAKING = 9.0; // Full brakes (m/s²)
+const REVERSE_ACCEL = 2.5; // m/s²
+const MAX_REVERSE = 6; // m/s
+const ROLLING = 0.15; // Rolling resistance (1/s)
+const DRAG = 0.004; // Air drag (1/m); with the engine flat out, tops out around 26 m/s
+const GRAVITY = 9.81;
+const WHEELBASE = 2.7;
+const MAX_STEER = 0.6; // Steering lock at a standstill (rad)
+const STEER_FADE = 10; // Speed at which the lock has halved (m/s)
+const STEER_RATE = 2.5; // How fast the front wheels turn (rad/s)
+const HALF_WIDTH = 1.1;
+const HALF_LENGTH = 2.25;
+const BODY_RADIUS = 1.2; // Each end of a car as a circle
+const PIER_RADIUS = 1.1; // Pier columns (createTrack, assets.js), corner to corner
+const BOUNCE = 0.3; // Share of the speed kept, reversed, after hitting something
+const CLIMB = 1.5; // Largest step in road height followed from one frame to the next (m)
+const OBSTACLE_HEIGHT = 3.0; // Things further above or below than this are on another level
+const IMPACT_SPEED = 1.0; // Slower knocks than this (m/s) are just nudges
+
+export class ManualDriving extends THREE.EventDispatcher {
+    // `vehicle` has a `group` and, in traffic, a `driver`; `traffic` (TrafficSystem) is optional
+    constructor(vehicle, network, traffic = null) {
+        super();
+        this.vehicle = vehicle;
+        this.network = network;
+        this.traffic = traffic;
+        this.active = false;
+        this.speed = 0; // m/s along the heading, negative reversing
+        this.heading = 0; // Radians; the car faces (sin, 0, cos)
+        this.steer = 0; // Front wheel angle, radians left
+        this.grade = 0; // Rise over run under the car
+        this.piers = Object.values(TRACKS).flatMap(track => getPierPositions(track.curve, PIER_SPACING, track.pierShifts))
+            .map(pier => new THREE.Vector3(pier.position.x, pier.groundY, pier.position.z));
+    }
+
+    // Take the wheel from wherever the vehicle is (out of its garage if parked)
+    begin() {
+        const driver = this.vehicle.driver;
+        if (this.traffic && driver) this.traffic.takeOver(driver);
+        const group = this.vehicle.group;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(group.quaternion);
+        this.heading = Math.atan2(forward.x, forward.z);
+        this.speed = driver ? driver.speed : 0;
+        this.steer = 0;
+        this.grade = 0;
+        this.active = true;
+    }
+
+    // Give it back to the traffic model
+    end() {
+        if (!this.active) return;
+        this.active = false;
+        const driver = this.vehicle.driver;
+        if (this.traffic && driver) {
+            driver.speed = Math.max(0, this.speed);
+            this.traffic.handBack(driver);
+        }
+    }
+
+    forward(heading = this.heading) {
+        return new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+    }
+
+    // Every corner of the car on a road at about height y
+    fits(x, z, y, heading) {
+        const f = this.forward(heading);
+        for (const [along, across] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+            const cx = x + f.x * along * HALF_LENGTH + f.z * across * HALF_WIDTH;
+            const cz = z + f.z * along * HALF_LENGTH - f.x * across * HALF_WIDTH;
+            if (!this.network.getSurface(cx, cz, y, CLIMB)) return false;
+        }
+        return true;
+    }
+
+    // Push `position` out of piers and other vehicles; returns the direction of the deepest
+    // push, or null if nothing was hit
+    collide(position, heading) {
+        const f = this.forward(heading);
+        const offset = HALF_LENGTH - BODY_RADIUS;
+        const obstacles = [];
+        const near = (p) => Math.abs(p.y - position.y) < OBSTACLE_HEIGHT && Math.abs(p.x - position.x) < 10 && Math.abs(p.z - position.z) < 10;
+
+        this.piers.forEach(p => {
+            if (near(p)) obstacles.push({ x: p.x, z: p.z, radius: PIER_RADIUS });
+        });
+        if (this.traffic) {
+            this.traffic.drivers.forEach(other => {
+                const group = other.vehicle.group;
+                if (other === this.vehicle.driver || !group.visible || !near(group.position)) return;
+                const of = new THREE.Vector3(0, 0, 1).applyQuaternion(group.quaternion);
+                [-1, 1].forEach(end => obstacles.push({
+                    x: group.position.x + of.x * end * offset,
+                    z: group.position.z + of.z * end * offset,
+                    radius: BODY_RADIUS
+                }));
+            });
+        }
+
+        let hit = null;
+        let deepest = 0;
+        [-1, 1].forEach(end => {
+            obstacles.forEach(o => {
+                const ex = position.x + f.x * end * offset;
+                const ez = position.z + f.z * end * offset;
+                const dx = ex - o.x;
+                const dz = ez - o.z;
+                const dist = Math.hypot(dx, dz);
+                const depth = BODY_RADIUS + o.radius - dist;
+                if (depth <= 0) return;
+                const normal = dist > 1e-6 ? new THREE.Vector3(dx / dist, 0, dz / dist) : f.clone().multiplyScalar(-end);
+                position.addScaledVector(normal, depth);
+                if (depth > deepest) {
+                    deepest = depth;
+                    hit = normal;
+                }
+            });
+        });
+        return hit;
+    }
+
+    bounce() {
+        if (Math.abs(this.speed) > IMPACT_SPEED) this.dispatchEvent({ type: 'impact', speed: Math.abs(this.speed) });
+        this.speed *= -BOUNCE;
+    }
+
+    // `controls` from DriveInput.read(), or null to coast
+    update(delta, controls) {
+        if (!this.active || isNaN(delta) || delta <= 0) return;
+        const dt = Math.min(delta, 0.1);
+        const throttle = controls ? controls.throttle : 0;
+        const brake = controls ? controls.brake : 0;
+        const steer = controls ? controls.steer : 0;
+
+        // --- SPEED ---
+        let accel = -ROLLING * this.speed - DRAG * this.speed * Math.abs(this.speed) - GRAVITY * this.grade;
+        if (this.speed > 0.1) {
+            accel += ENGINE * throttle - BRAKING * brake;
+        } else if (this.speed < -0.1) {
+            accel += BRAKING * throttle - REVERSE_ACCEL * brake;
+        } else {
+            accel += ENGINE * throttle - REVERSE_ACCEL * brake;
+        }
+        const before = this.speed;
+        this.speed += accel * dt;
+        // Brakes stop the car rather than reversing it, and hold it there with nothing pressed
+        if (before > 0 && this.speed < 0 && throttle === 0) this.speed = 0;
+        if (before < 0 && this.speed > 0 && brake === 0) this.speed = 0;
+        if (Math.abs(this.speed) < 0.1 && throttle === 0 && brake === 0) this.speed = 0;
+        this.speed = Math.max(this.speed, -MAX_REVERSE);
+
+        // --- STEERING ---
+        const lock = MAX_STEER / (1 + Math.abs(this.speed) / STEER_FADE);
+        const wheel = -steer * lock;
+        this.steer += THREE.MathUtils.clamp(wheel - this.steer, -STEER_RATE * dt, STEER_RATE * dt);
+        const heading = this.heading + this.speed / WHEELBASE * Math.tan(this.steer) * dt;
+
+        // --- MOVE ---
+        const group = this.vehicle.group;
+        const from = group.position;
+        const next = from.clone().addScaledVector(this.forward(heading), this.speed * dt);
+
+        const travel = Math.abs(this.speed * dt);
+        const hit = this.collide(next, heading);
+        if (hit && hit.dot(this.forward(heading)) * this.speed < 0) this.bounce();
+
+        // Curbs: slide along them where the road runs square to the axes, otherwise stop. A car
+        // that is somehow off the road already may drive back onto it.
+        const slide = (moved) => { if (travel > 1e-6) this.speed *= Math.min(1, moved / travel); };
+        if (this.fits(next.x, next.z, from.y, heading) || !this.fits(from.x, from.z, from.y, this.heading)) {
+            this.heading = heading;
+        } else if (this.fits(next.x, from.z, from.y, heading)) {
+            slide(Math.abs(next.x - from.x));
+            next.z = from.z;
+            this.heading = heading;
+        } else if (this.fits(from.x, next.z, from.y, heading)) {
+            slide(Math.abs(next.z - from.z));
+            next.x = from.x;
+            this.heading = heading;
+        } else {
+            next.copy(from);
+            if (this.fits(from.x, from.z, from.y, heading)) this.heading = heading;
+            this.bounce();
+        }
+
+        // --- ON THE ROAD ---
+        const f = this.forward();
+        const height = (x, z) => {
+            const surface = this.network.getSurface(x, z, from.y, CLIMB);
+            return surface ? surface.height : from.y;
+        };
+        const front = height(next.x + f.x * HALF_LENGTH, next.z + f.z * HALF_LENGTH);
+        const rear = height(next.x - f.x * HALF_LENGTH, next.z - f.z * HALF_LENGTH);
+        this.grade = (front - rear) / (2 * HALF_LENGTH);
+        next.y = height(next.x, next.z);
+
+        group.position.copy(next);
+        group.rotation.set(-Math.atan(this.grade), this.heading, 0, 'YXZ');
+
+        if (this.traffic && this.vehicle.driver) this.traffic.track(this.vehicle.driver, this.speed, f);
+    }
+
+    getSpeed() {
+        return this.speed;
+    }
+}
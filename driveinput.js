@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+
+// --- DRIVE INPUT ---
+// Axes for driving the taxi by hand (drive.js), whatever the device:
+//   steer     -1..1  right (+) / left (-)
+//   throttle   0..1
+//   brake      0..1  reverses once stopped
+// Keyboard or gamepad; the device used last drives. Asking for the autopilot dispatches an
+// 'autopilot' event instead of moving an axis.
+
+export const DRIVE_ACTIONS = {
+    throttle: 'Accelerate',
+    brake: 'Brake / Reverse',
+    steerLeft: 'Steer Left',
+    steerRight: 'Steer Right',
+    autopilot: 'Autopilot'
+};
+
+// KeyboardEvent.code values, as in flightinput.js
+export const DRIVE_BINDINGS = {
+    throttle: ['KeyW', 'ArrowUp'],
+    brake: ['KeyS', 'ArrowDown'],
+    steerLeft: ['KeyA', 'ArrowLeft'],
+    steerRight: ['KeyD', 'ArrowRight'],
+    autopilot: ['KeyP']
+};
+
+const GAMEPAD_BUTTONS = {
+    throttle: 7, // Right trigger
+    brake: 6, // Left trigger
+    autopilot: 3 // Y / triangle
+};
+const DEAD_ZONE = 0.15; // Stick travel ignored around center
+const KEY_STEER_RATE = 3.0; // Keyboard steering winds on and off at this rate (1/s), for gentle taps
+
+export class DriveInput extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.enabled = false;
+        this.pressed = new Set();
+        this.keySteer = 0;
+        this.lastDevice = null; // 'gamepad' | 'keyboard'
+        this.gamepadAutopilot = false; // Button held last frame, so one press is one event
+        this.axes = { steer: 0, throttle: 0, brake: 0 };
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = () => this.pressed.clear();
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.pressed.clear();
+            this.keySteer = 0;
+        }
+    }
+
+    isActionDown(action) {
+        return DRIVE_BINDINGS[action].some(code => this.pressed.has(code));
+    }
+
+    onKeyDown(e) {
+        if (!this.enabled) return;
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+        const action = Object.keys(DRIVE_BINDINGS).find(a => DRIVE_BINDINGS[a].includes(e.code));
+        if (!action) return;
+        // Keep arrows from scrolling or pressing the focused dock button
+        e.preventDefault();
+        this.lastDevice = 'keyboard';
+        if (action === 'autopilot') {
+            if (!e.repeat) this.dispatchEvent({ type: 'autopilot' });
+            return;
+        }
+        this.pressed.add(e.code);
+    }
+
+    onKeyUp(e) {
+        this.pressed.delete(e.code);
+    }
+
+    getGamepad() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        for (let i = 0; i < 4; i++) {
+            if (gamepads[i] && gamepads[i].connected) return gamepads[i];
+        }
+        return null;
+    }
+
+    readGamepad(gp) {
+        const getBtn = (idx) => {
+            if (!gp.buttons || !gp.buttons[idx]) return 0;
+            return typeof gp.buttons[idx] === 'number' ? gp.buttons[idx] : gp.buttons[idx].value;
+        };
+        const x = (gp.axes || [])[0];
+        return {
+            steer: typeof x === 'number' && Math.abs(x) > DEAD_ZONE ? x : 0,
+            throttle: getBtn(GAMEPAD_BUTTONS.throttle),
+            brake: getBtn(GAMEPAD_BUTTONS.brake),
+            autopilot: getBtn(GAMEPAD_BUTTONS.autopilot) > 0.5
+        };
+    }
+
+    readKeyboard(delta) {
+        const target = (this.isActionDown('steerRight') ? 1 : 0) - (this.isActionDown('steerLeft') ? 1 : 0);
+        const step = isNaN(delta) ? 1 : KEY_STEER_RATE * delta;
+        // Straight back to center when let go or reversed, gradually out from it
+        if (target === 0 || target * this.keySteer < 0) this.keySteer = 0;
+        this.keySteer = THREE.MathUtils.clamp(this.keySteer + THREE.MathUtils.clamp(target - this.keySteer, -step, step), -1, 1);
+        return {
+            steer: this.keySteer,
+            throttle: this.isActionDown('throttle') ? 1 : 0,
+            brake: this.isActionDown('brake') ? 1 : 0
+        };
+    }
+
+    // Current axes, or null while nothing is driving
+    read(delta) {
+        if (!this.enabled) return null;
+
+        const gp = this.getGamepad();
+        let gamepadAxes = null;
+        if (gp) {
+            gamepadAxes = this.readGamepad(gp);
+            if (gamepadAxes.autopilot && !this.gamepadAutopilot) this.dispatchEvent({ type: 'autopilot' });
+            this.gamepadAutopilot = gamepadAxes.autopilot;
+            const touched = gamepadAxes.steer || gamepadAxes.throttle > 0.05 || gamepadAxes.brake > 0.05;
+            if (touched || !this.lastDevice) this.lastDevice = 'gamepad';
+        }
+
+        let axes = null;
+        if (this.lastDevice === 'gamepad' && gamepadAxes) axes = gamepadAxes;
+        else if (this.lastDevice === 'keyboard') axes = this.readKeyboard(delta);
+        if (!axes) return null;
+
+        this.axes.steer = axes.steer;
+        this.axes.throttle = axes.throttle;
+        this.axes.brake = axes.brake;
+        return this.axes;
+    }
+}
@@ -0,0 +1,338 @@
+import * as THREE from 'three';
+import { Pedestrian } from './passengers.js';
+
+// --- FARE RULES ---
+// Tariff, tipping and the curbside stands of the taxi game (data/fares.json). Stands are where a
+// cab pulls up, on the roads of the network (roads.js) closest to each landmark.
+
+const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+const isNonNegative = (v) => isFiniteNumber(v) && v >= 0;
+
+export class FareRules {
+    constructor(data) {
+        FareRules.validate(data);
+        ['flagFall', 'perKilometer', 'perMinute', 'maxTip', 'bumpPenalty', 'allowanceSpeed', 'allowanceSlack', 'patience', 'waiting']
+            .forEach(key => { this[key] = data[key]; });
+        this.stands = data.stands.map(stand => ({ name: stand.name, x: stand.x, z: stand.z }));
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('FareRules: expected an object');
+        ['flagFall', 'perKilometer', 'perMinute', 'maxTip', 'bumpPenalty', 'allowanceSlack'].forEach(key => {
+            if (!isNonNegative(data[key])) throw new Error(`FareRules: ${key} must be a non-negative number`);
+        });
+        ['allowanceSpeed', 'patience'].forEach(key => {
+            if (!(isFiniteNumber(data[key]) && data[key] > 0)) throw new Error(`FareRules: ${key} must be positive`);
+        });
+        if (!Array.isArray(data.stands) || data.stands.length < 2) {
+            throw new Error('FareRules: stands must list at least two places');
+        }
+        if (!Number.isInteger(data.waiting) || data.waiting < 1 || data.waiting >= data.stands.length) {
+            throw new Error('FareRules: waiting must be a whole number from 1 to one less than the stands');
+        }
+        data.stands.forEach((stand, i) => {
+            if (!stand || typeof stand !== 'object') throw new Error(`FareRules: stands[${i}] must be an object`);
+            if (typeof stand.name !== 'string' || !stand.name) throw new Error(`FareRules: stands[${i}].name must be a string`);
+            ['x', 'z'].forEach(key => {
+                if (!isFiniteNumber(stand[key])) throw new Error(`FareRules: stands[${i}].${key} must be a number`);
+            });
+        });
+    }
+}
+
+// --- FARE GAME ---
+// Taxi work for the hand-driven cab (drive.js). People wait at the stands for a while; pull up
+// beside one and stop to take them aboard, then get them to the stand they ask for in time.
+//   IDLE -> FOR_HIRE -> (pull up) BOARDING -> HIRED -> (pull up) FOR_HIRE ...
+// - The meter runs from pickup: flag fall, then distance driven and time taken.
+// - Each trip allows the road distance (roads.js, either way along the roads, as the cab may go)
+//   at allowanceSpeed plus some slack. The share
+//   of it left at the drop-off sets the tip, less bumpPenalty for every knock on the way. Out
+//   of time, the passenger gives up and pays nothing.
+// - The roof sign is lit while the cab is for hire and dark with someone aboard.
+// Events: 'pickup' ({ from, to }), 'dropoff' ({ fare, tip }), 'walkout'
+
+const PICKUP_RANGE = 7; // Cab center to the stand, m
+const STOP_SPEED = 1.0; // Stopped enough to get in or out, m/s
+const CLIMB = 1.5;
+const CURB_PROBE = 8; // Furthest a stand's curb may be from its road point, m
+const SIDEWALK_STEP = 1.0; // People wait this far onto the sidewalk past the curb
+const SIDEWALK_Y = 0.25;
+const RESPAWN_DELAY = { MIN: 4, MAX: 12 }; // Seconds before someone else turns up at a stand
+const BEACON_COLORS = { WAITING: '#33FF88', DESTINATION: '#FFAA22' };
+
+const createBeacon = (color) => {
+    const beacon = new THREE.Mesh(
+        new THREE.CylinderGeometry(1.2, 1.2, 40, 16, 1, true),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide })
+    );
+    beacon.position.y = 20;
+    beacon.userData.dynamic = true;
+    const group = new THREE.Group();
+    group.add(beacon);
+    group.userData.dynamic = true;
+    group.visible = false;
+    return group;
+};
+
+export class FareGame extends THREE.EventDispatcher {
+    // `taxi` is the HeroTaxi (assets.js) with its ManualDriving in `taxi.drive`
+    constructor(scene, taxi, network, rules, random) {
+        super();
+        this.scene = scene;
+        this.taxi = taxi;
+        this.network = network;
+        this.rules = rules;
+        this.random = random;
+        this.stands = rules.stands.map(stand => this.createStand(stand));
+        // Every trip needs a road to time it by
+        this.stands.forEach((from, i) => this.stands.slice(i + 1).forEach(to => {
+            if (!isFinite(this.routeDistance(from, to))) throw new Error(`FareGame: no road joins "${from.name}" and "${to.name}"`);
+        }));
+
+        this.state = 'IDLE';
+        this.waiting = []; // { stand, person, patience, beacon }
+        this.respawn = [];
+        this.leaving = []; // Passengers walking off after a ride
+        this.trip = null; // { from, to, elapsed, distance, bumps, allowance }
+        this.boarding = null; // The waiting fare walking to the cab
+        this.lastPosition = new THREE.Vector3();
+        this.score = 0;
+        this.tips = 0;
+        this.trips = 0;
+
+        this.destinationBeacon = createBeacon(BEACON_COLORS.DESTINATION);
+        scene.add(this.destinationBeacon);
+
+        if (taxi.drive) {
+            taxi.drive.addEventListener('impact', () => {
+                if (this.trip) this.trip.bumps++;
+            });
+        }
+    }
+
+    // A stand's point on the road, and the curb beside it where people wait
+    createStand(config) {
+        const surface = this.network.getSurface(config.x, config.z, 0, CLIMB);
+        if (!surface) throw new Error(`FareGame: stand "${config.name}" is not on a road`);
+        const position = new THREE.Vector3(config.x, surface.height, config.z);
+
+        // Nearest way off the road
+        let best = null;
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+            for (let d = 0.5; d <= CURB_PROBE; d += 0.5) {
+                if (this.network.getSurface(config.x + dx * d, config.z + dz * d, surface.height, CLIMB)) continue;
+                if (!best || d < best.d) best = { dx, dz, d };
+                return;
+            }
+        });
+        if (!best) throw new Error(`FareGame: stand "${config.name}" is not beside a curb`);
+        const reach = best.d + SIDEWALK_STEP;
+        const curb = new THREE.Vector3(config.x + best.dx * reach, surface.height + SIDEWALK_Y, config.z + best.dz * reach);
+        return { name: config.name, position, curb, edge: surface.edge, s: surface.s };
+    }
+
+    isPlaying() {
+        return this.state !== 'IDLE';
+    }
+
+    start() {
+        if (this.isPlaying()) return;
+        this.state = 'FOR_HIRE';
+        this.score = 0;
+        this.tips = 0;
+        this.trips = 0;
+        this.respawn = [];
+        for (let i = 0; i < this.rules.waiting; i++) this.spawnFare();
+        this.taxi.setForHire(true);
+    }
+
+    stop() {
+        if (!this.isPlaying()) return;
+        this.state = 'IDLE';
+        this.waiting.forEach(fare => this.removeFare(fare));
+        this.waiting = [];
+        this.respawn = [];
+        this.boarding = null;
+        this.trip = null;
+        this.destinationBeacon.visible = false;
+        this.taxi.setForHire(null);
+    }
+
+    // Someone new at a stand nobody is waiting at or heading to
+    spawnFare() {
+        const taken = new Set(this.waiting.map(fare => fare.stand));
+        if (this.trip) taken.add(this.trip.to);
+        const free = this.stands.filter(stand => !taken.has(stand));
+        if (free.length === 0) return false;
+        const stand = this.random.pick(free);
+
+        const person = new Pedestrian(this.scene, stand.curb, this.random);
+        const beacon = createBeacon(BEACON_COLORS.WAITING);
+        beacon.position.copy(stand.curb);
+        beacon.visible = true;
+        this.scene.add(beacon);
+        this.waiting.push({ stand, person, patience: this.rules.patience, beacon });
+        return true;
+    }
+
+    removeFare(fare) {
+        fare.person.dispose();
+        this.scene.remove(fare.beacon);
+    }
+
+    scheduleRespawn() {
+        this.respawn.push(this.random.range(RESPAWN_DELAY.MIN, RESPAWN_DELAY.MAX));
+    }
+
+    // Shortest road distance between two stands, the same both ways; Infinity if no road joins them
+    routeDistance(from, to) {
+        const ends = (stand) => [[stand.edge.from, stand.s], [stand.edge.to, stand.edge.length - stand.s]];
+        let best = from.edge === to.edge ? Math.abs(to.s - from.s) : Infinity;
+        ends(from).forEach(([start, before]) => {
+            const distances = this.network.getSurfaceDistances(start);
+            ends(to).forEach(([finish, after]) => {
+                if (distances.has(finish)) best = Math.min(best, before + distances.get(finish) + after);
+            });
+        });
+        return best;
+    }
+
+    getMeter(trip = this.trip) {
+        if (!trip) return 0;
+        const r = this.rules;
+        return r.flagFall + r.perKilometer * trip.distance / 1000 + r.perMinute * trip.elapsed / 60;
+    }
+
+    getTimeLeft() {
+        return this.trip ? Math.max(0, this.trip.allowance - this.trip.elapsed) : 0;
+    }
+
+    // Where to go next: { name, distance } to the pickup nearest the cab or the drop-off
+    getObjective() {
+        const here = this.taxi.group.position;
+        if (this.trip) return { action: 'Drop off', name: this.trip.to.name, distance: here.distanceTo(this.trip.to.position) };
+        let best = null;
+        this.waiting.forEach(fare => {
+            const distance = here.distanceTo(fare.stand.position);
+            if (!best || distance < best.distance) best = { action: 'Pick up', name: fare.stand.name, distance };
+        });
+        return best;
+    }
+
+    isStoppedAt(stand) {
+        const here = this.taxi.group.position;
+        const speed = this.taxi.drive ? Math.abs(this.taxi.drive.getSpeed()) : 0;
+        return speed < STOP_SPEED && Math.abs(here.y - stand.position.y) < CLIMB &&
+            Math.hypot(here.x - stand.position.x, here.z - stand.position.z) < PICKUP_RANGE;
+    }
+
+    startTrip(fare) {
+        const choices = this.stands.filter(stand => stand !== fare.stand);
+        const to = this.random.pick(choices);
+        const r = this.rules;
+        this.trip = {
+            from: fare.stand,
+            to,
+            elapsed: 0,
+            distance: 0,
+            bumps: 0,
+            allowance: r.allowanceSlack + this.routeDistance(fare.stand, to) / r.allowanceSpeed
+        };
+        this.lastPosition.copy(this.taxi.group.position);
+        this.destinationBeacon.position.copy(to.curb);
+        this.destinationBeacon.visible = true;
+        this.state = 'HIRED';
+        this.taxi.setForHire(false);
+        this.scheduleRespawn();
+        this.dispatchEvent({ type: 'pickup', from: fare.stand.name, to: to.name });
+    }
+
+    endTrip(paid) {
+        const trip = this.trip;
+        this.trip = null;
+        this.state = 'FOR_HIRE';
+        this.destinationBeacon.visible = false;
+        this.taxi.setForHire(true);
+        if (!paid) {
+            this.dispatchEvent({ type: 'walkout' });
+            return;
+        }
+
+        const r = this.rules;
+        const fare = this.getMeter(trip);
+        const onTime = THREE.MathUtils.clamp(1 - trip.elapsed / trip.allowance, 0, 1);
+        const tip = fare * r.maxTip * onTime * Math.max(0, 1 - trip.bumps * r.bumpPenalty);
+        const round = (v) => Math.round(v * 100) / 100;
+        this.score = round(this.score + fare + tip);
+        this.tips = round(this.tips + tip);
+        this.trips++;
+
+        // Out by the curb and away up the sidewalk
+        const person = new Pedestrian(this.scene, this.taxi.group.position.clone().setY(trip.to.curb.y), this.random);
+        const onward = trip.to.curb.clone().sub(trip.to.position).setY(0).normalize().multiplyScalar(4).add(trip.to.curb);
+        person.walkTo([trip.to.curb, onward]);
+        this.leaving.push(person);
+        this.dispatchEvent({ type: 'dropoff', fare: round(fare), tip: round(tip) });
+    }
+
+    update(delta) {
+        if (isNaN(delta) || delta <= 0) return;
+
+        this.leaving = this.leaving.filter(person => {
+            if (!person.update(delta)) return true;
+            person.dispose();
+            return false;
+        });
+        if (!this.isPlaying()) return;
+
+        // Waiting fares run out of patience; others turn up in time
+        this.waiting = this.waiting.filter(fare => {
+            if (fare === this.boarding) return true;
+            fare.person.update(delta);
+            fare.patience -= delta;
+            if (fare.patience > 0) return true;
+            this.removeFare(fare);
+            this.scheduleRespawn();
+            return false;
+        });
+        this.respawn = this.respawn.filter(t => t - delta > 0).map(t => t - delta);
+        while (this.waiting.length + this.respawn.length < this.rules.waiting) {
+            if (!this.spawnFare()) break;
+        }
+
+        if (this.state === 'FOR_HIRE') {
+            const fare = this.waiting.find(f => this.isStoppedAt(f.stand));
+            if (fare) {
+                this.boarding = fare;
+                this.state = 'BOARDING';
+                this.scene.remove(fare.beacon);
+                fare.person.walkTo([this.taxi.group.position.clone().setY(fare.stand.curb.y)]);
+            }
+        } else if (this.state === 'BOARDING') {
+            const fare = this.boarding;
+            if (!this.isStoppedAt(fare.stand)) {
+                // Drove off: back to the curb to wait on
+                fare.person.walkTo([fare.stand.curb]);
+                this.scene.add(fare.beacon);
+                this.boarding = null;
+                this.state = 'FOR_HIRE';
+            } else if (fare.person.update(delta)) {
+                this.removeFare(fare);
+                this.waiting = this.waiting.filter(f => f !== fare);
+                this.boarding = null;
+                this.startTrip(fare);
+            }
+        } else if (this.state === 'HIRED') {
+            const trip = this.trip;
+            trip.elapsed += delta;
+            trip.distance += this.taxi.group.position.distanceTo(this.lastPosition);
+            this.lastPosition.copy(this.taxi.group.position);
+            if (trip.elapsed >= trip.allowance) {
+                this.endTrip(false);
+            } else if (this.isStoppedAt(trip.to)) {
+                this.endTrip(true);
+            }
+        }
+    }
+}
@@ -0,0 +1,331 @@
+import * as THREE from 'three';
+
+// --- FLIGHT INPUT ---
+// One set of flight axes for the news helicopter, whatever the device:
+//   pitch       -1..1  forward (+) / back (-)
+//   roll        -1..1  right (+) / left (-)
+//   yaw         -1..1  turn right (+) / left (-)
+//   collective   0..1  rotor lift, 0.5 holds a hover against gravity
+// Gamepad, keyboard, pointer-lock mouse and on-screen touch sticks (touchflight.js) all feed it;
+// the device used last flies.
+
+export const FLIGHT_ACTIONS = {
+    pitchForward: 'Forward',
+    pitchBack: 'Back',
+    rollLeft: 'Slide Left',
+    rollRight: 'Slide Right',
+    yawLeft: 'Turn Left',
+    yawRight: 'Turn Right',
+    collectiveUp: 'Climb',
+    collectiveDown: 'Descend'
+};
+
+// KeyboardEvent.code values, so bindings follow key position rather than layout
+export const DEFAULT_BINDINGS = {
+    pitchForward: ['KeyW', 'ArrowUp'],
+    pitchBack: ['KeyS', 'ArrowDown'],
+    rollLeft: ['KeyA', 'ArrowLeft'],
+    rollRight: ['KeyD', 'ArrowRight'],
+    yawLeft: ['KeyQ'],
+    yawRight: ['KeyE'],
+    collectiveUp: ['Space'],
+    collectiveDown: ['ShiftLeft', 'ShiftRight']
+};
+
+const STORAGE_KEY = 'seattleMonorail.flightBindings';
+const DEAD_ZONE_STORAGE_KEY = 'seattleMonorail.flightDeadZones';
+
+// Stick travel ignored around center, per device (0..MAX_DEAD_ZONE)
+export const DEFAULT_DEAD_ZONES = {
+    gamepad: 0.15,
+    touch: 0.1
+};
+const MAX_DEAD_ZONE = 0.9;
+
+const HOVER_COLLECTIVE = 0.5; // Keyboard collective with neither Climb nor Descend held
+const MOUSE_SENSITIVITY = 0.01; // Stick travel per pixel of mouse movement
+const MOUSE_RETURN = 6.0; // How fast the mouse stick springs back to center (1/s)
+
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'Alt',
+    AltRight: 'R-Alt'
+};
+
+export const formatKeyCode = (code) => {
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+};
+
+const cloneBindings = (bindings) => {
+    const copy = {};
+    Object.keys(bindings).forEach(action => { copy[action] = bindings[action].slice(); });
+    return copy;
+};
+
+const applyDeadZone = (v, zone) => (typeof v === 'number' && Math.abs(v) > zone) ? v : 0;
+
+// Events: 'bindingschange' after a remap or reset, 'deadzoneschange' after setDeadZone()
+export class FlightInput extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        this.enabled = false;
+        this.bindings = this.loadBindings();
+        this.deadZones = { ...this.loadDeadZones(), ...(options.deadZones || {}) };
+        this.touch = null; // TouchFlightControls, see attachTouch()
+        this.pressed = new Set();
+        this.mouseStick = new THREE.Vector2(); // x = yaw, y = pitch
+        this.lockElement = null;
+        this.lastDevice = null; // 'gamepad' | 'keyboard' | 'touch'
+        this.captureAction = null;
+        this.axes = { pitch: 0, roll: 0, yaw: 0, collective: 0 };
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onBlur = () => this.pressed.clear();
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+        document.addEventListener('mousemove', this.onMouseMove);
+    }
+
+    // --- BINDINGS ---
+    loadBindings() {
+        const bindings = cloneBindings(DEFAULT_BINDINGS);
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && typeof stored === 'object') {
+                Object.keys(FLIGHT_ACTIONS).forEach(action => {
+                    const codes = stored[action];
+                    if (Array.isArray(codes) && codes.every(c => typeof c === 'string')) bindings[action] = codes.slice();
+                });
+            }
+        } catch (e) {
+            console.warn('Ignoring saved flight bindings', e);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Could not save flight bindings', e);
+        }
+    }
+
+    // Bind `codes` to `action`, taking them away from any other action
+    setBinding(action, codes) {
+        if (!FLIGHT_ACTIONS[action]) return;
+        Object.keys(this.bindings).forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(code => !codes.includes(code));
+        });
+        this.bindings[action] = codes.slice();
+        this.pressed.clear();
+        this.saveBindings();
+        this.dispatchEvent({ type: 'bindingschange' });
+    }
+
+    resetBindings() {
+        this.bindings = cloneBindings(DEFAULT_BINDINGS);
+        this.pressed.clear();
+        this.saveBindings();
+        this.dispatchEvent({ type: 'bindingschange' });
+    }
+
+    getBindingLabel(action) {
+        const codes = this.bindings[action] || [];
+        return codes.length > 0 ? codes.map(formatKeyCode).join(' / ') : '—';
+    }
+
+    // The next key pressed becomes the binding for `action` (Escape cancels)
+    captureBinding(action) {
+        this.captureAction = FLIGHT_ACTIONS[action] ? action : null;
+    }
+
+    isCapturing() {
+        return this.captureAction !== null;
+    }
+
+    isBound(code) {
+        return Object.keys(this.bindings).some(action => this.bindings[action].includes(code));
+    }
+
+    isActionDown(action) {
+        return (this.bindings[action] || []).some(code => this.pressed.has(code));
+    }
+
+    // --- DEAD-ZONES ---
+    loadDeadZones() {
+        const zones = { ...DEFAULT_DEAD_ZONES };
+        try {
+            const stored = JSON.parse(localStorage.getItem(DEAD_ZONE_STORAGE_KEY) || 'null');
+            if (stored && typeof stored === 'object') {
+                Object.keys(DEFAULT_DEAD_ZONES).forEach(device => {
+                    const zone = stored[device];
+                    if (typeof zone === 'number' && zone >= 0 && zone <= MAX_DEAD_ZONE) zones[device] = zone;
+                });
+            }
+        } catch (e) {
+            console.warn('Ignoring saved dead-zones', e);
+        }
+        return zones;
+    }
+
+    setDeadZone(device, zone) {
+        if (!(device in DEFAULT_DEAD_ZONES) || typeof zone !== 'number' || isNaN(zone)) return;
+        this.deadZones[device] = THREE.MathUtils.clamp(zone, 0, MAX_DEAD_ZONE);
+        try {
+            localStorage.setItem(DEAD_ZONE_STORAGE_KEY, JSON.stringify(this.deadZones));
+        } catch (e) {
+            console.warn('Could not save dead-zones', e);
+        }
+        this.dispatchEvent({ type: 'deadzoneschange' });
+    }
+
+    // --- DEVICES ---
+    attachTouch(touchControls) {
+        this.touch = touchControls;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.captureAction = null;
+        if (!enabled) {
+            this.pressed.clear();
+            this.mouseStick.set(0, 0);
+            this.exitPointerLock();
+        }
+    }
+
+    requestPointerLock(element) {
+        if (!this.enabled || !element || !element.requestPointerLock) return;
+        this.lockElement = element;
+        const request = element.requestPointerLock();
+        // Chrome returns a promise that rejects if the user backs out quickly
+        if (request && request.catch) request.catch(() => {});
+    }
+
+    exitPointerLock() {
+        if (this.isPointerLocked() && document.exitPointerLock) document.exitPointerLock();
+    }
+
+    isPointerLocked() {
+        return !!this.lockElement && document.pointerLockElement === this.lockElement;
+    }
+
+    onKeyDown(e) {
+        if (!this.enabled) return;
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+
+        if (this.captureAction) {
+            e.preventDefault();
+            if (e.code !== 'Escape') this.setBinding(this.captureAction, [e.code]);
+            this.captureAction = null;
+            this.dispatchEvent({ type: 'bindingschange' });
+            return;
+        }
+
+        if (!this.isBound(e.code)) return;
+        // Keep Space/arrows from scrolling or pressing the focused dock button
+        e.preventDefault();
+        this.pressed.add(e.code);
+        this.lastDevice = 'keyboard';
+    }
+
+    onKeyUp(e) {
+        this.pressed.delete(e.code);
+    }
+
+    onMouseMove(e) {
+        if (!this.enabled || !this.isPointerLocked()) return;
+        this.mouseStick.x = THREE.MathUtils.clamp(this.mouseStick.x + e.movementX * MOUSE_SENSITIVITY, -1, 1);
+        this.mouseStick.y = THREE.MathUtils.clamp(this.mouseStick.y - e.movementY * MOUSE_SENSITIVITY, -1, 1);
+        this.lastDevice = 'keyboard';
+    }
+
+    getGamepad() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        for (let i = 0; i < 4; i++) {
+            if (gamepads[i] && gamepads[i].connected) return gamepads[i];
+        }
+        return null;
+    }
+
+    readGamepad(gp) {
+        const axes = gp.axes || [];
+        const deadZone = (v) => applyDeadZone(v, this.deadZones.gamepad);
+        const getBtn = (idx) => {
+            if (!gp.buttons || !gp.buttons[idx]) return 0;
+            return typeof gp.buttons[idx] === 'number' ? gp.buttons[idx] : gp.buttons[idx].value;
+        };
+        return {
+            pitch: -deadZone(axes[1]),
+            roll: deadZone(axes[0]),
+            yaw: deadZone(axes[2]),
+            collective: getBtn(7) // Right trigger
+        };
+    }
+
+    readKeyboard() {
+        const axis = (positive, negative) => (this.isActionDown(positive) ? 1 : 0) - (this.isActionDown(negative) ? 1 : 0);
+        let collective = HOVER_COLLECTIVE;
+        if (this.isActionDown('collectiveUp')) collective = 1;
+        else if (this.isActionDown('collectiveDown')) collective = 0;
+
+        return {
+            pitch: THREE.MathUtils.clamp(axis('pitchForward', 'pitchBack') + this.mouseStick.y, -1, 1),
+            roll: axis('rollRight', 'rollLeft'),
+            yaw: THREE.MathUtils.clamp(axis('yawRight', 'yawLeft') + this.mouseStick.x, -1, 1),
+            collective
+        };
+    }
+
+    readTouch() {
+        const raw = this.touch.getAxes();
+        const zone = this.deadZones.touch;
+        return {
+            pitch: applyDeadZone(raw.pitch, zone),
+            roll: applyDeadZone(raw.roll, zone),
+            yaw: applyDeadZone(raw.yaw, zone),
+            collective: raw.collective
+        };
+    }
+
+    // Current axes, or null while no device is flying
+    read(delta) {
+        if (!this.enabled) return null;
+
+        if (!isNaN(delta)) this.mouseStick.multiplyScalar(Math.exp(-MOUSE_RETURN * delta));
+
+        const gp = this.getGamepad();
+        let gamepadAxes = null;
+        if (gp) {
+            gamepadAxes = this.readGamepad(gp);
+            const touched = gamepadAxes.pitch || gamepadAxes.roll || gamepadAxes.yaw || gamepadAxes.collective > 0.05;
+            if (touched || !this.lastDevice) this.lastDevice = 'gamepad';
+        }
+
+        if (this.touch && this.touch.consumeActivity()) this.lastDevice = 'touch';
+
+        let axes = null;
+        if (this.lastDevice === 'gamepad' && gamepadAxes) axes = gamepadAxes;
+        else if (this.lastDevice === 'keyboard') axes = this.readKeyboard();
+        else if (this.lastDevice === 'touch' && this.touch) axes = this.readTouch();
+        if (!axes) return null;
+
+        Object.assign(this.axes, axes);
+        return this.axes;
+    }
+}
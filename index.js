@@ -2,10 +2,36 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
-import { TRACK_LEFT, TRACK_RIGHT, COLORS } from './constants.js';
+import { COLORS, TRAFFIC_PATH, TRACK_HEIGHT } from './constants.js';
+import { TRACKS, TRACK_LEFT, TRACK_RIGHT, validateTracks } from './tracks.js';
 import { createTrack, createEnvironment, animatedObjects, clearAnimatedObjects } from './assets.js';
 import { Train } from './train.js';
-import { setupAudio } from './audio.js';
+import { Timetable } from './schedule.js';
+import { StationAnnouncements, ANNOUNCEMENT_EVENTS } from './announcements.js';
+import { PassengerSystem } from './passengers.js';
+import { TrafficSignals } from './signals.js';
+import timetableData from './data/timetable.json' with { type: 'json' };
+import announcementsData from './data/announcements.json' with { type: 'json' };
+import { setupAudio, planAnnouncement, MIXER_BUSES } from './audio.js';
+import { parseSceneLayout, getLayoutFootprints } from './layout.js';
+import sceneData from './data/scene.json' with { type: 'json' };
+import { DayNightCycle } from './daynight.js';
+import { FlightInput, FLIGHT_ACTIONS, DEFAULT_DEAD_ZONES, formatKeyCode } from './flightinput.js';
+import { TouchFlightControls, isTouchDevice } from './touchflight.js';
+import { CollisionWorld } from './collision.js';
+import { FlightPlan, Autopilot } from './autopilot.js';
+import { DriveInput, DRIVE_ACTIONS, DRIVE_BINDINGS } from './driveinput.js';
+import { ManualDriving } from './drive.js';
+import { FareRules, FareGame } from './fares.js';
+import faresData from './data/fares.json' with { type: 'json' };
+import { SpectatorInput, SPECTATOR_ACTIONS, SPECTATOR_BINDINGS } from './spectatorinput.js';
+import { SpectatorCamera } from './spectator.js';
+import { CameraTransition } from './cameratransition.js';
+import { ShotList, CameraDirector } from './director.js';
+import { CameraTrack, CameraRecorder, CameraPlayer } from './cameratrack.js';
+import { Random, createSeed } from './random.js';
+import shotsData from './data/shots.json' with { type: 'json' };
+import flightPlanData from './data/flightplan.json' with { type: 'json' };
 
 // ... existing setup code ...
 const root = document.getElementById('root');
@@ -37,10 +63,9 @@ const scene = new THREE.Scene();
 // Reset animation objects to prevent stale references
 clearAnimatedObjects();
 
-// Golden Hour Sky
-const GOLDEN_SKY = new THREE.Color('#FFAB76');
-scene.background = GOLDEN_SKY;
-scene.fog = new THREE.Fog(GOLDEN_SKY, 200, 1500);
+// Sky & Fog (colors are driven by the day/night cycle)
+scene.background = new THREE.Color('#FFAB76');
+scene.fog = new THREE.Fog(scene.background.clone(), 200, 1500);
 
 // Create an environment map to allow metallic materials to reflect light
 const pmremGenerator = new THREE.PMREMGenerator(renderer);
@@ -102,6 +127,7 @@ const toggleAudio = () => {
 
 const updateSoundIcon = () => {
     if (iconSound) iconSound.textContent = audioEnabled ? '🔊' : '🔇';
+    if (mixerPanel && !mixerPanel.hidden) renderMixerPanel();
     if (btnSound) {
         // Toggle Active Class
         if (audioEnabled) {
@@ -119,7 +145,80 @@ if (btnSound) {
     });
 }
 
-// --- LIGHTS (Golden Hour Configuration) ---
+// --- AUDIO MIXER ---
+// Volume and mute for each bus, in a panel opened from the dock (kept in localStorage)
+const btnMixer = document.getElementById('btn-mixer');
+const mixerPanel = document.getElementById('mixer-panel');
+
+function renderMixerPanel() {
+    if (!mixerPanel || !audioSystem) return;
+    const { mixer } = audioSystem;
+    mixerPanel.textContent = '';
+
+    const title = document.createElement('div');
+    title.className = 'flight-hint-title';
+    title.textContent = 'Audio Mixer';
+    mixerPanel.appendChild(title);
+
+    Object.keys(MIXER_BUSES).forEach(bus => {
+        const row = document.createElement('div');
+        row.className = 'flight-hint-row';
+
+        const label = document.createElement('span');
+        const updateLabel = () => {
+            label.textContent = `${MIXER_BUSES[bus]} ${Math.round(mixer.getVolume(bus) * 100)}%`;
+        };
+        updateLabel();
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'flight-hint-slider';
+        slider.min = '0';
+        slider.max = '1.5';
+        slider.step = '0.05';
+        slider.value = String(mixer.getVolume(bus));
+        slider.setAttribute('aria-label', `${MIXER_BUSES[bus]} Volume`);
+        slider.addEventListener('input', () => {
+            mixer.setVolume(bus, parseFloat(slider.value));
+            updateLabel();
+        });
+
+        const mute = document.createElement('button');
+        mute.className = 'hint-key';
+        mute.textContent = mixer.isMuted(bus) ? 'Muted' : 'Mute';
+        if (mixer.isMuted(bus)) mute.classList.add('active');
+        mute.setAttribute('aria-label', `Mute ${MIXER_BUSES[bus]}`);
+        mute.addEventListener('click', (e) => {
+            e.stopPropagation();
+            mixer.setMuted(bus, !mixer.isMuted(bus));
+            renderMixerPanel();
+        });
+
+        row.appendChild(label);
+        row.appendChild(slider);
+        row.appendChild(mute);
+        mixerPanel.appendChild(row);
+    });
+
+    if (!audioEnabled) {
+        const note = document.createElement('div');
+        note.className = 'flight-hint-note';
+        note.textContent = 'Sound is off · Tap 🔇 to hear the mix';
+        mixerPanel.appendChild(note);
+    }
+}
+
+if (btnMixer) {
+    btnMixer.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!mixerPanel || !audioSystem) return;
+        mixerPanel.hidden = !mixerPanel.hidden;
+        btnMixer.classList.toggle('active', !mixerPanel.hidden);
+        if (!mixerPanel.hidden) renderMixerPanel();
+    });
+}
+
+// --- LIGHTS (Animated by the day/night cycle) ---
 const ambient = new THREE.AmbientLight(0xffffff, 0.3);
 scene.add(ambient);
 
@@ -144,51 +243,797 @@ const fillLight = new THREE.DirectionalLight(0x8844AA, 0.5);
 fillLight.position.set(-100, 50, -100);
 scene.add(fillLight);
 
+// --- SEED ---
+// ?seed=1234 (or any text) rebuilds and replays the same city. Without one a seed is picked and
+// put in the address bar, so a copied link or screenshot can be reproduced.
+const urlParams = new URLSearchParams(window.location.search);
+const seed = urlParams.get('seed') || String(createSeed());
+if (!urlParams.has('seed')) {
+    urlParams.set('seed', seed);
+    window.history.replaceState(null, '', `${window.location.pathname}?${urlParams}${window.location.hash}`);
+}
+const random = new Random(seed);
+
 // --- WORLD ---
-createTrack(TRACK_LEFT, scene);
-createTrack(TRACK_RIGHT, scene);
-createEnvironment(scene, audioSystem ? audioSystem.generator : null);
+const trackGroups = [createTrack(TRACK_LEFT, scene, TRACKS.LEFT.pierShifts), createTrack(TRACK_RIGHT, scene, TRACKS.RIGHT.pierShifts)];
+// City layout comes from data/scene.json; a bad entry throws a SceneLayoutError naming it
+const sceneLayout = parseSceneLayout(sceneData);
+const environment = createEnvironment(scene, audioSystem ? audioSystem.generator : null, sceneLayout, random.fork('city'));
+
+// 5th Ave signals hold the surface traffic at their stop lines (poles are scenery, so built before baking collisions)
+const trafficSystem = animatedObjects.find(obj => obj.constructor.name === 'TrafficSystem');
+const trafficSignals = new TrafficSignals(scene, environment, random.fork('signals'), trafficSystem);
+animatedObjects.push(trafficSignals);
+
+// Static boxes of the city, piers and beams (vehicles are tagged dynamic and left out)
+const collisionWorld = new CollisionWorld();
+collisionWorld.addObject(environment);
+trackGroups.forEach(group => collisionWorld.addObject(group));
+// Buildings between a sound and the camera muffle it
+if (audioSystem) audioSystem.acoustics.setCollisionWorld(collisionWorld);
+
+// Guideway survey: curvature, grade and clearances of data/tracks.json against the city
+validateTracks(TRACKS, { obstacles: getLayoutFootprints(sceneLayout), roadPath: TRAFFIC_PATH }).forEach(report => {
+    report.issues.forEach(issue => {
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`${report.name}: ${issue.message}`);
+    });
+});
 
 // --- TRAINS ---
+const timetable = new Timetable(timetableData);
+
 const redTrain = new Train({
-    id: 'red', color: COLORS.RED_TRAIN, speed: 0.35, direction: 1, initialProgress: 0.05
+    id: 'red', color: COLORS.RED_TRAIN, maxSpeed: 18, direction: 1, initialProgress: 0.05,
+    speedLimits: TRACKS.LEFT.speedLimits, stops: TRACKS.LEFT.stops,
+    schedule: timetable.getTrainSchedule('red')
 }, TRACK_LEFT, scene, audioSystem ? audioSystem.generator : null);
 
 const blueTrain = new Train({
-    id: 'blue', color: COLORS.BLUE_TRAIN, speed: 0.32, direction: -1, initialProgress: 0.95
+    id: 'blue', color: COLORS.BLUE_TRAIN, maxSpeed: 17, direction: -1, initialProgress: 0.95,
+    speedLimits: TRACKS.RIGHT.speedLimits, stops: TRACKS.RIGHT.stops,
+    schedule: timetable.getTrainSchedule('blue')
 }, TRACK_RIGHT, scene, audioSystem ? audioSystem.generator : null);
 
+// --- STATION ANNOUNCEMENTS ---
+// A door chime and announcement from the lead car at every arrival and departure
+// (data/announcements.json), captioned on screen when the camera is near enough to hear it
+const announcements = new StationAnnouncements(announcementsData);
+const CAPTION_RANGE = 250; // m from the lead car, as far as its announcer carries
+const CAPTION_HOLD = 1.5; // Seconds a caption stays up after the announcement ends
+const captionEl = document.getElementById('caption');
+let captionTimer = 0;
 
-// --- ENVIRONMENT INITIALIZATION ---
-// Ensure practical night lights are hidden for the permanent day/golden hour setting
-scene.traverse((child) => {
-    // Hide night lights (street lamps, car headlights)
-    if (child.userData && child.userData.nightLight) {
-        child.visible = false;
+function showCaption(text, duration) {
+    if (!captionEl) return;
+    captionEl.textContent = text;
+    captionEl.hidden = false;
+    captionTimer = duration + CAPTION_HOLD;
+}
+
+function updateCaption(delta) {
+    if (!captionEl || captionTimer <= 0 || isNaN(delta)) return;
+    captionTimer -= delta;
+    if (captionTimer <= 0) captionEl.hidden = true;
+}
+
+const _announcerPosition = new THREE.Vector3();
+[['Red Train', 'RED', redTrain], ['Blue Train', 'BLUE', blueTrain]].forEach(([name, mode, train]) => {
+    ANNOUNCEMENT_EVENTS.forEach(event => {
+        train.addEventListener(event, (e) => {
+            const { text, chime } = announcements.get(e.station, event);
+            const duration = train.announcer ? train.announcer.announce(text, chime) : planAnnouncement(text, chime).duration;
+            if (!text) return;
+            train.announcerCar.group.getWorldPosition(_announcerPosition);
+            if (cameraMode === mode || camera.position.distanceTo(_announcerPosition) < CAPTION_RANGE) {
+                showCaption(`${name}: ${text}`, duration);
+            }
+        });
+    });
+});
+
+// --- PASSENGERS ---
+// Per-train counts and load factors: passengerSystem.getLoads()
+const passengerSystem = new PassengerSystem(scene, [redTrain, blueTrain], random.fork('passengers'));
+animatedObjects.push(passengerSystem);
+
+
+// --- DAY / NIGHT CYCLE ---
+// ?hour=21.5 pins the clock at a given hour, ?daylength=120 sets seconds per 24h
+const pinnedHourParam = parseFloat(urlParams.get('hour'));
+const dayLengthParam = parseFloat(urlParams.get('daylength'));
+
+const dayCycle = new DayNightCycle(scene, { sun, hemiLight, ambient, fillLight }, {
+    dayLength: dayLengthParam > 0 ? dayLengthParam : 600,
+    startHour: isNaN(pinnedHourParam) ? 18.5 : pinnedHourParam
+});
+if (!isNaN(pinnedHourParam)) dayCycle.pin();
+
+// --- CLOCK CONTROLS ---
+const clockScrubber = document.getElementById('clock-scrubber');
+const clockLabel = document.getElementById('clock-label');
+const btnClockPin = document.getElementById('btn-clock-pin');
+let isScrubbing = false;
+let lastClockText = '';
+
+function updateClockUI() {
+    const clockText = dayCycle.getTimeString();
+    if (clockLabel && clockText !== lastClockText) {
+        clockLabel.textContent = clockText;
+        lastClockText = clockText;
+    }
+    // Don't fight the user's thumb while they drag
+    if (clockScrubber && !isScrubbing) clockScrubber.value = dayCycle.hour.toFixed(2);
+    if (btnClockPin) {
+        if (dayCycle.pinned) {
+            btnClockPin.classList.add('active');
+        } else {
+            btnClockPin.classList.remove('active');
+        }
     }
-    // Disable lit windows
-    if (child.userData && child.userData.isLitWindow) {
-        if (child.material) {
-            child.material.emissiveIntensity = 0.0;
+}
+
+if (clockScrubber) {
+    clockScrubber.addEventListener('input', () => {
+        isScrubbing = true;
+        dayCycle.setHour(parseFloat(clockScrubber.value));
+    });
+    clockScrubber.addEventListener('change', () => { isScrubbing = false; });
+    clockScrubber.addEventListener('pointerup', () => { isScrubbing = false; });
+}
+
+if (btnClockPin) {
+    btnClockPin.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (dayCycle.pinned) {
+            dayCycle.unpin();
+        } else {
+            dayCycle.pin();
+        }
+        updateClockUI();
+    });
+}
+
+// --- FLIGHT CONTROLS ---
+// Gamepad, keyboard, pointer-lock mouse and touch stick axes for the news helicopter.
+// Bindings and dead-zones are set from the hint panel and kept in localStorage.
+const flightInput = new FlightInput();
+const newsHeli = animatedObjects.find(obj => obj.constructor.name === 'NewsHelicopter');
+if (newsHeli) {
+    newsHeli.input = flightInput;
+    newsHeli.collisionWorld = collisionWorld;
+    // Flies the data/flightplan.json route whenever the helicopter isn't in HELI mode
+    newsHeli.autopilot = new Autopilot(newsHeli, new FlightPlan(flightPlanData));
+}
+
+const touchFlightEl = document.getElementById('touch-flight');
+const touchFlight = touchFlightEl ? new TouchFlightControls(touchFlightEl) : null;
+if (touchFlight) flightInput.attachTouch(touchFlight);
+const hasTouch = isTouchDevice();
+
+const flightHint = document.getElementById('flight-hint');
+
+const DEAD_ZONE_LABELS = { gamepad: 'Gamepad Dead-zone', touch: 'Touch Dead-zone' };
+let heliStatus = null;
+
+function updateHeliStatus() {
+    if (!heliStatus || !newsHeli) return;
+    if (newsHeli.crashTimer > 0) {
+        heliStatus.textContent = 'Crashed! Returning to the news tower…';
+        heliStatus.classList.add('danger');
+    } else {
+        heliStatus.textContent = `Airframe ${Math.round(newsHeli.health)}%`;
+        if (newsHeli.health < 35) {
+            heliStatus.classList.add('danger');
+        } else {
+            heliStatus.classList.remove('danger');
         }
     }
+}
+
+function renderFlightHint() {
+    if (!flightHint) return;
+    flightHint.textContent = '';
+
+    const title = document.createElement('div');
+    title.className = 'flight-hint-title';
+    title.textContent = 'Heli Controls';
+    flightHint.appendChild(title);
+
+    heliStatus = document.createElement('div');
+    heliStatus.className = 'flight-hint-status';
+    flightHint.appendChild(heliStatus);
+    updateHeliStatus();
+
+    // Key rows are no use on a phone; the sticks are self-explanatory
+    const keyActions = hasTouch ? [] : Object.keys(FLIGHT_ACTIONS);
+    keyActions.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'flight-hint-row';
+
+        const label = document.createElement('span');
+        label.textContent = FLIGHT_ACTIONS[action];
+
+        const key = document.createElement('button');
+        key.className = 'hint-key';
+        const capturing = flightInput.captureAction === action;
+        key.textContent = capturing ? 'Press a key…' : flightInput.getBindingLabel(action);
+        if (capturing) key.classList.add('active');
+        key.setAttribute('aria-label', `Rebind ${FLIGHT_ACTIONS[action]}`);
+        key.addEventListener('click', (e) => {
+            e.stopPropagation();
+            flightInput.captureBinding(action);
+            renderFlightHint();
+        });
+
+        row.appendChild(label);
+        row.appendChild(key);
+        flightHint.appendChild(row);
+    });
+
+    Object.keys(DEFAULT_DEAD_ZONES).forEach(device => {
+        const row = document.createElement('div');
+        row.className = 'flight-hint-row';
+
+        const label = document.createElement('span');
+        label.textContent = `${DEAD_ZONE_LABELS[device] || device} ${Math.round(flightInput.deadZones[device] * 100)}%`;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'flight-hint-slider';
+        slider.min = '0';
+        slider.max = '0.5';
+        slider.step = '0.01';
+        slider.value = String(flightInput.deadZones[device]);
+        slider.setAttribute('aria-label', DEAD_ZONE_LABELS[device] || device);
+        slider.addEventListener('input', () => {
+            flightInput.setDeadZone(device, parseFloat(slider.value));
+            label.textContent = `${DEAD_ZONE_LABELS[device] || device} ${Math.round(flightInput.deadZones[device] * 100)}%`;
+        });
+
+        row.appendChild(label);
+        row.appendChild(slider);
+        flightHint.appendChild(row);
+    });
+
+    if (hasTouch) return;
+
+    const note = document.createElement('div');
+    note.className = 'flight-hint-note';
+    note.textContent = flightInput.isPointerLocked()
+        ? 'Mouse turns and pitches · Esc releases'
+        : 'Click the view to fly with the mouse · Click a key to rebind';
+    flightHint.appendChild(note);
+
+    const reset = document.createElement('button');
+    reset.className = 'hint-key';
+    reset.textContent = 'Reset Keys';
+    reset.addEventListener('click', (e) => {
+        e.stopPropagation();
+        flightInput.resetBindings();
+    });
+    flightHint.appendChild(reset);
+}
+
+flightInput.addEventListener('bindingschange', renderFlightHint);
+if (newsHeli) {
+    newsHeli.addEventListener('impact', updateHeliStatus);
+    newsHeli.addEventListener('crash', updateHeliStatus);
+    newsHeli.addEventListener('reset', updateHeliStatus);
+}
+document.addEventListener('pointerlockchange', renderFlightHint);
+renderFlightHint();
+
+// --- TAXI DRIVING ---
+// Keyboard or gamepad driving of the taxi in DRIVE mode; it rejoins traffic on leaving it
+const driveInput = new DriveInput();
+const heroTaxi = animatedObjects.find(obj => obj.constructor.name === 'HeroTaxi');
+let fareGame = null;
+if (heroTaxi && trafficSystem) {
+    heroTaxi.input = driveInput;
+    heroTaxi.drive = new ManualDriving(heroTaxi, trafficSystem.network, trafficSystem);
+    // Fares to pick up by the landmarks (data/fares.json), started from the drive panel
+    fareGame = new FareGame(scene, heroTaxi, trafficSystem.network, new FareRules(faresData), random.fork('fares'));
+    animatedObjects.push(fareGame);
+}
+
+const driveHint = document.getElementById('drive-hint');
+let driveStatus = null;
+let fareStatus = null;
+let fareMessage = null;
+let fareMessageTimer = 0;
+let lastDriveText = '';
+let lastFareText = '';
+
+const formatMoney = (v) => `$${v.toFixed(2)}`;
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+
+function showFareMessage(text) {
+    if (!fareMessage) return;
+    fareMessage.textContent = text;
+    fareMessage.hidden = false;
+    fareMessageTimer = 4;
+}
+
+function updateDriveStatus(delta) {
+    if (!driveStatus || !heroTaxi || !heroTaxi.drive) return;
+    const speed = heroTaxi.drive.getSpeed();
+    const text = speed < -0.5 ? `Reverse ${Math.round(-speed * 3.6)} km/h` : `${Math.round(Math.abs(speed) * 3.6)} km/h`;
+    if (text !== lastDriveText) {
+        driveStatus.textContent = text;
+        lastDriveText = text;
+    }
+
+    if (fareMessage && fareMessageTimer > 0) {
+        fareMessageTimer -= delta;
+        if (fareMessageTimer <= 0) fareMessage.hidden = true;
+    }
+    if (!fareStatus || !fareGame || !fareGame.isPlaying()) return;
+    const lines = [`Score ${formatMoney(fareGame.score)} · Tips ${formatMoney(fareGame.tips)} · Trips ${fareGame.trips}`];
+    if (fareGame.trip) lines.push(`Meter ${formatMoney(fareGame.getMeter())} · Time ${formatClock(fareGame.getTimeLeft())}`);
+    const objective = fareGame.getObjective();
+    if (objective) lines.push(`${objective.action}: ${objective.name} ${Math.round(objective.distance)} m`);
+    const fareText = lines.join('\n');
+    if (fareText !== lastFareText) {
+        fareStatus.textContent = fareText;
+        lastFareText = fareText;
+    }
+}
+
+if (fareGame) {
+    fareGame.addEventListener('pickup', (e) => showFareMessage(`Aboard for ${e.to}`));
+    fareGame.addEventListener('dropoff', (e) => showFareMessage(`Paid ${formatMoney(e.fare)} + ${formatMoney(e.tip)} tip`));
+    fareGame.addEventListener('walkout', () => showFareMessage('Out of time: your passenger gave up'));
+}
+
+function renderDriveHint() {
+    if (!driveHint) return;
+    driveHint.textContent = '';
+
+    const title = document.createElement('div');
+    title.className = 'flight-hint-title';
+    title.textContent = 'Taxi Controls';
+    driveHint.appendChild(title);
+
+    driveStatus = document.createElement('div');
+    driveStatus.className = 'flight-hint-status';
+    driveHint.appendChild(driveStatus);
+    lastDriveText = '';
+    updateDriveStatus(0);
+
+    Object.keys(DRIVE_ACTIONS).filter(action => action !== 'autopilot').forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'flight-hint-row';
+        const label = document.createElement('span');
+        label.textContent = DRIVE_ACTIONS[action];
+        const key = document.createElement('span');
+        key.className = 'hint-key';
+        key.textContent = DRIVE_BINDINGS[action].map(formatKeyCode).join(' / ');
+        row.appendChild(label);
+        row.appendChild(key);
+        driveHint.appendChild(row);
+    });
+
+    const note = document.createElement('div');
+    note.className = 'flight-hint-note';
+    note.textContent = 'Gamepad: left stick steers, triggers drive and brake';
+    driveHint.appendChild(note);
+
+    if (fareGame) {
+        fareStatus = document.createElement('div');
+        fareStatus.className = 'flight-hint-status fare-status';
+        fareStatus.hidden = !fareGame.isPlaying();
+        driveHint.appendChild(fareStatus);
+        lastFareText = '';
+
+        fareMessage = document.createElement('div');
+        fareMessage.className = 'flight-hint-note';
+        fareMessage.hidden = true;
+        driveHint.appendChild(fareMessage);
+
+        const fares = document.createElement('button');
+        fares.className = 'hint-key';
+        fares.textContent = fareGame.isPlaying() ? 'End Shift' : 'Start Fares';
+        fares.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (fareGame.isPlaying()) {
+                fareGame.stop();
+            } else {
+                fareGame.start();
+            }
+            renderDriveHint();
+        });
+        driveHint.appendChild(fares);
+    }
+
+    const autopilot = document.createElement('button');
+    autopilot.className = 'hint-key';
+    autopilot.textContent = `${DRIVE_ACTIONS.autopilot} (${DRIVE_BINDINGS.autopilot.map(formatKeyCode).join(' / ')})`;
+    autopilot.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setMode('TAXI');
+    });
+    driveHint.appendChild(autopilot);
+}
+
+// Hand the wheel back and ride along
+driveInput.addEventListener('autopilot', () => {
+    if (cameraMode === 'DRIVE') setMode('TAXI');
+});
+renderDriveHint();
+
+// --- SPECTATOR CAMERAS ---
+// Free flight and first-person walking, WASD with a pointer-lock or dragging mouse. Walking
+// drops onto the floor under the camera and bumps into the baked city (collisionWorld).
+const spectatorInput = new SpectatorInput();
+spectatorInput.attach(renderer.domElement);
+const spectator = new SpectatorCamera(camera, collisionWorld);
+
+// Places to set off on foot, from the scene layout
+const findLandmark = (name) => sceneLayout.find(entry => entry.type === 'landmark' && entry.name === name);
+const walkSpots = [];
+const stationEntry = findLandmark('seattleCenterStation');
+if (stationEntry) {
+    walkSpots.push({ label: 'Seattle Center Platform', x: stationEntry.x - 20, y: TRACK_HEIGHT + 1, z: stationEntry.z + 4, yaw: -Math.PI / 2 });
+    walkSpots.push({ label: 'Spiral Ramp', x: stationEntry.x + 31, y: 1, z: stationEntry.z + 9.2, yaw: 0 });
+}
+const mallEntry = findLandmark('westlakeMall');
+if (mallEntry) walkSpots.push({ label: 'Westlake Atrium', x: mallEntry.x, y: 21, z: mallEntry.z + 16, yaw: 0 });
+
+const spectatorHint = document.getElementById('spectator-hint');
+
+function renderSpectatorHint() {
+    if (!spectatorHint) return;
+    spectatorHint.textContent = '';
+    const walking = cameraMode === 'WALK';
+
+    const title = document.createElement('div');
+    title.className = 'flight-hint-title';
+    title.textContent = walking ? 'Walk Controls' : 'Fly Controls';
+    spectatorHint.appendChild(title);
+
+    Object.keys(SPECTATOR_ACTIONS).filter(action => !(walking && action === 'down')).forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'flight-hint-row';
+        const label = document.createElement('span');
+        label.textContent = walking && action === 'up' ? 'Jump' : SPECTATOR_ACTIONS[action];
+        const key = document.createElement('span');
+        key.className = 'hint-key';
+        key.textContent = SPECTATOR_BINDINGS[action].map(formatKeyCode).join(' / ');
+        row.appendChild(label);
+        row.appendChild(key);
+        spectatorHint.appendChild(row);
+    });
+
+    const note = document.createElement('div');
+    note.className = 'flight-hint-note';
+    note.textContent = spectatorInput.isPointerLocked()
+        ? 'Mouse looks around · Esc releases'
+        : 'Click the view to look with the mouse, or drag';
+    spectatorHint.appendChild(note);
+
+    if (!walking) return;
+    walkSpots.forEach(spot => {
+        const button = document.createElement('button');
+        button.className = 'hint-key';
+        button.textContent = spot.label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            spectator.placeAt(spot.x, spot.y, spot.z, spot.yaw);
+        });
+        spectatorHint.appendChild(button);
+    });
+}
+document.addEventListener('pointerlockchange', () => {
+    if (cameraMode === 'FLY' || cameraMode === 'WALK') renderSpectatorHint();
+});
+
+// --- DIRECTOR ---
+// Demo camera: the scripted shots of data/shots.json in turn, or an auto-director cutting between
+// the live views (and those shots) to wherever something is happening
+const spaceNeedle = animatedObjects.find(obj => obj.constructor.name === 'SpaceNeedle');
+const directorSources = {
+    red: { label: 'Red Train Cab', getPose: () => redTrain.getCameraTarget(), interest: () => redTrain.state === 'MOVING' ? 0.5 : 0.1 },
+    blue: { label: 'Blue Train Cab', getPose: () => blueTrain.getCameraTarget(), interest: () => blueTrain.state === 'MOVING' ? 0.5 : 0.1 }
+};
+if (spaceNeedle) {
+    directorSources.elevator = {
+        label: 'Space Needle Elevator',
+        getPose: () => spaceNeedle.getPOV(),
+        interest: () => spaceNeedle.elevators[0].state.mode === 'wait' ? 0.1 : 0.6
+    };
+}
+if (heroTaxi) directorSources.taxi = { label: 'Taxi Ride-along', getPose: () => heroTaxi.getCameraTarget(), interest: 0.3 };
+if (newsHeli) {
+    directorSources.heli = {
+        label: 'News Helicopter',
+        getPose: () => newsHeli.getPOV(),
+        interest: () => newsHeli.isManual || (newsHeli.autopilot && newsHeli.autopilot.isFlying()) ? 0.7 : 0.05
+    };
+}
+const director = new CameraDirector(camera, new ShotList(shotsData), directorSources);
+
+// Departures are the moments to catch
+[['red', redTrain], ['blue', blueTrain]].forEach(([id, train]) => {
+    train.addEventListener('depart', () => director.notify(id, 2));
+    train.addEventListener('arrive', () => director.notify(id, 1));
+});
+if (newsHeli) newsHeli.addEventListener('crash', () => director.notify('heli', 3));
+
+const directorHint = document.getElementById('director-hint');
+let directorStatus = null;
+
+function renderDirectorHint() {
+    if (!directorHint) return;
+    directorHint.textContent = '';
+
+    const title = document.createElement('div');
+    title.className = 'flight-hint-title';
+    title.textContent = 'Director';
+    directorHint.appendChild(title);
+
+    directorStatus = document.createElement('div');
+    directorStatus.className = 'flight-hint-status';
+    directorStatus.textContent = director.getLabel();
+    directorHint.appendChild(directorStatus);
+
+    [['SHOTS', 'Shot List'], ['AUTO', 'Auto']].forEach(([style, text]) => {
+        const button = document.createElement('button');
+        button.className = 'hint-key';
+        if (director.style === style) button.classList.add('active');
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            director.setStyle(style);
+            renderDirectorHint();
+        });
+        directorHint.appendChild(button);
+    });
+}
+director.addEventListener('cut', () => {
+    if (directorStatus) directorStatus.textContent = director.getLabel();
+});
+
+// --- CAMERA TRACKS ---
+// Record the camera in any mode (⏺ on the dock), then play it back, edit its keys and export it
+// in the Track view. Playback puts the trains, the Needle's elevators and the time of day back
+// where they were; paused, the camera flies free to frame a new key.
+const trackSimulation = {
+    getState: () => ({
+        red: redTrain.getState(),
+        blue: blueTrain.getState(),
+        needle: spaceNeedle ? spaceNeedle.getState() : null,
+        hour: dayCycle.hour
+    }),
+    setState: (state) => {
+        if (state.red) redTrain.setState(state.red);
+        if (state.blue) blueTrain.setState(state.blue);
+        if (spaceNeedle && state.needle) spaceNeedle.setState(state.needle);
+        if (typeof state.hour === 'number') dayCycle.setHour(state.hour);
+    },
+    step: (delta) => stepSimulation(delta)
+};
+const cameraRecorder = new CameraRecorder(camera, trackSimulation);
+const cameraPlayer = new CameraPlayer(camera, trackSimulation);
+const THIN_INTERVAL = 0.5; // Seconds between keys left by Thin Keys
+
+const trackHint = document.getElementById('track-hint');
+const btnRecord = document.getElementById('btn-record');
+let trackStatus = null;
+let trackMessage = null;
+
+function updateRecordButton() {
+    if (btnRecord) btnRecord.classList.toggle('active', cameraRecorder.isRecording());
+}
+
+function stopRecording(track) {
+    updateRecordButton();
+    if (!track) return;
+    cameraPlayer.load(track);
+    if (cameraMode === 'PLAYBACK') renderTrackHint();
+}
+
+function toggleRecording() {
+    if (cameraRecorder.isRecording()) {
+        stopRecording(cameraRecorder.stop());
+    } else if (cameraMode !== 'PLAYBACK') {
+        cameraRecorder.start();
+        updateRecordButton();
+    }
+}
+cameraRecorder.addEventListener('stop', (e) => stopRecording(e.track));
+if (btnRecord) btnRecord.addEventListener('click', toggleRecording);
+
+// Paused, the camera is yours to move (and key); playing, the track flies it
+function pauseTrack() {
+    cameraPlayer.pause();
+    spectator.begin('FLY');
+    spectatorInput.setEnabled(true);
+    renderTrackHint();
+}
+
+function playTrack() {
+    spectator.end();
+    spectatorInput.setEnabled(false);
+    cameraPlayer.play();
+    renderTrackHint();
+}
+
+function seekTrack(t) {
+    cameraPlayer.seek(t);
+    cameraPlayer.applyCamera();
+    if (!cameraPlayer.isPlaying()) spectator.begin('FLY');
+    updateTrackStatus();
+}
+cameraPlayer.addEventListener('end', () => {
+    if (cameraMode === 'PLAYBACK') pauseTrack();
+});
+
+function showTrackMessage(text) {
+    if (!trackMessage) return;
+    trackMessage.textContent = text;
+    trackMessage.hidden = !text;
+}
+
+function updateTrackStatus() {
+    const track = cameraPlayer.track;
+    if (!trackStatus || !track) return;
+    const onKey = track.findKey(cameraPlayer.time) >= 0 ? ' · on a key' : '';
+    trackStatus.textContent = `${formatClock(cameraPlayer.time)} / ${formatClock(track.getDuration())} · ${track.keys.length} keys${onKey}`;
+}
+
+function exportTrack() {
+    const blob = new Blob([JSON.stringify(cameraPlayer.track)], { type: 'application/json' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.href = url;
+    link.download = 'camera-track.json';
+    link.click();
+    // The download starts after this returns: revoking now can cancel it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function importTrack(file) {
+    file.text().then(text => {
+        const track = new CameraTrack(JSON.parse(text));
+        cameraPlayer.load(track);
+        renderTrackHint();
+        seekTrack(0);
+    }).catch(err => {
+        console.warn('Camera track import failed:', err);
+        showTrackMessage(`Couldn't load ${file.name}: ${err.message}`);
+    });
+}
+
+function renderTrackHint() {
+    if (!trackHint) return;
+    trackHint.textContent = '';
+    trackStatus = null;
+
+    const title = document.createElement('div');
+    title.className = 'flight-hint-title';
+    title.textContent = 'Camera Track';
+    trackHint.appendChild(title);
+
+    const track = cameraPlayer.track;
+    const playing = cameraPlayer.isPlaying();
+    const buttons = [];
+    if (track) {
+        trackStatus = document.createElement('div');
+        trackStatus.className = 'flight-hint-status';
+        trackHint.appendChild(trackStatus);
+        updateTrackStatus();
+
+        buttons.push([playing ? 'Pause' : 'Play', () => playing ? pauseTrack() : playTrack()]);
+        buttons.push(['⏮ Start', () => seekTrack(0)]);
+        if (!playing) {
+            buttons.push(['◀ Key', () => {
+                const key = track.getPreviousKey(cameraPlayer.time);
+                seekTrack(key ? key.t : 0);
+            }]);
+            buttons.push(['Key ▶', () => {
+                const key = track.getNextKey(cameraPlayer.time);
+                if (key) seekTrack(key.t);
+            }]);
+            buttons.push(['Set Key', () => {
+                track.setKey(cameraPlayer.time, camera);
+                updateTrackStatus();
+            }]);
+            buttons.push(['Delete Key', () => {
+                if (!track.removeKey(track.findKey(cameraPlayer.time))) showTrackMessage('No key to delete here');
+                updateTrackStatus();
+            }]);
+            buttons.push(['Thin Keys', () => {
+                track.thin(THIN_INTERVAL);
+                updateTrackStatus();
+            }]);
+        }
+        buttons.push(['Export', exportTrack]);
+    }
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importTrack(fileInput.files[0]);
+    });
+    trackHint.appendChild(fileInput);
+    buttons.push(['Import', () => fileInput.click()]);
+
+    buttons.forEach(([text, onClick]) => {
+        const button = document.createElement('button');
+        button.className = 'hint-key';
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showTrackMessage('');
+            onClick();
+        });
+        trackHint.appendChild(button);
+    });
+
+    const note = document.createElement('div');
+    note.className = 'flight-hint-note';
+    if (!track) {
+        note.textContent = 'No track yet: press ⏺ to record the camera, or import one';
+    } else if (!playing) {
+        note.textContent = 'Paused: fly to frame a view (WASD, drag to look), then Set Key';
+    }
+    note.hidden = !note.textContent;
+    trackHint.appendChild(note);
+
+    trackMessage = document.createElement('div');
+    trackMessage.className = 'flight-hint-note';
+    trackMessage.hidden = true;
+    trackHint.appendChild(trackMessage);
+}
+
+renderer.domElement.addEventListener('click', () => {
+    if (cameraMode === 'HELI') flightInput.requestPointerLock(renderer.domElement);
+    if (cameraMode === 'FLY' || cameraMode === 'WALK') spectatorInput.requestPointerLock(renderer.domElement);
+    if (cameraMode === 'PLAYBACK' && !cameraPlayer.isPlaying()) spectatorInput.requestPointerLock(renderer.domElement);
 });
 
 // --- LOOP ---
 let cameraMode = 'ORBIT';
 const clock = new THREE.Clock();
 
-function animate() {
-    requestAnimationFrame(animate);
-    const delta = clock.getDelta();
-    
+// Mode changes ease across (?transition=2 sets the seconds, 0 cuts straight to the new view)
+const transitionParam = parseFloat(urlParams.get('transition'));
+const cameraTransition = new CameraTransition(camera, isNaN(transitionParam) ? {} : { duration: Math.max(0, transitionParam) });
+let orbitPosition = null; // Where the orbit camera was when another mode took over
+
+// Everything that moves on its own, one step on
+function stepSimulation(delta) {
+    dayCycle.update(delta);
+
     redTrain.update(delta);
     blueTrain.update(delta);
     
     animatedObjects.forEach(obj => {
         if (obj.update) obj.update(delta);
     });
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+    const delta = clock.getDelta();
+    
+    // A track being played back steps the simulation by its recorded frames instead
+    if (cameraMode === 'PLAYBACK') {
+        cameraPlayer.advance(delta);
+        if (cameraPlayer.isPlaying()) updateTrackStatus();
+    } else {
+        stepSimulation(delta);
+    }
+    updateClockUI();
+    updateCaption(delta);
+    if (cameraMode === 'DRIVE') updateDriveStatus(delta);
     
+    // Back to the mode's own view before it moves the camera (orbit carries on from it)
+    cameraTransition.restore();
+
     // Ensure camera up vector is standard unless overridden by specific modes (like Heli)
     if (cameraMode !== 'HELI') {
         camera.up.set(0, 1, 0);
@@ -209,7 +1054,7 @@ function animate() {
              camera.position.copy(camData.position);
              camera.lookAt(camData.lookAt);
         }
-    } else if (cameraMode === 'TAXI') {
+    } else if (cameraMode === 'TAXI' || cameraMode === 'DRIVE') {
         const taxiObj = animatedObjects.find(obj => obj.constructor.name === 'HeroTaxi');
         if (taxiObj) {
             const camData = taxiObj.getCameraTarget();
@@ -227,9 +1072,23 @@ function animate() {
                 camera.up.copy(camData.up);
             }
         }
+    } else if (cameraMode === 'FLY' || cameraMode === 'WALK') {
+        spectator.update(delta, spectatorInput.read(delta));
+    } else if (cameraMode === 'DIRECTOR') {
+        director.update(delta);
+    } else if (cameraMode === 'PLAYBACK') {
+        if (cameraPlayer.isPlaying()) {
+            cameraPlayer.applyCamera();
+        } else {
+            spectator.update(delta, spectatorInput.read(delta));
+        }
     } else {
         controls.update();
     }
+    cameraTransition.update(delta);
+    cameraRecorder.capture(delta);
+    // Vehicle sounds follow their vehicles and the listener on the camera
+    if (audioSystem) audioSystem.generator.update(delta);
 
     renderer.render(scene, camera);
 }
@@ -237,9 +1096,15 @@ animate();
 
 // --- UI HANDLERS ---
 function setMode(mode) {
+    // Ease over from the view on screen; the camera is left on the old mode's own view
+    cameraTransition.start();
+    const wasSpectating = cameraMode === 'FLY' || cameraMode === 'WALK';
+    if (cameraMode === 'ORBIT' && mode !== 'ORBIT') orbitPosition = camera.position.clone();
+    // Back to the orbit view left earlier, unless coming from flying or walking around
+    if (mode === 'ORBIT' && cameraMode !== 'ORBIT' && !wasSpectating && orbitPosition) camera.position.copy(orbitPosition);
     cameraMode = mode;
     
-    // Adjust FOV for cinematic Heli mode (Wide Angle 12mm equiv ~110deg)
+    // Adjust FOV for cinematic Heli mode (Wide Angle 12mm equiv ~110deg), tweened by the transition
     const targetFOV = (mode === 'HELI') ? 110 : 45;
     if (camera.fov !== targetFOV) {
         camera.fov = targetFOV;
@@ -259,15 +1124,68 @@ function setMode(mode) {
     if (heliObj) {
         heliObj.isManual = (mode === 'HELI');
     }
+    flightInput.setEnabled(mode === 'HELI');
+    if (flightHint) flightHint.hidden = mode !== 'HELI';
+
+    // Taxi: driven by hand in DRIVE, back in traffic otherwise (ending any shift of fares)
+    if (fareGame && mode !== 'DRIVE' && fareGame.isPlaying()) {
+        fareGame.stop();
+        renderDriveHint();
+    }
+    if (heroTaxi) heroTaxi.setManual(mode === 'DRIVE');
+    driveInput.setEnabled(mode === 'DRIVE');
+    if (driveHint) driveHint.hidden = mode !== 'DRIVE';
+    updateHeliStatus();
+    if (touchFlight) touchFlight.setVisible(mode === 'HELI' && hasTouch);
+
+    // Fly / Walk carry on from wherever the camera is; Orbit then turns about what was in view
+    const spectating = mode === 'FLY' || mode === 'WALK';
+    if (spectating) {
+        spectator.begin(mode);
+    } else if (wasSpectating) {
+        if (mode === 'ORBIT') {
+            const target = spectator.getLookTarget(50);
+            controls.target.set(target.x, Math.max(0, target.y), target.z);
+        }
+        spectator.end();
+    }
+    spectatorInput.setEnabled(spectating);
+    if (spectatorHint) spectatorHint.hidden = !spectating;
+    if (spectating) renderSpectatorHint();
+
+    if (mode === 'DIRECTOR') {
+        director.start();
+        renderDirectorHint();
+    }
+    if (directorHint) directorHint.hidden = mode !== 'DIRECTOR';
+
+    // Track: plays from the start (a recording in progress ends there)
+    if (mode === 'PLAYBACK') {
+        if (cameraRecorder.isRecording()) stopRecording(cameraRecorder.stop());
+        if (cameraPlayer.track) {
+            playTrack();
+        } else {
+            pauseTrack();
+        }
+    } else {
+        cameraPlayer.pause();
+        if (!spectating) spectator.end();
+    }
+    if (trackHint) trackHint.hidden = mode !== 'PLAYBACK';
     
     // Update Active States using classList
     const buttons = {
         'ORBIT': document.getElementById('btn-orbit'),
+        'DIRECTOR': document.getElementById('btn-director'),
+        'PLAYBACK': document.getElementById('btn-track'),
         'RED': document.getElementById('btn-red'),
         'BLUE': document.getElementById('btn-blue'),
         'ELEVATOR': document.getElementById('btn-elevator'),
         'TAXI': document.getElementById('btn-taxi'),
-        'HELI': document.getElementById('btn-heli-gamepad')
+        'DRIVE': document.getElementById('btn-taxi-drive'),
+        'HELI': document.getElementById('btn-heli-gamepad'),
+        'FLY': document.getElementById('btn-fly'),
+        'WALK': document.getElementById('btn-walk')
     };
 
     Object.keys(buttons).forEach(key => {
@@ -282,26 +1200,36 @@ function setMode(mode) {
 }
 
 const btnOrbit = document.getElementById('btn-orbit');
+const btnDirector = document.getElementById('btn-director');
+const btnTrack = document.getElementById('btn-track');
 const btnRed = document.getElementById('btn-red');
 const btnBlue = document.getElementById('btn-blue');
 const btnElevator = document.getElementById('btn-elevator');
 const btnTaxi = document.getElementById('btn-taxi');
+const btnTaxiDrive = document.getElementById('btn-taxi-drive');
 const btnHeliGamepad = document.getElementById('btn-heli-gamepad');
+const btnFly = document.getElementById('btn-fly');
+const btnWalk = document.getElementById('btn-walk');
 
 if (btnOrbit) btnOrbit.addEventListener('click', () => setMode('ORBIT'));
+if (btnDirector) btnDirector.addEventListener('click', () => setMode('DIRECTOR'));
+if (btnTrack) btnTrack.addEventListener('click', () => setMode('PLAYBACK'));
 if (btnRed) btnRed.addEventListener('click', () => setMode('RED'));
 if (btnBlue) btnBlue.addEventListener('click', () => setMode('BLUE'));
 if (btnElevator) btnElevator.addEventListener('click', () => setMode('ELEVATOR'));
 if (btnTaxi) btnTaxi.addEventListener('click', () => setMode('TAXI'));
+if (btnTaxiDrive) btnTaxiDrive.addEventListener('click', () => setMode('DRIVE'));
 if (btnHeliGamepad) btnHeliGamepad.addEventListener('click', () => setMode('HELI'));
+if (btnFly) btnFly.addEventListener('click', () => setMode('FLY'));
+if (btnWalk) btnWalk.addEventListener('click', () => setMode('WALK'));
 
 // --- ZOOM CONTROLS ---
 const btnZoomIn = document.getElementById('btn-zoom-in');
 const btnZoomOut = document.getElementById('btn-zoom-out');
 
 const performZoom = (zoomOut) => {
-    // Only zoom in ORBIT mode
-    if (cameraMode !== 'ORBIT') return;
+    // Only zoom in ORBIT mode, once it has settled
+    if (cameraMode !== 'ORBIT' || cameraTransition.isActive()) return;
     
     const distance = camera.position.distanceTo(controls.target);
     // Factor < 1 moves in, > 1 moves out
@@ -0,0 +1,127 @@
+// --- SCENE LAYOUT ---
+// The city is described by a JSON file (data/scene.json) with one typed entry per object:
+//   { "type": "brickBuilding", "x": -25, "z": 30, "floors": 8, "width": 25, "depth": 25, "color": "#8B4513" }
+// Coordinates are world units, rotations are degrees around Y.
+// Any entry may carry an "id" to make validation errors easier to trace.
+
+export const LANDMARKS = [
+    'westlakeMall',
+    'seattleCenterStation',
+    'armory',
+    'muralAmphitheater',
+    'chihulyGarden',
+    'pacificScienceCenter',
+    'spaceNeedle',
+    'mopop',
+    'theater',
+    'newsTower'
+];
+
+// Field kinds: trailing '?' marks an optional field
+const ENTRY_SCHEMAS = {
+    brickBuilding: { x: 'number', z: 'number', floors: 'count', width: 'size', depth: 'size', color: 'color' },
+    glassTower: { x: 'number', z: 'number', floors: 'count', width: 'size', color: 'color' },
+    brutalistBlock: { x: 'number', z: 'number', height: 'size', width: 'size' },
+    stackedApartments: { x: 'number', z: 'number' },
+    lamp: { x: 'number', z: 'number', y: 'number?', rotation: 'number?' },
+    tree: { x: 'number', z: 'number' },
+    landmark: { name: 'landmark', x: 'number', z: 'number', rotation: 'number?' }
+};
+
+const FIELD_CHECKS = {
+    number: (v) => (typeof v === 'number' && isFinite(v)) ? null : 'must be a number',
+    size: (v) => (typeof v === 'number' && isFinite(v) && v > 0) ? null : 'must be a positive number',
+    count: (v) => (Number.isInteger(v) && v > 0) ? null : 'must be a positive integer',
+    color: (v) => (typeof v === 'string' && /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(v)) ? null : 'must be a hex color like "#AABBCC"',
+    landmark: (v) => LANDMARKS.includes(v) ? null : `must be one of ${LANDMARKS.join(', ')}`
+};
+
+export class SceneLayoutError extends Error {
+    constructor(problems) {
+        super(`Invalid scene layout:\n${problems.map(p => `  ${p.label}: ${p.message}`).join('\n')}`);
+        this.name = 'SceneLayoutError';
+        this.problems = problems;
+    }
+}
+
+const describeEntry = (entry, index) => {
+    if (!entry || typeof entry !== 'object') return `entry #${index}`;
+    const type = entry.type || 'untyped';
+    const name = entry.id || entry.name;
+    const where = (typeof entry.x === 'number' && typeof entry.z === 'number') ? ` at (${entry.x}, ${entry.z})` : '';
+    return `entry #${index} (${type}${name ? ` "${name}"` : ''}${where})`;
+};
+
+const validateEntry = (entry, index) => {
+    const label = describeEntry(entry, index);
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return [{ index, label, message: 'must be an object' }];
+    }
+
+    const schema = ENTRY_SCHEMAS[entry.type];
+    if (!schema) {
+        return [{ index, label, message: `unknown type "${entry.type}" (expected ${Object.keys(ENTRY_SCHEMAS).join(', ')})` }];
+    }
+
+    const problems = [];
+    Object.keys(schema).forEach(field => {
+        const optional = schema[field].endsWith('?');
+        const kind = schema[field].replace('?', '');
+        if (entry[field] === undefined) {
+            if (!optional) problems.push({ index, label, message: `"${field}" is required` });
+            return;
+        }
+        const error = FIELD_CHECKS[kind](entry[field]);
+        if (error) problems.push({ index, label, message: `"${field}" ${error}` });
+    });
+
+    // Catch typos like "widht" instead of silently ignoring them
+    Object.keys(entry).forEach(field => {
+        if (field !== 'type' && field !== 'id' && !schema[field]) {
+            problems.push({ index, label, message: `unexpected field "${field}"` });
+        }
+    });
+
+    return problems;
+};
+
+// Returns the validated entry list, or throws a SceneLayoutError naming every bad entry
+export function parseSceneLayout(data) {
+    if (!data || !Array.isArray(data.entries)) {
+        throw new SceneLayoutError([{ index: -1, label: 'scene file', message: '"entries" must be an array' }]);
+    }
+
+    const problems = [];
+    data.entries.forEach((entry, index) => {
+        problems.push(...validateEntry(entry, index));
+    });
+    if (problems.length > 0) throw new SceneLayoutError(problems);
+
+    return data.entries;
+}
+
+// Plan-view extents of the building entries: { label, minX, maxX, minZ, maxZ, height }.
+// Landmarks are left out; they are modelled around the guideway.
+const FOOTPRINTS = {
+    brickBuilding: (e) => ({ width: e.width, depth: e.depth, height: 5 + e.floors * 4 }),
+    glassTower: (e) => ({ width: e.width, depth: e.width, height: e.floors * 5 }),
+    brutalistBlock: (e) => ({ width: e.width, depth: e.width, height: e.height }),
+    stackedApartments: () => ({ width: 16, depth: 16, height: 62 }) // Blocks jut out up to 16m wide
+};
+
+export function getLayoutFootprints(entries) {
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => FOOTPRINTS[entry.type])
+        .map(({ entry, index }) => {
+            const { width, depth, height } = FOOTPRINTS[entry.type](entry);
+            return {
+                label: describeEntry(entry, index),
+                minX: entry.x - width / 2,
+                maxX: entry.x + width / 2,
+                minZ: entry.z - depth / 2,
+                maxZ: entry.z + depth / 2,
+                height
+            };
+        });
+}
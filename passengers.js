@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import { createPedestrianMesh } from './assets.js';
+import { Station } from './constants.js';
+
+const WALK_SPEED = 1.4; // m/s
+const QUEUE_SLOTS = 12; // Waiting spots per train per platform
+const DOOR_INTERVAL = 0.4; // Seconds between people stepping through a door
+const BOARDING_CUTOFF = 1.5; // Stop sending people to the doors this close to departure
+const CAR_HALF_WIDTH = 1.3;
+
+// Where people enter and leave each terminal, and the level they wait on
+const STATION_AREAS = {
+    [Station.SEATTLE_CENTER]: {
+        floorY: 12, // Platform deck
+        queueOffset: 2.0, // Meters from the car centerline to the waiting line
+        spawnInterval: 3.0,
+        // The two turnstiles at the east end of the platform
+        entrances: [new THREE.Vector3(-133, 12, -278), new THREE.Vector3(-133, 12, -282)]
+    },
+    [Station.WESTLAKE]: {
+        floorY: 20, // WestlakeMall atrium floor, directly above the track
+        queueOffset: 3.0,
+        spawnInterval: 2.5,
+        entrances: [new THREE.Vector3(-5, 20, 68), new THREE.Vector3(25, 20, 68)]
+    }
+};
+
+export class Pedestrian {
+    constructor(scene, position, random) {
+        this.mesh = createPedestrianMesh(random);
+        this.mesh.position.copy(position);
+        this.scene = scene;
+        scene.add(this.mesh);
+
+        this.state = 'ARRIVING'; // ARRIVING -> QUEUED -> BOARDING, or ALIGHTING
+        this.path = [];
+        this.berth = null;
+        this.slot = -1;
+        this.walkPhase = random.next() * Math.PI * 2;
+    }
+
+    walkTo(points) {
+        this.path = points.map(p => p.clone());
+    }
+
+    // Returns true once the last waypoint is reached
+    update(delta) {
+        const legs = this.mesh.userData.legs;
+        if (this.path.length === 0) {
+            legs.forEach(leg => { leg.rotation.x = 0; });
+            return true;
+        }
+
+        const target = this.path[0];
+        const pos = this.mesh.position;
+        const toTarget = target.clone().sub(pos);
+        const dist = toTarget.length();
+        const step = WALK_SPEED * delta;
+
+        if (dist <= step) {
+            pos.copy(target);
+            this.path.shift();
+        } else {
+            pos.addScaledVector(toTarget, step / dist);
+        }
+
+        // Face the direction of horizontal travel
+        if (Math.abs(toTarget.x) + Math.abs(toTarget.z) > 0.01) {
+            this.mesh.rotation.y = Math.atan2(toTarget.x, toTarget.z);
+        }
+
+        this.walkPhase += delta * 8;
+        legs[0].rotation.x = Math.sin(this.walkPhase) * 0.5;
+        legs[1].rotation.x = -Math.sin(this.walkPhase) * 0.5;
+
+        return this.path.length === 0;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+    }
+}
+
+// A train's stopping position at one terminal: doors, queue spots and the people using them
+class Berth {
+    constructor(train, station, area, otherTrains) {
+        this.train = train;
+        this.station = station;
+        this.area = area;
+
+        const poses = train.getStationCarPoses(station).filter(Boolean);
+        const center = new THREE.Vector3();
+        poses.forEach(p => center.add(p.position));
+        center.divideScalar(Math.max(1, poses.length));
+
+        // Board from the side facing away from the neighbouring track
+        const right = new THREE.Vector3().crossVectors(poses[0].tangent, new THREE.Vector3(0, 1, 0)).normalize();
+        let side = 1;
+        otherTrains.forEach(other => {
+            const otherPose = other.getStationCarPoses(station)[0];
+            if (otherPose && otherPose.position.clone().sub(center).dot(right) > 0) side = -1;
+        });
+        this.outward = right.multiplyScalar(side);
+
+        this.doors = poses.map(p => p.position.clone().addScaledVector(this.outward, CAR_HALF_WIDTH).setY(p.position.y + 0.5));
+
+        const first = poses[0].position;
+        const last = poses[poses.length - 1].position;
+        this.slots = [];
+        for (let i = 0; i < QUEUE_SLOTS; i++) {
+            const p = first.clone().lerp(last, (i + 0.5) / QUEUE_SLOTS).addScaledVector(this.outward, area.queueOffset);
+            p.y = area.floorY;
+            this.slots.push(p);
+        }
+        this.slotTaken = new Array(QUEUE_SLOTS).fill(null);
+
+        this.toAlight = 0;
+        this.doorTimer = 0;
+    }
+
+    freeSlot() {
+        return this.slotTaken.indexOf(null);
+    }
+
+    waitingCount() {
+        return this.slotTaken.filter(p => p && p.state === 'QUEUED').length;
+    }
+
+    nearestDoor(position) {
+        let best = this.doors[0];
+        this.doors.forEach(d => { if (d.distanceToSquared(position) < best.distanceToSquared(position)) best = d; });
+        return best;
+    }
+
+    // Step off the door sill onto the waiting level (drops/climbs at Westlake)
+    landingFor(door) {
+        const p = door.clone().addScaledVector(this.outward, this.area.queueOffset - CAR_HALF_WIDTH);
+        p.y = this.area.floorY;
+        return p;
+    }
+
+    isBerthed() {
+        return this.train.state === 'STOPPED' && this.train.station === this.station;
+    }
+}
+
+export class PassengerSystem {
+    constructor(scene, trains, random) {
+        this.scene = scene;
+        this.trains = trains;
+        this.random = random;
+        this.pedestrians = [];
+        this.berths = [];
+        this.spawnTimers = {};
+
+        Object.keys(STATION_AREAS).forEach(station => {
+            this.spawnTimers[station] = random.next() * STATION_AREAS[station].spawnInterval;
+            trains.forEach(train => {
+                const others = trains.filter(t => t !== train);
+                this.berths.push(new Berth(train, station, STATION_AREAS[station], others));
+            });
+        });
+
+        trains.forEach(train => {
+            train.addEventListener('arrive', (e) => this.onArrive(train, e.station));
+            train.addEventListener('depart', (e) => this.onDepart(train, e.station));
+        });
+    }
+
+    getBerth(train, station) {
+        return this.berths.find(b => b.train === train && b.station === station) || null;
+    }
+
+    onArrive(train, station) {
+        const berth = this.getBerth(train, station);
+        // Both lines are two-stop shuttles: everyone aboard rides to the terminal
+        if (berth) berth.toAlight = train.passengers;
+    }
+
+    onDepart(train, station) {
+        // Anyone still walking to the doors goes back to their spot
+        this.pedestrians.forEach(ped => {
+            if (ped.state === 'BOARDING' && ped.berth && ped.berth.train === train && ped.berth.station === station) {
+                ped.state = 'ARRIVING';
+                ped.walkTo([ped.berth.slots[ped.slot]]);
+            }
+        });
+        const berth = this.getBerth(train, station);
+        if (berth) berth.toAlight = 0;
+    }
+
+    spawn(station) {
+        const area = STATION_AREAS[station];
+        // Join the platform queue with the most room
+        const candidates = this.berths.filter(b => b.station === station && b.freeSlot() !== -1);
+        if (candidates.length === 0) return;
+        candidates.sort((a, b) => b.slotTaken.filter(s => !s).length - a.slotTaken.filter(s => !s).length);
+        const berth = candidates[0];
+
+        const entrance = this.random.pick(area.entrances);
+        const ped = new Pedestrian(this.scene, entrance, this.random);
+        ped.berth = berth;
+        ped.slot = berth.freeSlot();
+        berth.slotTaken[ped.slot] = ped;
+        ped.walkTo([berth.slots[ped.slot]]);
+        this.pedestrians.push(ped);
+    }
+
+    spawnAlighting(berth) {
+        const door = this.random.pick(berth.doors);
+        const landing = berth.landingFor(door);
+        const entrance = this.random.pick(berth.area.entrances);
+
+        const ped = new Pedestrian(this.scene, door, this.random);
+        ped.state = 'ALIGHTING';
+        ped.berth = berth;
+        ped.walkTo([landing, entrance]);
+        this.pedestrians.push(ped);
+    }
+
+    updateBerth(berth, delta) {
+        if (!berth.isBerthed()) return;
+
+        berth.doorTimer -= delta;
+        if (berth.doorTimer > 0) return;
+
+        // Let people off before letting people on
+        if (berth.toAlight > 0) {
+            if (berth.train.alight(1) > 0) this.spawnAlighting(berth);
+            berth.toAlight = Math.min(berth.toAlight - 1, berth.train.passengers);
+            berth.doorTimer = DOOR_INTERVAL;
+            return;
+        }
+
+        const train = berth.train;
+        const timeLeft = train.schedule ? train.departureTime - train.time : train.stopTimer;
+        if (timeLeft < BOARDING_CUTOFF) return;
+
+        const walking = this.pedestrians.filter(p => p.state === 'BOARDING' && p.berth === berth).length;
+        if (train.passengers + walking >= train.capacity) return;
+
+        const next = berth.slotTaken.find(p => p && p.state === 'QUEUED');
+        if (!next) return;
+
+        const door = berth.nearestDoor(next.mesh.position);
+        next.state = 'BOARDING';
+        next.walkTo([berth.landingFor(door), door]);
+        berth.doorTimer = DOOR_INTERVAL;
+    }
+
+    update(delta) {
+        if (isNaN(delta)) return;
+
+        Object.keys(this.spawnTimers).forEach(station => {
+            this.spawnTimers[station] -= delta;
+            if (this.spawnTimers[station] <= 0) {
+                const interval = STATION_AREAS[station].spawnInterval;
+                this.spawnTimers[station] = interval * (0.5 + this.random.next());
+                this.spawn(station);
+            }
+        });
+
+        this.berths.forEach(berth => this.updateBerth(berth, delta));
+
+        for (let i = this.pedestrians.length - 1; i >= 0; i--) {
+            const ped = this.pedestrians[i];
+            const arrived = ped.update(delta);
+            if (!arrived) continue;
+
+            if (ped.state === 'ARRIVING') {
+                ped.state = 'QUEUED';
+            } else if (ped.state === 'BOARDING') {
+                ped.berth.train.board(1);
+                ped.berth.slotTaken[ped.slot] = null;
+                ped.dispose();
+                this.pedestrians.splice(i, 1);
+            } else if (ped.state === 'ALIGHTING') {
+                ped.dispose();
+                this.pedestrians.splice(i, 1);
+            }
+        }
+    }
+
+    getWaiting(station) {
+        return this.berths
+            .filter(b => b.station === station)
+            .reduce((sum, b) => sum + b.waitingCount(), 0);
+    }
+
+    // Per-train passenger counts and load factors for the UI
+    getLoads() {
+        const loads = {};
+        this.trains.forEach(train => {
+            loads[train.config.id] = train.getLoad();
+        });
+        return loads;
+    }
+}
@@ -0,0 +1,60 @@
+// --- SEEDED RANDOM NUMBERS ---
+// Everything random in the city (building details, traffic, people, elevators, fares) draws
+// from a Random made from one seed (?seed= in the URL), so a seed always builds and runs the
+// same city. Each user takes its own stream with fork(name): streams depend only on the seed
+// and the name, so a change in how much one part draws doesn't reshuffle the others.
+
+// 32-bit string hash (FNV-1a)
+const hashString = (text) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+const toSeed = (seed) => {
+    if (typeof seed === 'number' && isFinite(seed)) {
+        return Number.isInteger(seed) ? seed >>> 0 : hashString(String(seed));
+    }
+    if (typeof seed === 'string') return hashString(seed);
+    throw new Error('Random: seed must be a number or a string');
+};
+
+export class Random {
+    constructor(seed = 0) {
+        this.seed = toSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Mulberry32: [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Whole number from 0 to n - 1
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+
+    // An independent stream for `name`
+    fork(name) {
+        return new Random(hashString(`${this.seed}:${name}`));
+    }
+}
+
+// A seed for when none is given: short enough to read out of a URL
+export const createSeed = () => Math.floor(Math.random() * 1e6);
@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+import { FIFTH_AVE_INTERSECTIONS, INTERSECTION_LAYOUT } from './constants.js';
+
+// --- ROAD NETWORK ---
+// A directed graph of one-lane (or two-lane, with passing) roads. Nodes are points where roads
+// meet; each edge is a curve from one node to another, with
+//   lanes        2 where there is room to pass (traffic.js)
+//   underground  covered by the tunnel (createTunnelGeometry, assets.js)
+//   speedLimit   m/s, for turns and side streets
+//   junction     the intersection box it crosses, if any: one approach at a time drives through it
+//   width/shift  the road surface either side: curb to curb, and its center in meters left of the
+//                path (for driving by hand, drive.js)
+// Garages at the ends of the cross streets are where trips start and finish.
+
+const SAMPLE_SPACING = 2; // Meters between the points edges are measured against
+const LANE_WIDTH = 5; // Curb to curb of a road given no width
+
+export class RoadNetwork {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = [];
+        this.garages = [];
+        this.junctions = new Map();
+        this.loop = []; // The 5th Ave circuit in driving order, for placing traffic
+    }
+
+    addNode(id, x, y, z) {
+        if (this.nodes.has(id)) throw new Error(`RoadNetwork: duplicate node "${id}"`);
+        const node = { id, position: new THREE.Vector3(x, y, z), out: [], in: [] };
+        this.nodes.set(id, node);
+        return node;
+    }
+
+    getNode(id) {
+        const node = this.nodes.get(id);
+        if (!node) throw new Error(`RoadNetwork: unknown node "${id}"`);
+        return node;
+    }
+
+    // `via` are [x, y, z] points the road passes through between the two nodes
+    addEdge(from, to, via = [], options = {}) {
+        const { lanes = 1, underground = false, speedLimit = Infinity, junction = null, width = LANE_WIDTH, shift = 0 } = options;
+        const a = this.getNode(from);
+        const b = this.getNode(to);
+        const points = [a.position, ...via.map(p => new THREE.Vector3(...p)), b.position];
+        const curve = new THREE.CatmullRomCurve3(points);
+        const length = curve.getLength();
+        const samples = curve.getSpacedPoints(Math.max(1, Math.ceil(length / SAMPLE_SPACING)));
+        const reach = width / 2 + Math.abs(shift);
+        const edge = {
+            id: this.edges.length,
+            from,
+            to,
+            curve,
+            length,
+            lanes,
+            underground,
+            speedLimit,
+            junction,
+            width,
+            shift,
+            samples,
+            bounds: new THREE.Box3().setFromPoints(samples).expandByVector(new THREE.Vector3(reach, 0, reach))
+        };
+        this.edges.push(edge);
+        a.out.push(edge);
+        b.in.push(edge);
+        return edge;
+    }
+
+    // Trips end at `entry` and start from `exit`; `door` faces the street
+    addGarage(name, entry, exit, door, street) {
+        const garage = { name, entry, exit, door, street };
+        this.garages.push(garage);
+        return garage;
+    }
+
+    getGarage(name) {
+        return this.garages.find(g => g.name === name) || null;
+    }
+
+    getJunction(name) {
+        return this.junctions.get(name) || null;
+    }
+
+    getUndergroundEdges() {
+        return this.edges.filter(e => e.underground);
+    }
+
+    getLoopLength() {
+        return this.loop.reduce((sum, e) => sum + e.length, 0);
+    }
+
+    // { edge, s } `distance` meters round the loop
+    locateOnLoop(distance) {
+        const total = this.getLoopLength();
+        let s = ((distance % total) + total) % total;
+        for (const edge of this.loop) {
+            if (s < edge.length) return { edge, s };
+            s -= edge.length;
+        }
+        return { edge: this.loop[0], s: 0 };
+    }
+
+    // Nearest point of `edge` to (x, z), measured on the flat: { s, lateral, height, beyond }, with
+    // lateral in meters left of the path, height the road's there, and beyond set past either end
+    project(edge, x, z) {
+        const points = edge.samples;
+        const last = points.length - 2;
+        const step = edge.length / (points.length - 1);
+        let best = null;
+        let bestDistSq = Infinity;
+        for (let i = 0; i <= last; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const lengthSq = dx * dx + dz * dz;
+            if (lengthSq < 1e-9) continue;
+            const u = ((x - a.x) * dx + (z - a.z) * dz) / lengthSq;
+            const t = THREE.MathUtils.clamp(u, 0, 1);
+            const ex = x - (a.x + dx * t);
+            const ez = z - (a.z + dz * t);
+            const distSq = ex * ex + ez * ez;
+            if (distSq >= bestDistSq) continue;
+            bestDistSq = distSq;
+            best = {
+                s: (i + t) * step,
+                // Left of travel is (tangent.z, -tangent.x), as traffic.js offsets its lanes
+                lateral: ((x - a.x) * dz - (z - a.z) * dx) / Math.sqrt(lengthSq),
+                height: a.y + (b.y - a.y) * t,
+                beyond: (i === 0 && u < 0) || (i === last && u > 1)
+            };
+        }
+        return best;
+    }
+
+    // The road under (x, z) closest to height y and no more than `reach` above or below it:
+    // { edge, s, lateral, height }, or null off the road
+    getSurface(x, z, y, reach) {
+        let best = null;
+        this.edges.forEach(edge => {
+            const b = edge.bounds;
+            if (x < b.min.x || x > b.max.x || z < b.min.z || z > b.max.z) return;
+            if (y < b.min.y - reach || y > b.max.y + reach) return;
+            const p = this.project(edge, x, z);
+            if (!p || p.beyond || Math.abs(p.lateral - edge.shift) > edge.width / 2) return;
+            if (Math.abs(p.height - y) > reach) return;
+            if (!best || Math.abs(p.height - y) < Math.abs(best.height - y)) best = { edge, ...p };
+        });
+        return best;
+    }
+
+    // The edge whose path passes closest to `position` (within `reach` of its height):
+    // { edge, s, lateral, height }, or null if none is within `range`
+    locate(position, range, reach) {
+        let best = null;
+        this.edges.forEach(edge => {
+            const p = this.project(edge, position.x, position.z);
+            if (!p || p.beyond || Math.abs(p.lateral) > range || Math.abs(p.height - position.y) > reach) return;
+            if (!best || Math.abs(p.lateral) < Math.abs(best.lateral)) best = { edge, ...p };
+        });
+        return best;
+    }
+
+    // Meters from node `from` to every node it joins, along the roads either way: a cab driven
+    // by hand isn't held to the one-way traffic. Map of node id -> distance (Dijkstra)
+    getSurfaceDistances(from) {
+        const distances = new Map([[from, 0]]);
+        const open = new Set([from]);
+        const closed = new Set();
+        while (open.size > 0) {
+            let current = null;
+            open.forEach(id => {
+                if (current === null || distances.get(id) < distances.get(current)) current = id;
+            });
+            open.delete(current);
+            closed.add(current);
+
+            const node = this.getNode(current);
+            [...node.out.map(edge => [edge, edge.to]), ...node.in.map(edge => [edge, edge.from])].forEach(([edge, next]) => {
+                if (closed.has(next)) return;
+                const d = distances.get(current) + edge.length;
+                if (distances.has(next) && d >= distances.get(next)) return;
+                distances.set(next, d);
+                open.add(next);
+            });
+        }
+        return distances;
+    }
+
+    // Shortest route (A*) as a list of edges, or null if `to` can't be reached
+    findPath(from, to) {
+        const goal = this.getNode(to).position;
+        const cost = new Map([[from, 0]]);
+        const cameBy = new Map();
+        const open = new Set([from]);
+        const closed = new Set();
+        const estimate = (id) => cost.get(id) + this.getNode(id).position.distanceTo(goal);
+
+        while (open.size > 0) {
+            let current = null;
+            open.forEach(id => {
+                if (current === null || estimate(id) < estimate(current)) current = id;
+            });
+            if (current === to) {
+                const path = [];
+                for (let id = to; id !== from; id = cameBy.get(id).from) path.unshift(cameBy.get(id));
+                return path;
+            }
+            open.delete(current);
+            closed.add(current);
+
+            this.getNode(current).out.forEach(edge => {
+                if (closed.has(edge.to)) return;
+                const c = cost.get(current) + edge.length;
+                if (cost.has(edge.to) && c >= cost.get(edge.to)) return;
+                cost.set(edge.to, c);
+                cameBy.set(edge.to, edge);
+                open.add(edge.to);
+            });
+        }
+        return null;
+    }
+}
+
+// --- 5TH AVE ---
+// The loop of TRAFFIC_PATH (constants.js) split at each signalized intersection, with a two-way
+// cross street through every one of them ending in a garage on each side.
+
+const SOUTHBOUND_X = 17.5;
+const NORTHBOUND_X = 2.5;
+const TUNNEL_Y = -12;
+const ROAD_WEST = -2; // Curbs
+const ROAD_EAST = 22;
+const PAVEMENT_WEST = -10; // Outer edges of the sidewalks (createFifthAvePavement)
+const PAVEMENT_EAST = 30;
+const NORTH_RAMP = { top: -200, foot: -245 };
+const SOUTH_RAMP = { top: 80, foot: 140 };
+const CROSS_LANE = 2.5; // Cross street lanes either side of its centerline
+// 5th Ave is paved curb to curb across the median, mostly west of the lanes (on their right)
+const AVENUE_SURFACE = { width: ROAD_EAST - ROAD_WEST, shift: (ROAD_EAST + ROAD_WEST) / 2 - SOUTHBOUND_X };
+const TUNNEL_WIDTH = 14; // Wall to wall (createTunnelGeometry, assets.js)
+const DRIVEWAY = 3; // Pavement edge to garage door
+const PARKING_DEPTH = 4.5; // Door to where vehicles park, out of sight
+const TURN_SPEED = 7;
+const CROSS_STREET_SPEED = 11;
+
+function addIntersection(network, config) {
+    const L = INTERSECTION_LAYOUT;
+    const z = config.z;
+    const id = (leg) => `${config.name} ${leg}`;
+    const north = z - CROSS_LANE; // Eastbound lane of the cross street
+    const south = z + CROSS_LANE; // Westbound
+
+    // Box entries and exits
+    network.addNode(id('N'), SOUTHBOUND_X, 0, z - L.STOP_LINE);
+    network.addNode(id('S'), SOUTHBOUND_X, 0, z + L.STOP_LINE);
+    network.addNode(id('W'), ROAD_WEST, 0, north);
+    network.addNode(id('W exit'), ROAD_WEST, 0, south);
+    network.addNode(id('E'), ROAD_EAST, 0, south);
+    network.addNode(id('E exit'), ROAD_EAST, 0, north);
+
+    // Garages
+    const westDoor = PAVEMENT_WEST - DRIVEWAY;
+    const eastDoor = PAVEMENT_EAST + DRIVEWAY;
+    network.addNode(id('W garage in'), westDoor - PARKING_DEPTH, 0, south);
+    network.addNode(id('W garage out'), westDoor - PARKING_DEPTH, 0, north);
+    network.addNode(id('E garage in'), eastDoor + PARKING_DEPTH, 0, north);
+    network.addNode(id('E garage out'), eastDoor + PARKING_DEPTH, 0, south);
+    network.addGarage(`${config.name} West`, id('W garage in'), id('W garage out'),
+        new THREE.Vector3(westDoor, 0, z), new THREE.Vector3(PAVEMENT_WEST, 0, z));
+    network.addGarage(`${config.name} East`, id('E garage in'), id('E garage out'),
+        new THREE.Vector3(eastDoor, 0, z), new THREE.Vector3(PAVEMENT_EAST, 0, z));
+
+    // Traffic keeps left, so the street's centerline is on each lane's right
+    const street = { speedLimit: CROSS_STREET_SPEED, width: 2 * L.STREET_HALF_WIDTH, shift: -CROSS_LANE };
+    const west = network.addEdge(id('W garage out'), id('W'), [], street);
+    const east = network.addEdge(id('E garage out'), id('E'), [], street);
+    network.addEdge(id('W exit'), id('W garage in'), [], street);
+    network.addEdge(id('E exit'), id('E garage in'), [], street);
+
+    // Movements through the box (5th Ave is one-way south)
+    const box = { junction: config.name };
+    const turn = { junction: config.name, speedLimit: TURN_SPEED };
+    const across = { junction: config.name, speedLimit: CROSS_STREET_SPEED };
+    const avenue = network.addEdge(id('N'), id('S'), [], { ...box, ...AVENUE_SURFACE });
+    network.addEdge(id('N'), id('W exit'), [[SOUTHBOUND_X, 0, z - 5], [15, 0, z + 1], [11, 0, south]], turn);
+    network.addEdge(id('N'), id('E exit'), [[SOUTHBOUND_X, 0, z - 6], [19.5, 0, north - 0.5]], turn);
+    network.addEdge(id('W'), id('S'), [[12, 0, north], [16.3, 0, z + 0.5], [SOUTHBOUND_X, 0, z + 5]], turn);
+    network.addEdge(id('W'), id('E exit'), [], across);
+    network.addEdge(id('E'), id('S'), [[19.8, 0, south + 0.7], [17.9, 0, z + 5.5]], turn);
+    network.addEdge(id('E'), id('W exit'), [], across);
+
+    network.junctions.set(config.name, {
+        name: config.name,
+        z,
+        avenue: null, // Set once 5th Ave is joined up to the box
+        west,
+        east,
+        through: avenue,
+        exit: id('S')
+    });
+}
+
+export function createRoadNetwork(intersections = FIFTH_AVE_INTERSECTIONS) {
+    const network = new RoadNetwork();
+    const L = INTERSECTION_LAYOUT;
+    const ordered = [...intersections].sort((a, b) => a.z - b.z); // North to south
+
+    ordered.forEach((config, i) => {
+        const prev = ordered[i - 1];
+        if (prev && config.z - prev.z < 2 * L.STOP_LINE) {
+            throw new Error(`RoadNetwork: intersections "${prev.name}" and "${config.name}" overlap`);
+        }
+        if (config.z - L.STOP_LINE <= NORTH_RAMP.top || config.z + L.STOP_LINE >= SOUTH_RAMP.top) {
+            throw new Error(`RoadNetwork: intersection "${config.name}" is off the surface of 5th Ave`);
+        }
+        addIntersection(network, config);
+    });
+
+    network.addNode('North Ramp Top', SOUTHBOUND_X, 0, NORTH_RAMP.top);
+    network.addNode('South Ramp Top', SOUTHBOUND_X, 0, SOUTH_RAMP.top);
+    network.addNode('South Ramp Foot', SOUTHBOUND_X, TUNNEL_Y, SOUTH_RAMP.foot);
+    network.addNode('Tunnel South', NORTHBOUND_X, TUNNEL_Y, SOUTH_RAMP.foot);
+    network.addNode('Tunnel North', NORTHBOUND_X, TUNNEL_Y, -230);
+    network.addNode('North Ramp Foot', SOUTHBOUND_X, TUNNEL_Y, NORTH_RAMP.foot);
+
+    // Surface southbound, from the north ramp through each box
+    const surface = { ...AVENUE_SURFACE, lanes: 2 };
+    let from = 'North Ramp Top';
+    ordered.forEach(config => {
+        const approach = network.addEdge(from, `${config.name} N`, [], surface);
+        const junction = network.getJunction(config.name);
+        junction.avenue = approach;
+        network.loop.push(approach, junction.through);
+        from = `${config.name} S`;
+    });
+    network.loop.push(network.addEdge(from, 'South Ramp Top', [], surface));
+
+    // Down, round, back north in the tunnel, round and up again
+    const covered = { underground: true, width: TUNNEL_WIDTH };
+    network.loop.push(
+        network.addEdge('South Ramp Top', 'South Ramp Foot', [], covered),
+        network.addEdge('South Ramp Foot', 'Tunnel South', [[SOUTHBOUND_X, TUNNEL_Y, 150], [10, TUNNEL_Y, 170], [NORTHBOUND_X, TUNNEL_Y, 150]], covered),
+        network.addEdge('Tunnel South', 'Tunnel North', [], { ...covered, lanes: 2 }),
+        network.addEdge('Tunnel North', 'North Ramp Foot', [[NORTHBOUND_X, TUNNEL_Y, -240], [10, TUNNEL_Y, -260], [SOUTHBOUND_X, TUNNEL_Y, -252]], covered),
+        network.addEdge('North Ramp Foot', 'North Ramp Top', [], covered)
+    );
+
+    return network;
+}
@@ -0,0 +1,84 @@
+import { Station } from './constants.js';
+
+// --- TIMETABLE ---
+// Times are seconds of simulation time since service start.
+// Each train lists, per station, its first departure and the headway between departures.
+
+const isNonNegative = (v) => typeof v === 'number' && isFinite(v) && v >= 0;
+
+export class TrainSchedule {
+    constructor(trainId, entry, stations) {
+        this.trainId = trainId;
+        this.stations = stations;
+        this.runTime = entry.runTime;
+        this.departures = entry.departures;
+    }
+
+    getDwell(station) {
+        return this.stations[station] ? this.stations[station].dwell : 0;
+    }
+
+    getStationName(station) {
+        return this.stations[station] ? this.stations[station].name : station;
+    }
+
+    serves(station) {
+        return !!this.departures[station];
+    }
+
+    // First scheduled departure from `station` strictly after `after` seconds
+    nextDeparture(station, after = -Infinity) {
+        const dep = this.departures[station];
+        if (!dep) return null;
+        if (after < dep.first) return dep.first;
+        const k = Math.floor((after - dep.first) / dep.headway) + 1;
+        return dep.first + k * dep.headway;
+    }
+
+    // The station the train is scheduled to leave first
+    getOriginStation() {
+        let origin = null;
+        Object.keys(this.departures).forEach(station => {
+            if (!origin || this.departures[station].first < this.departures[origin].first) origin = station;
+        });
+        return origin;
+    }
+}
+
+export class Timetable {
+    constructor(data) {
+        Timetable.validate(data);
+        this.stations = data.stations;
+        this.trains = {};
+        Object.keys(data.trains).forEach(id => {
+            this.trains[id] = new TrainSchedule(id, data.trains[id], data.stations);
+        });
+    }
+
+    getTrainSchedule(trainId) {
+        return this.trains[trainId] || null;
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object') throw new Error('Timetable: expected an object');
+        if (!data.stations || !data.trains) throw new Error('Timetable: "stations" and "trains" are required');
+
+        Object.keys(data.stations).forEach(key => {
+            const st = data.stations[key];
+            if (!Station[key]) throw new Error(`Timetable: unknown station "${key}"`);
+            if (!isNonNegative(st.dwell)) throw new Error(`Timetable: stations.${key}.dwell must be a non-negative number`);
+        });
+
+        Object.keys(data.trains).forEach(id => {
+            const train = data.trains[id];
+            if (!isNonNegative(train.runTime)) throw new Error(`Timetable: trains.${id}.runTime must be a non-negative number`);
+            if (!train.departures) throw new Error(`Timetable: trains.${id}.departures is required`);
+            Object.keys(train.departures).forEach(key => {
+                const dep = train.departures[key];
+                if (!data.stations[key]) throw new Error(`Timetable: trains.${id}.departures.${key} is not a listed station`);
+                if (!isNonNegative(dep.first)) throw new Error(`Timetable: trains.${id}.departures.${key}.first must be a non-negative number`);
+                if (!(dep.headway > 0)) throw new Error(`Timetable: trains.${id}.departures.${key}.headway must be positive`);
+            });
+        });
+    }
+}
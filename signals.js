@@ -0,0 +1,322 @@
+import * as THREE from 'three';
+import { FIFTH_AVE_INTERSECTIONS, SIGNAL_TIMING, INTERSECTION_LAYOUT } from './constants.js';
+import { createBox, createCylinder } from './utils.js';
+import { Pedestrian } from './passengers.js';
+import { TRACKS, PIER_SPACING, getPierPositions } from './tracks.js';
+
+// --- TRAFFIC SIGNALS ---
+// A fixed-time controller at each 5th Ave intersection (constants.js), cycling
+//   5th Ave       GREEN -> YELLOW -> ALL_RED
+//   cross street  TURN -> WALK -> FLASH -> CLEARANCE   (cross street green, yellow on CLEARANCE;
+//                                                       pedestrians cross 5th Ave on WALK)
+// Traffic (traffic.js) stops at the line on red, and on yellow when it comfortably can. Cross
+// street traffic turning onto 5th Ave has the start of TURN to itself; after that it turns
+// whenever the crosswalk it turns across is clear.
+// People gather at the corners and cross on WALK.
+
+const PHASES = ['GREEN', 'YELLOW', 'ALL_RED', 'TURN', 'WALK', 'FLASH', 'CLEARANCE'];
+const CYCLE = PHASES.reduce((sum, phase) => sum + SIGNAL_TIMING[phase], 0);
+
+const COMFORT_BRAKE = 4.0; // Stop on yellow if this is enough (m/s²)
+const MAX_BRAKE = 8.0; // Too close to stop even like this on red: carry on through
+
+const ROAD_WEST = -2; // Curb lines of 5th Ave (createFifthAvePavement)
+const ROAD_EAST = 22;
+const SOUTHBOUND_X = 17.5; // Surface lanes (roads.js)
+const SIDEWALK_Y = 0.25;
+const CURB_SETBACK = 1.5; // Where people wait, back from the curb
+const MAX_WAITING = 3; // Per corner
+const ARRIVAL_INTERVAL = 8.0; // Mean seconds between people arriving at a corner
+const APPROACH_DISTANCE = 12; // People walk up the sidewalk this far to the corner
+const YIELD_AHEAD = 7; // Turning traffic waits for people with less than this still to walk to its path (m)
+const YIELD_BEHIND = 2.0; // ... until they are this far past it
+const PIER_CLEARANCE = 1.4; // People step round monorail piers in the median, pier center to path
+const TURN_CUTOFF = 3; // Seconds before WALK after which turns onto 5th Ave look out for people
+
+const LENS_COLORS = {
+    RED: '#FF2200',
+    YELLOW: '#FFAA00',
+    GREEN: '#22FF66',
+    WALK: '#F0F0FF',
+    DONT_WALK: '#FF7700'
+};
+
+const createLens = (color, x, y, parent) => {
+    const lens = createBox(0.36, 0.36, 0.1, '#111111', x, y, 0.25, parent);
+    lens.castShadow = false;
+    lens.material.emissive = new THREE.Color(color);
+    lens.material.emissiveIntensity = 0;
+    return lens.material;
+};
+
+class Intersection {
+    constructor(config, parent, random) {
+        this.name = config.name;
+        this.z = config.z;
+        this.offset = config.offset || 0;
+        this.phase = 'GREEN';
+        this.phaseTime = 0;
+
+        this.group = new THREE.Group();
+        this.group.position.set(0, 0, this.z);
+        parent.add(this.group);
+
+        const L = INTERSECTION_LAYOUT;
+        this.vehicleHeads = [];
+        this.crossHeads = [];
+        this.pedestrianHeads = [];
+
+        // Mast arms on the far side of the crossing: southbound from the east sidewalk, northbound from the west
+        this.createMastArm(ROAD_EAST + 0.6, L.CROSSWALK_FAR + 1.5, [16, 20], Math.PI);
+        this.createMastArm(ROAD_WEST - 0.6, -(L.CROSSWALK_FAR + 1.5), [0, 4], 0);
+
+        // Cross street heads on posts at the far corners
+        this.createPostSignal(ROAD_EAST + 0.6, -(L.STREET_HALF_WIDTH + 0.6), -Math.PI / 2);
+        this.createPostSignal(ROAD_WEST - 0.6, L.STREET_HALF_WIDTH + 0.6, Math.PI / 2);
+
+        // A corner at each end of both crosswalks, with a pedestrian head facing across the street
+        // (poles just outside the crosswalk, clear of people waiting)
+        const crosswalkZ = (L.CROSSWALK_NEAR + L.CROSSWALK_FAR) / 2;
+        this.corners = [];
+        [-1, 1].forEach(side => {
+            const z = side * crosswalkZ;
+            const west = new THREE.Vector3(ROAD_WEST - CURB_SETBACK, SIDEWALK_Y, this.z + z);
+            const east = new THREE.Vector3(ROAD_EAST + CURB_SETBACK, SIDEWALK_Y, this.z + z);
+            this.corners.push({ spot: west, across: east, side, waiting: [], timer: random.next() * ARRIVAL_INTERVAL });
+            this.corners.push({ spot: east, across: west, side, waiting: [], timer: random.next() * ARRIVAL_INTERVAL });
+            const poleZ = side * (L.CROSSWALK_FAR + 0.5);
+            this.createPedestrianHead(ROAD_WEST - 0.8, poleZ, Math.PI / 2);
+            this.createPedestrianHead(ROAD_EAST + 0.8, poleZ, -Math.PI / 2);
+        });
+
+        this.render();
+    }
+
+    // Pole on the sidewalk, arm out over the lanes, one three-light head per lane (lenses toward rotationY)
+    createMastArm(poleX, z, laneXs, rotationY) {
+        const metal = '#3A3A3A';
+        const armY = 6.5;
+        createCylinder(0.18, 0.22, armY + 0.5, 8, metal, poleX, (armY + 0.5) / 2, z, this.group);
+        const armDir = Math.sign(laneXs[0] - poleX);
+        const reach = Math.max(...laneXs.map(x => Math.abs(x - poleX))) + 0.5;
+        createBox(reach, 0.2, 0.2, metal, poleX + armDir * reach / 2, armY, z, this.group);
+
+        laneXs.forEach(x => {
+            const head = new THREE.Group();
+            head.position.set(x, armY - 1.0, z);
+            head.rotation.y = rotationY;
+            this.group.add(head);
+            createBox(0.6, 1.5, 0.4, '#222222', 0, 0, 0, head);
+            createBox(0.9, 1.8, 0.05, '#111111', 0, 0, -0.2, head); // Backplate
+            this.vehicleHeads.push({
+                RED: createLens(LENS_COLORS.RED, 0, 0.45, head),
+                YELLOW: createLens(LENS_COLORS.YELLOW, 0, 0, head),
+                GREEN: createLens(LENS_COLORS.GREEN, 0, -0.45, head)
+            });
+        });
+    }
+
+    createPostSignal(x, z, rotationY) {
+        createCylinder(0.1, 0.12, 3.6, 8, '#3A3A3A', x, 1.8, z, this.group);
+        const head = new THREE.Group();
+        head.position.set(x, 3.2, z);
+        head.rotation.y = rotationY;
+        this.group.add(head);
+        createBox(0.6, 1.5, 0.4, '#222222', 0, 0, 0, head);
+        this.crossHeads.push({
+            RED: createLens(LENS_COLORS.RED, 0, 0.45, head),
+            YELLOW: createLens(LENS_COLORS.YELLOW, 0, 0, head),
+            GREEN: createLens(LENS_COLORS.GREEN, 0, -0.45, head)
+        });
+    }
+
+    createPedestrianHead(x, z, rotationY) {
+        createCylinder(0.08, 0.08, 3.0, 6, '#3A3A3A', x, 1.5, z, this.group);
+        const head = new THREE.Group();
+        head.position.set(x, 2.7, z);
+        head.rotation.y = rotationY;
+        this.group.add(head);
+        createBox(0.5, 0.9, 0.4, '#222222', 0, 0, 0, head);
+        this.pedestrianHeads.push({
+            DONT_WALK: createLens(LENS_COLORS.DONT_WALK, 0, 0.2, head),
+            WALK: createLens(LENS_COLORS.WALK, 0, -0.2, head)
+        });
+    }
+
+    setTime(clock) {
+        let t = (((clock - this.offset) % CYCLE) + CYCLE) % CYCLE;
+        for (const phase of PHASES) {
+            if (t < SIGNAL_TIMING[phase]) {
+                this.phase = phase;
+                this.phaseTime = t;
+                return;
+            }
+            t -= SIGNAL_TIMING[phase];
+        }
+    }
+
+    getVehicleAspect() {
+        if (this.phase === 'GREEN' || this.phase === 'YELLOW') return this.phase;
+        return 'RED';
+    }
+
+    getCrossAspect() {
+        if (this.phase === 'TURN' || this.phase === 'WALK' || this.phase === 'FLASH') return 'GREEN';
+        return this.phase === 'CLEARANCE' ? 'YELLOW' : 'RED';
+    }
+
+    getPedestrianAspect() {
+        if (this.phase === 'WALK' || this.phase === 'FLASH') return this.phase;
+        return 'DONT_WALK';
+    }
+
+    // Whether a vehicle `distance` meters short of the stop line should stop
+    mustStop(distance, speed, aspect = this.getVehicleAspect()) {
+        if (aspect === 'GREEN') return false;
+        const brake = aspect === 'YELLOW' ? COMFORT_BRAKE : MAX_BRAKE;
+        return distance > speed * speed / (2 * brake);
+    }
+
+    render() {
+        const light = (heads, aspect) => heads.forEach(head => {
+            Object.keys(head).forEach(key => { head[key].emissiveIntensity = key === aspect ? 2.0 : 0; });
+        });
+        light(this.vehicleHeads, this.getVehicleAspect());
+        light(this.crossHeads, this.getCrossAspect());
+
+        const ped = this.getPedestrianAspect();
+        const blinkOn = Math.floor(this.phaseTime * 2) % 2 === 0;
+        const walk = ped === 'WALK';
+        const dontWalk = ped === 'DONT_WALK' || (ped === 'FLASH' && blinkOn);
+        this.pedestrianHeads.forEach(head => {
+            head.WALK.emissiveIntensity = walk ? 2.0 : 0;
+            head.DONT_WALK.emissiveIntensity = dontWalk ? 2.0 : 0;
+        });
+    }
+}
+
+export class TrafficSignals {
+    // Heads and poles go in `parent` (static scenery); pedestrians in `scene`.
+    // `traffic` (TrafficSystem) gets stop lines on every approach to each intersection.
+    // `random` (random.js) sends people to the corners.
+    constructor(scene, parent, random, traffic = null, intersections = FIFTH_AVE_INTERSECTIONS) {
+        this.scene = scene;
+        this.random = random;
+        this.clock = 0;
+        this.group = new THREE.Group();
+        parent.add(this.group);
+        this.intersections = intersections.map(config => new Intersection(config, this.group, random));
+        this.crossing = []; // Pedestrians on their way across
+        this.piers = Object.values(TRACKS).flatMap(track => getPierPositions(track.curve, PIER_SPACING, track.pierShifts))
+            .map(pier => pier.position)
+            .filter(p => p.x > ROAD_WEST && p.x < ROAD_EAST);
+
+        if (traffic) {
+            this.intersections.forEach(intersection => {
+                const junction = traffic.network.getJunction(intersection.name);
+                if (!junction) return;
+                traffic.addStopLine(junction.avenue, (distance, speed) => intersection.mustStop(distance, speed));
+                const crossStreet = (distance, speed, next) => {
+                    if (intersection.mustStop(distance, speed, intersection.getCrossAspect())) return true;
+                    // Turning south onto 5th Ave, across the far crosswalk: early in TURN, or with no
+                    // one near the turn on their way across, nor (until WALK is over) about to step off
+                    if (!next || next.to !== junction.exit) return false;
+                    if (intersection.phase === 'TURN' && intersection.phaseTime <= SIGNAL_TIMING.TURN - TURN_CUTOFF) return false;
+                    return !this.isCrosswalkClear(intersection, 1, SOUTHBOUND_X, intersection.phase !== 'FLASH');
+                };
+                traffic.addStopLine(junction.west, crossStreet);
+                traffic.addStopLine(junction.east, crossStreet);
+            });
+        }
+    }
+
+    // No one on the crosswalk on `side` (-1 north, 1 south) about to walk across x = `x`, or just
+    // past it. People on their way to the curb count: they are about to step off. With `waiting`,
+    // so do people standing at its corners for the walk light.
+    isCrosswalkClear(intersection, side, x, waiting = false) {
+        const L = INTERSECTION_LAYOUT;
+        const z = intersection.z + side * (L.CROSSWALK_NEAR + L.CROSSWALK_FAR) / 2;
+        const halfWidth = (L.CROSSWALK_FAR - L.CROSSWALK_NEAR) / 2 + 1;
+        const corners = waiting ? intersection.corners.filter(corner => corner.side === side) : [];
+        const people = [...this.crossing, ...corners.flatMap(corner => corner.waiting)];
+        return !people.some(ped => {
+            const p = ped.mesh.position;
+            if (Math.abs(p.z - z) > halfWidth || p.x < ROAD_WEST - CURB_SETBACK - 1 || p.x > ROAD_EAST + CURB_SETBACK + 1) return false;
+            const heading = ped.path.length > 0 ? Math.sign(ped.path[0].x - p.x) : 0;
+            const toPath = (x - p.x) * heading;
+            return toPath > -YIELD_BEHIND && toPath < YIELD_AHEAD;
+        });
+    }
+
+    // Waypoints stepping round any pier standing on the straight path from `from` to `to` (same z)
+    aroundPiers(from, to) {
+        const dir = Math.sign(to.x - from.x);
+        return this.piers
+            .filter(p => Math.abs(p.z - from.z) < PIER_CLEARANCE && (p.x - from.x) * dir > 0 && (to.x - p.x) * dir > 0)
+            .sort((a, b) => (a.x - b.x) * dir)
+            .flatMap(p => {
+                const z = p.z + (from.z >= p.z ? 1 : -1) * PIER_CLEARANCE;
+                return [
+                    new THREE.Vector3(p.x - dir * PIER_CLEARANCE, 0, z),
+                    new THREE.Vector3(p.x + dir * PIER_CLEARANCE, 0, z)
+                ];
+            });
+    }
+
+    getIntersection(name) {
+        return this.intersections.find(i => i.name === name) || null;
+    }
+
+    update(delta) {
+        if (isNaN(delta)) return;
+        this.clock += delta;
+
+        this.intersections.forEach(intersection => {
+            intersection.setTime(this.clock);
+            intersection.render();
+            intersection.corners.forEach(corner => this.updateCorner(intersection, corner, delta));
+        });
+
+        this.crossing = this.crossing.filter(ped => {
+            if (!ped.update(delta)) return true;
+            ped.dispose();
+            return false;
+        });
+    }
+
+    updateCorner(intersection, corner, delta) {
+        corner.timer -= delta;
+        if (corner.timer <= 0) {
+            corner.timer = ARRIVAL_INTERVAL * (0.5 + this.random.next());
+            if (corner.waiting.length < MAX_WAITING) {
+                // Walk up the sidewalk to the corner, keeping out of each other's way
+                const start = corner.spot.clone();
+                start.z += corner.side * APPROACH_DISTANCE;
+                const spot = corner.spot.clone();
+                spot.x += (this.random.next() - 0.5) * 1.5;
+                spot.z += (this.random.next() - 0.5) * 2.0;
+                const ped = new Pedestrian(this.scene, start, this.random);
+                ped.walkTo([spot]);
+                corner.waiting.push(ped);
+            }
+        }
+
+        const canStart = intersection.getPedestrianAspect() === 'WALK';
+        corner.waiting = corner.waiting.filter(ped => {
+            const arrived = ped.update(delta);
+            if (!arrived || !canStart) return true;
+
+            // Step down, cross, and carry on up the far sidewalk
+            const from = ped.mesh.position;
+            const far = corner.across.clone();
+            far.z = from.z;
+            const curbNear = new THREE.Vector3(from.x < far.x ? ROAD_WEST : ROAD_EAST, 0, from.z);
+            const curbFar = new THREE.Vector3(from.x < far.x ? ROAD_EAST : ROAD_WEST, 0, from.z);
+            const onward = far.clone();
+            onward.z += corner.side * APPROACH_DISTANCE;
+            ped.walkTo([curbNear, ...this.aroundPiers(curbNear, curbFar), curbFar, far, onward]);
+            this.crossing.push(ped);
+            return false;
+        });
+    }
+}
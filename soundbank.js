@@ -0,0 +1,278 @@
+// --- SOUND BANK ---
+// The looped and one-shot sounds and the reverb impulses, rendered off the main thread. Each recipe builds a small graph
+// of oscillators, filters and envelopes on an OfflineAudioContext, which the browser renders on
+// its audio thread. Renders are cached in IndexedDB, so later visits load them straight back.
+// The database version is SOUND_VERSION: change any recipe and bump it, and the old renders
+// are thrown away.
+
+export const SOUND_VERSION = 1;
+
+const DB_NAME = 'seattleMonorail.sounds';
+const STORE_NAME = 'renders';
+
+// --- RECIPES ---
+// Each is { duration (s), build(ctx, noise) }. build() wires its graph to ctx.destination and
+// schedules everything from time 0; `noise` is a looping white-noise buffer to filter.
+
+const createNoiseSource = (ctx, noise, offset = 0) => {
+    const source = ctx.createBufferSource();
+    source.buffer = noise;
+    source.loop = true;
+    source.start(0, offset);
+    return source;
+};
+
+const createOsc = (ctx, type, frequency) => {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    osc.start(0);
+    return osc;
+};
+
+const createGain = (ctx, value, destination) => {
+    const gain = ctx.createGain();
+    gain.gain.value = value;
+    gain.connect(destination);
+    return gain;
+};
+
+const createFilter = (ctx, type, frequency, Q, destination) => {
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    filter.connect(destination);
+    return filter;
+};
+
+// A hit at `time`: up to `level` at once, decaying at `rate` (1/s), cut off after `length`
+const hit = (param, time, level, rate, length) => {
+    param.setValueAtTime(level, time);
+    param.setTargetAtTime(0, time, 1 / rate);
+    param.setValueAtTime(0, time + length);
+};
+
+// A reverb's impulse response: noise dying away by 60dB over `decay` seconds, duller as it goes
+const buildImpulse = (ctx, noise, decay, brightness) => {
+    const tail = createGain(ctx, 0, ctx.destination);
+    tail.gain.setValueAtTime(0, 0);
+    tail.gain.linearRampToValueAtTime(1, 0.005);
+    tail.gain.setTargetAtTime(0, 0.005, decay / 6.9);
+    const filter = createFilter(ctx, 'lowpass', brightness, 0.5, tail);
+    filter.frequency.exponentialRampToValueAtTime(brightness / 4, decay);
+    createNoiseSource(ctx, noise).connect(filter);
+};
+
+export const SOUND_RECIPES = {
+    // One-shot: A wheel over a beam joint, a knock of noise with a low thump under it
+    CLACK: {
+        duration: 0.12,
+        build(ctx, noise) {
+            const out = ctx.destination;
+            const knock = createGain(ctx, 0, out);
+            createNoiseSource(ctx, noise).connect(knock);
+            hit(knock.gain, 0, 0.6, 70, 0.12);
+
+            const thump = createGain(ctx, 0, out);
+            createOsc(ctx, 'sine', 85).connect(thump);
+            hit(thump.gain, 0, 0.8, 35, 0.12);
+        }
+    },
+
+    // 4 Second loop: Heavy machinery hum + wind
+    ELEVATOR: {
+        duration: 4.0,
+        build(ctx, noise) {
+            const out = ctx.destination;
+            // Motor drone, 60Hz and its harmonic
+            createOsc(ctx, 'sine', 60).connect(createGain(ctx, 0.12, out));
+            createOsc(ctx, 'sine', 120).connect(createGain(ctx, 0.06, out));
+
+            // Wind swelling once a loop
+            const wind = createGain(ctx, 0.5, out);
+            const swell = createOsc(ctx, 'sine', 0.25);
+            swell.connect(createGain(ctx, 0.5, wind.gain));
+            createNoiseSource(ctx, noise).connect(createFilter(ctx, 'lowpass', 700, 0.5, createGain(ctx, 2.0, wind)));
+
+            // Electric actuator whine
+            createOsc(ctx, 'sine', 800).connect(createGain(ctx, 0.05, out));
+        }
+    },
+
+    // 2 Second loop: Synth drum beat (120 BPM)
+    MOPOP: {
+        duration: 2.0,
+        build(ctx, noise) {
+            const out = ctx.destination;
+
+            // Kick on every beat, pitch dropping
+            const kick = createGain(ctx, 0, out);
+            const kickOsc = createOsc(ctx, 'sine', 120);
+            kickOsc.connect(kick);
+            for (let t = 0; t < 2.0; t += 0.5) {
+                kickOsc.frequency.setValueAtTime(120, t);
+                kickOsc.frequency.setTargetAtTime(0, t, 1 / 25);
+                hit(kick.gain, t, 0.8, 20, 0.2);
+            }
+
+            // Snare on the backbeat
+            const snare = createGain(ctx, 0, out);
+            createNoiseSource(ctx, noise).connect(createFilter(ctx, 'bandpass', 1800, 0.6, snare));
+            [0.5, 1.5].forEach(t => hit(snare.gain, t, 0.8, 30, 0.2));
+
+            // Hi-hat on the 16ths
+            const hat = createGain(ctx, 0, out);
+            createNoiseSource(ctx, noise, 0.7).connect(createFilter(ctx, 'highpass', 7000, 0.7, hat));
+            for (let t = 0; t < 2.0; t += 0.125) hit(hat.gain, t, 0.12, 80, 0.05);
+
+            // Square and sine arpeggio through a pentatonic run, plucked
+            const notes = [220, 261, 329, 392, 440, 392, 329, 261, 220, 196, 220, 261, 329, 440, 523, 440];
+            const synth = createGain(ctx, 0, out);
+            const square = createOsc(ctx, 'square', notes[0]);
+            const sine = createOsc(ctx, 'sine', notes[0]);
+            square.connect(createGain(ctx, 0.3, synth));
+            sine.connect(createGain(ctx, 0.7, synth));
+            notes.forEach((freq, i) => {
+                const t = i * 0.125;
+                square.frequency.setValueAtTime(freq, t);
+                sine.frequency.setValueAtTime(freq, t);
+                hit(synth.gain, t, 0.15, 10, 0.1);
+            });
+        }
+    },
+
+    // 0.4s Loop for fast rotor: five chops, so it wraps without a seam
+    HELICOPTER: {
+        duration: 0.4,
+        build(ctx, noise) {
+            const out = ctx.destination;
+            // Noise chopped between full and 30% by a square wave
+            const chop = createGain(ctx, 0.26, out);
+            createOsc(ctx, 'square', 12.5).connect(createGain(ctx, 0.14, chop.gain));
+            createNoiseSource(ctx, noise).connect(chop);
+            // Engine drone
+            createOsc(ctx, 'sine', 100).connect(createGain(ctx, 0.1, out));
+        }
+    },
+
+    // 12s Loop for chatter: two bursts of garbled voice in static
+    RADIO: {
+        duration: 12.0,
+        build(ctx, noise) {
+            const out = ctx.destination;
+            const bursts = [[2.0, 4.5], [8.0, 9.5]];
+            const keyBursts = (param, level) => bursts.forEach(([from, to]) => {
+                param.setValueAtTime(level, from);
+                param.setValueAtTime(0, to);
+            });
+
+            const hiss = createGain(ctx, 0, out);
+            keyBursts(hiss.gain, 0.02);
+            createNoiseSource(ctx, noise).connect(hiss);
+
+            // "Voice": band-limited noise ring-modulated at syllable and tone rates
+            const voice = createGain(ctx, 0, out);
+            keyBursts(voice.gain, 0.08);
+            const syllables = createGain(ctx, 0, voice);
+            createOsc(ctx, 'sine', 20 / (2 * Math.PI)).connect(syllables.gain);
+            const tone = createGain(ctx, 0, syllables);
+            createOsc(ctx, 'sine', 300 / (2 * Math.PI)).connect(tone.gain);
+            createNoiseSource(ctx, noise, 0.3).connect(createFilter(ctx, 'bandpass', 1200, 0.7, tone));
+        }
+    },
+
+    // Concrete tube: long and dark
+    TUNNEL_REVERB: {
+        duration: 3.0,
+        build: (ctx, noise) => buildImpulse(ctx, noise, 3.0, 2500)
+    },
+
+    // Glass and tile: shorter and bright
+    MALL_REVERB: {
+        duration: 1.8,
+        build: (ctx, noise) => buildImpulse(ctx, noise, 1.8, 8000)
+    }
+};
+
+// --- CACHE ---
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+const openCache = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    const req = indexedDB.open(DB_NAME, SOUND_VERSION);
+    req.onupgradeneeded = () => {
+        const db = req.result;
+        if (db.objectStoreNames.contains(STORE_NAME)) db.deleteObjectStore(STORE_NAME);
+        db.createObjectStore(STORE_NAME);
+    };
+    return request(req);
+};
+
+export class SoundBank {
+    // `context` is the live AudioContext the sounds will play in
+    constructor(context, noise) {
+        this.context = context;
+        this.noise = noise;
+        this.db = openCache().catch(e => {
+            console.warn('Sound cache unavailable', e);
+            return null;
+        });
+    }
+
+    getKey(type) {
+        return `${type}@${this.context.sampleRate}`;
+    }
+
+    // AudioBuffer for `type`, from the cache or freshly rendered
+    async load(type) {
+        const recipe = SOUND_RECIPES[type];
+        if (!recipe) throw new Error(`SoundBank: unknown sound "${type}"`);
+
+        const db = await this.db;
+        const cached = db ? await this.read(db, type) : null;
+        if (cached) return this.toBuffer(cached);
+
+        const buffer = await this.render(recipe);
+        if (db) this.write(db, type, buffer.getChannelData(0));
+        return buffer;
+    }
+
+    render(recipe) {
+        const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!Offline) return Promise.reject(new Error('SoundBank: no OfflineAudioContext'));
+        const rate = this.context.sampleRate;
+        const ctx = new Offline(1, Math.round(recipe.duration * rate), rate);
+        recipe.build(ctx, this.noise);
+        return ctx.startRendering();
+    }
+
+    toBuffer(samples) {
+        const buffer = this.context.createBuffer(1, samples.length, this.context.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        return buffer;
+    }
+
+    // A broken cache only costs a render, so failures are warnings
+    async read(db, type) {
+        try {
+            const samples = await request(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(this.getKey(type)));
+            return samples instanceof Float32Array ? samples : null;
+        } catch (e) {
+            console.warn(`Could not read cached sound ${type}`, e);
+            return null;
+        }
+    }
+
+    async write(db, type, samples) {
+        try {
+            await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(samples, this.getKey(type)));
+        } catch (e) {
+            console.warn(`Could not cache sound ${type}`, e);
+        }
+    }
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+// --- SPECTATOR CAMERAS ---
+// Cameras moved by hand (SpectatorInput, spectatorinput.js) rather than riding along:
+// - FLY: a free-flying spectator that passes through anything, along the view direction.
+// - WALK: first person at eye height, with gravity and jumping. It climbs stairs, kerbs and
+//   escalator steps up to STEP_UP high, and walls stop it. Floors and walls are the static
+//   boxes of the CollisionWorld (collision.js), so platforms, ramps and the mall's upper floors
+//   can all be walked.
+// Walking starts by dropping onto whatever floor is under the camera.
+
+const FLY_SPEED = 25; // m/s
+const WALK_SPEED = 4; // m/s
+const SPEED_MODIFIERS = {
+    FLY: { fast: 4, slow: 0.2 },
+    WALK: { fast: 2.2, slow: 0.4 }
+};
+const FLY_RESPONSE = 6; // How quickly the flying camera picks up and sheds speed (1/s)
+const MAX_PITCH = 1.5; // Just short of straight up or down (rad)
+
+const EYE_HEIGHT = 1.6;
+const BODY_RADIUS = 0.35;
+const HEAD_HEIGHT = 1.8; // Top of the walker above its feet
+const STEP_UP = 0.8; // Tallest step walked up without jumping (the spiral ramp's first is 0.75)
+const JUMP_SPEED = 4.5; // m/s
+const GRAVITY = 9.81;
+const MAX_FALL = 50; // m/s
+const GROUND_Y = 0; // The ground planes aren't baked into the collision world
+const PUSH_ITERATIONS = 4;
+
+const isWall = (normal) => Math.abs(normal.y) < 0.7;
+const isCeiling = (normal) => normal.y <= -0.7;
+
+export class SpectatorCamera {
+    constructor(camera, collisionWorld) {
+        this.camera = camera;
+        this.collisionWorld = collisionWorld;
+        this.mode = null; // 'FLY' | 'WALK'
+        this.position = new THREE.Vector3(); // Eye
+        this.velocity = new THREE.Vector3();
+        this.yaw = 0; // As camera.rotation.y: 0 looks north (-z), positive turns left
+        this.pitch = 0;
+        this.onGround = false;
+    }
+
+    // Take over from wherever the camera is now
+    begin(mode) {
+        this.mode = mode;
+        this.position.copy(this.camera.position);
+        const dir = this.camera.getWorldDirection(new THREE.Vector3());
+        this.yaw = Math.atan2(-dir.x, -dir.z);
+        this.pitch = THREE.MathUtils.clamp(Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)), -MAX_PITCH, MAX_PITCH);
+        this.velocity.set(0, 0, 0);
+        if (mode === 'WALK') this.placeAt(this.position.x, this.position.y, this.position.z);
+        this.apply();
+    }
+
+    end() {
+        this.mode = null;
+    }
+
+    // Stand on the floor under (x, y, z), facing `yaw` if given
+    placeAt(x, y, z, yaw = this.yaw) {
+        const floor = this.collisionWorld ? this.collisionWorld.floorBelow(x, z, y) : null;
+        const feet = floor !== null ? floor : Math.min(y, GROUND_Y);
+        this.position.set(x, feet + EYE_HEIGHT, z);
+        this.velocity.set(0, 0, 0);
+        this.yaw = yaw;
+        this.onGround = true;
+        this.apply();
+    }
+
+    // A point `distance` ahead along the view
+    getLookTarget(distance) {
+        return this.position.clone().addScaledVector(this.getForward(), distance);
+    }
+
+    getForward() {
+        const cos = Math.cos(this.pitch);
+        return new THREE.Vector3(-Math.sin(this.yaw) * cos, Math.sin(this.pitch), -Math.cos(this.yaw) * cos);
+    }
+
+    getSpeed(controls) {
+        const mods = SPEED_MODIFIERS[this.mode];
+        const base = this.mode === 'FLY' ? FLY_SPEED : WALK_SPEED;
+        if (controls.fast) return base * mods.fast;
+        if (controls.slow) return base * mods.slow;
+        return base;
+    }
+
+    // `controls` from SpectatorInput.read(), or null to stand still
+    update(delta, controls) {
+        if (!this.mode || isNaN(delta) || delta <= 0) return;
+        const dt = Math.min(delta, 0.1);
+
+        if (controls) {
+            this.yaw -= controls.look.yaw;
+            this.pitch = THREE.MathUtils.clamp(this.pitch + controls.look.pitch, -MAX_PITCH, MAX_PITCH);
+        }
+
+        if (this.mode === 'FLY') {
+            this.fly(dt, controls);
+        } else {
+            this.walk(dt, controls);
+        }
+        this.apply();
+    }
+
+    fly(dt, controls) {
+        const wish = new THREE.Vector3();
+        if (controls) {
+            const right = new THREE.Vector3(Math.cos(this.yaw), 0, -Math.sin(this.yaw));
+            wish.addScaledVector(this.getForward(), controls.move.z)
+                .addScaledVector(right, controls.move.x);
+            wish.y += controls.move.y;
+            if (wish.lengthSq() > 1) wish.normalize();
+            wish.multiplyScalar(this.getSpeed(controls));
+        }
+        this.velocity.lerp(wish, 1 - Math.exp(-FLY_RESPONSE * dt));
+        this.position.addScaledVector(this.velocity, dt);
+    }
+
+    walk(dt, controls) {
+        // --- HORIZONTAL ---
+        const wish = new THREE.Vector3();
+        if (controls) {
+            const forward = new THREE.Vector3(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+            const right = new THREE.Vector3(-forward.z, 0, forward.x);
+            wish.addScaledVector(forward, controls.move.z).addScaledVector(right, controls.move.x);
+            if (wish.lengthSq() > 1) wish.normalize();
+            wish.multiplyScalar(this.getSpeed(controls));
+            if (controls.move.y > 0 && this.onGround) this.velocity.y = JUMP_SPEED;
+        }
+        this.velocity.x = wish.x;
+        this.velocity.z = wish.z;
+
+        let feet = this.position.y - EYE_HEIGHT;
+        const x = this.position.x + this.velocity.x * dt;
+        const z = this.position.z + this.velocity.z * dt;
+        const moved = this.pushOut(x, feet, z);
+
+        // --- VERTICAL ---
+        // Anything up to a step high is a floor to stand on, anything higher a wall (above)
+        const floor = this.collisionWorld ? this.collisionWorld.floorBelow(moved.x, moved.z, feet + STEP_UP) : null;
+        let ground = floor;
+        if (ground === null) ground = feet >= GROUND_Y - STEP_UP ? GROUND_Y : feet; // Below grade, off the boxes: stay put
+
+        this.velocity.y = Math.max(this.velocity.y - GRAVITY * dt, -MAX_FALL);
+        feet += this.velocity.y * dt;
+        if (this.velocity.y > 0 && this.hitsCeiling(moved.x, feet, moved.z)) this.velocity.y = 0;
+        if (feet <= ground) {
+            feet = ground;
+            this.velocity.y = Math.max(this.velocity.y, 0);
+        }
+        this.onGround = feet <= ground + 0.05;
+
+        this.position.set(moved.x, feet + EYE_HEIGHT, moved.z);
+    }
+
+    // Slide the walker's body (a sphere at the knees and one at the head) out of walls
+    pushOut(x, feet, z) {
+        const result = new THREE.Vector3(x, 0, z);
+        if (!this.collisionWorld) return result;
+        const heights = [feet + STEP_UP + BODY_RADIUS, feet + HEAD_HEIGHT - BODY_RADIUS];
+        const center = new THREE.Vector3();
+        for (let i = 0; i < PUSH_ITERATIONS; i++) {
+            let pushed = false;
+            heights.forEach(y => {
+                center.set(result.x, y, result.z);
+                const contact = this.collisionWorld.querySphere(center, BODY_RADIUS, isWall);
+                if (!contact) return;
+                result.x += contact.normal.x * contact.depth;
+                result.z += contact.normal.z * contact.depth;
+                pushed = true;
+            });
+            if (!pushed) break;
+        }
+        return result;
+    }
+
+    hitsCeiling(x, feet, z) {
+        if (!this.collisionWorld) return false;
+        const center = new THREE.Vector3(x, feet + HEAD_HEIGHT - BODY_RADIUS, z);
+        return this.collisionWorld.querySphere(center, BODY_RADIUS, isCeiling) !== null;
+    }
+
+    apply() {
+        this.camera.position.copy(this.position);
+        this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+    }
+}
@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+// --- SPECTATOR INPUT ---
+// Movement and mouse look for the free-fly and walking cameras (spectator.js):
+//   move   x right (+) / left (-), y up (+) / down (-), z forward (+) / back (-), each -1..1
+//   look   yaw and pitch turned since the last read (radians, right and up positive)
+//   fast / slow speed modifiers
+// Keyboard with a pointer-lock (or dragging) mouse, or a gamepad's two sticks.
+
+export const SPECTATOR_ACTIONS = {
+    forward: 'Forward',
+    back: 'Back',
+    left: 'Left',
+    right: 'Right',
+    up: 'Up / Jump',
+    down: 'Down',
+    fast: 'Faster',
+    slow: 'Slower'
+};
+
+// KeyboardEvent.code values, as in flightinput.js
+export const SPECTATOR_BINDINGS = {
+    forward: ['KeyW', 'ArrowUp'],
+    back: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    up: ['Space', 'KeyE'],
+    down: ['KeyQ', 'KeyC'],
+    fast: ['ShiftLeft', 'ShiftRight'],
+    slow: ['AltLeft', 'AltRight']
+};
+
+const GAMEPAD_BUTTONS = {
+    up: 5, // Right bumper
+    down: 4, // Left bumper
+    fast: 10, // Left stick press
+    slow: 6 // Left trigger
+};
+const DEAD_ZONE = 0.15;
+const MOUSE_SENSITIVITY = 0.0025; // Radians per pixel
+const STICK_LOOK_RATE = 2.5; // Right stick turn rate at full travel (rad/s)
+
+export class SpectatorInput extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.enabled = false;
+        this.pressed = new Set();
+        this.lockElement = null;
+        this.dragging = false;
+        this.look = { yaw: 0, pitch: 0 };
+        this.state = { move: new THREE.Vector3(), look: { yaw: 0, pitch: 0 }, fast: false, slow: false };
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = () => { this.dragging = false; };
+        this.onBlur = () => {
+            this.pressed.clear();
+            this.dragging = false;
+        };
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('mouseup', this.onMouseUp);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.pressed.clear();
+            this.dragging = false;
+            this.look.yaw = 0;
+            this.look.pitch = 0;
+            this.exitPointerLock();
+        }
+    }
+
+    // Mouse look follows drags on `element` until the pointer is locked to it
+    attach(element) {
+        element.addEventListener('mousedown', (e) => {
+            if (this.enabled && e.button === 0) this.dragging = true;
+        });
+    }
+
+    requestPointerLock(element) {
+        if (!this.enabled || !element || !element.requestPointerLock) return;
+        this.lockElement = element;
+        const request = element.requestPointerLock();
+        // Chrome returns a promise that rejects if the user backs out quickly
+        if (request && request.catch) request.catch(() => {});
+    }
+
+    exitPointerLock() {
+        if (this.isPointerLocked() && document.exitPointerLock) document.exitPointerLock();
+    }
+
+    isPointerLocked() {
+        return !!this.lockElement && document.pointerLockElement === this.lockElement;
+    }
+
+    isActionDown(action) {
+        return SPECTATOR_BINDINGS[action].some(code => this.pressed.has(code));
+    }
+
+    onKeyDown(e) {
+        if (!this.enabled) return;
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+        if (!Object.values(SPECTATOR_BINDINGS).some(codes => codes.includes(e.code))) return;
+        // Keep Space/arrows from scrolling, and Alt from opening the browser menu
+        e.preventDefault();
+        this.pressed.add(e.code);
+    }
+
+    onKeyUp(e) {
+        this.pressed.delete(e.code);
+    }
+
+    onMouseMove(e) {
+        if (!this.enabled || !(this.isPointerLocked() || this.dragging)) return;
+        this.look.yaw += e.movementX * MOUSE_SENSITIVITY;
+        this.look.pitch -= e.movementY * MOUSE_SENSITIVITY;
+    }
+
+    getGamepad() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        for (let i = 0; i < 4; i++) {
+            if (gamepads[i] && gamepads[i].connected) return gamepads[i];
+        }
+        return null;
+    }
+
+    // Current movement and the look turned since the last call, or null while disabled
+    read(delta) {
+        if (!this.enabled) return null;
+        const key = (action) => this.isActionDown(action) ? 1 : 0;
+        const s = this.state;
+        s.move.set(key('right') - key('left'), key('up') - key('down'), key('forward') - key('back'));
+        s.look.yaw = this.look.yaw;
+        s.look.pitch = this.look.pitch;
+        s.fast = key('fast') > 0;
+        s.slow = key('slow') > 0;
+        this.look.yaw = 0;
+        this.look.pitch = 0;
+
+        const gp = this.getGamepad();
+        if (gp) {
+            const axis = (i) => {
+                const v = (gp.axes || [])[i];
+                return typeof v === 'number' && Math.abs(v) > DEAD_ZONE ? v : 0;
+            };
+            const button = (i) => {
+                if (!gp.buttons || !gp.buttons[i]) return 0;
+                return typeof gp.buttons[i] === 'number' ? gp.buttons[i] : gp.buttons[i].value;
+            };
+            const dt = isNaN(delta) ? 0 : delta;
+            s.move.x = THREE.MathUtils.clamp(s.move.x + axis(0), -1, 1);
+            s.move.z = THREE.MathUtils.clamp(s.move.z - axis(1), -1, 1);
+            s.move.y = THREE.MathUtils.clamp(s.move.y + button(GAMEPAD_BUTTONS.up) - button(GAMEPAD_BUTTONS.down), -1, 1);
+            s.look.yaw += axis(2) * STICK_LOOK_RATE * dt;
+            s.look.pitch -= axis(3) * STICK_LOOK_RATE * dt;
+            s.fast = s.fast || button(GAMEPAD_BUTTONS.fast) > 0.5;
+            s.slow = s.slow || button(GAMEPAD_BUTTONS.slow) > 0.5;
+        }
+        return s;
+    }
+}
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+// --- TOUCH FLIGHT CONTROLS ---
+// On-screen sticks for touch devices, read by FlightInput (flightinput.js):
+//   left stick   pitch (up/down) and roll (left/right)
+//   right stick  yaw (left/right)
+//   slider       collective; stays where it is released, like the real lever
+// Values are raw (-1..1 / 0..1); FlightInput applies the touch dead-zone.
+
+// Primary input is a finger (touch-screen laptops with a mouse keep the keyboard hint)
+export const isTouchDevice = () => {
+    if (typeof window !== 'undefined' && window.matchMedia) return window.matchMedia('(pointer: coarse)').matches;
+    return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+};
+
+class VirtualStick {
+    constructor(element, onActivity) {
+        this.element = element;
+        this.knob = element.querySelector('.touch-stick-knob');
+        this.value = new THREE.Vector2(); // x right, y up
+        this.pointerId = null;
+        this.onActivity = onActivity;
+
+        element.addEventListener('pointerdown', (e) => {
+            if (this.pointerId !== null) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.pointerId = e.pointerId;
+            element.setPointerCapture(e.pointerId);
+            this.track(e);
+        });
+        element.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.pointerId) this.track(e);
+        });
+        const release = (e) => {
+            if (e.pointerId !== this.pointerId) return;
+            this.pointerId = null;
+            this.value.set(0, 0);
+            this.render();
+        };
+        element.addEventListener('pointerup', release);
+        element.addEventListener('pointercancel', release);
+    }
+
+    track(e) {
+        const rect = this.element.getBoundingClientRect();
+        const radius = rect.width / 2;
+        this.value.set(
+            (e.clientX - (rect.left + radius)) / radius,
+            -(e.clientY - (rect.top + rect.height / 2)) / radius
+        );
+        if (this.value.length() > 1) this.value.normalize();
+        this.onActivity();
+        this.render();
+    }
+
+    render() {
+        if (!this.knob) return;
+        // Translate percentages are of the knob (40% of the pad), so 75% travel reaches the rim
+        this.knob.style.transform = `translate(${this.value.x * 75}%, ${-this.value.y * 75}%)`;
+    }
+
+    reset() {
+        this.pointerId = null;
+        this.value.set(0, 0);
+        this.render();
+    }
+}
+
+class CollectiveSlider {
+    constructor(element, onActivity, initial = 0.5) {
+        this.element = element;
+        this.handle = element.querySelector('.touch-collective-handle');
+        this.initial = initial;
+        this.value = initial;
+        this.pointerId = null;
+        this.onActivity = onActivity;
+
+        element.addEventListener('pointerdown', (e) => {
+            if (this.pointerId !== null) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.pointerId = e.pointerId;
+            element.setPointerCapture(e.pointerId);
+            this.track(e);
+        });
+        element.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.pointerId) this.track(e);
+        });
+        const release = (e) => {
+            if (e.pointerId === this.pointerId) this.pointerId = null;
+        };
+        element.addEventListener('pointerup', release);
+        element.addEventListener('pointercancel', release);
+        this.render();
+    }
+
+    track(e) {
+        const rect = this.element.getBoundingClientRect();
+        this.value = THREE.MathUtils.clamp(1 - (e.clientY - rect.top) / rect.height, 0, 1);
+        this.onActivity();
+        this.render();
+    }
+
+    render() {
+        if (this.handle) this.handle.style.bottom = `calc(${(this.value * 100).toFixed(1)}% - 1em)`;
+    }
+
+    reset() {
+        this.pointerId = null;
+        this.value = this.initial;
+        this.render();
+    }
+}
+
+export class TouchFlightControls {
+    constructor(container) {
+        this.container = container;
+        this.active = false; // Touched since the last consumeActivity()
+        const onActivity = () => { this.active = true; };
+
+        const left = container.querySelector('#touch-stick-left');
+        const right = container.querySelector('#touch-stick-right');
+        const collective = container.querySelector('#touch-collective');
+        this.leftStick = left ? new VirtualStick(left, onActivity) : null;
+        this.rightStick = right ? new VirtualStick(right, onActivity) : null;
+        this.collective = collective ? new CollectiveSlider(collective, onActivity) : null;
+    }
+
+    setVisible(visible) {
+        this.container.hidden = !visible;
+        if (!visible) {
+            if (this.leftStick) this.leftStick.reset();
+            if (this.rightStick) this.rightStick.reset();
+            if (this.collective) this.collective.reset();
+            this.active = false;
+        }
+    }
+
+    consumeActivity() {
+        const active = this.active;
+        this.active = false;
+        return active;
+    }
+
+    getAxes() {
+        return {
+            pitch: this.leftStick ? this.leftStick.value.y : 0,
+            roll: this.leftStick ? this.leftStick.value.x : 0,
+            yaw: this.rightStick ? this.rightStick.value.x : 0,
+            collective: this.collective ? this.collective.value : 0.5
+        };
+    }
+}
@@ -0,0 +1,382 @@
+import * as THREE from 'three';
+import { TRAIN_LENGTH_RATIO, CAR_GAP, Station } from './constants.js';
+import trackData from './data/tracks.json' with { type: 'json' };
+
+// --- TRACK DEFINITIONS ---
+// The guideway is described by data/tracks.json:
+//   points      control points of the CatmullRom centerline (world units)
+//   tension     CatmullRom tension
+//   stops       where the lead car stops at each terminal, meters from the Westlake end
+//   speedLimits [{ from, to, limit }] in meters from the Westlake end, m/s
+//   pierShifts  [{ pier, by }] piers moved `by` meters along the guideway (toward the far end)
+//               from their even spacing, to stand clear of something
+// Any point, speed limit or pier shift may carry a "note".
+
+export class TrackDefinitionError extends Error {
+    constructor(problems) {
+        super(`Invalid track definitions:\n${problems.map(p => `  ${p}`).join('\n')}`);
+        this.name = 'TrackDefinitionError';
+        this.problems = problems;
+    }
+}
+
+const isNumber = (v) => typeof v === 'number' && isFinite(v);
+
+const checkTrack = (id, def, problems) => {
+    const at = `tracks.${id}`;
+    if (!def || typeof def !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+    }
+
+    if (!Array.isArray(def.points) || def.points.length < 2) {
+        problems.push(`${at}.points must list at least 2 control points`);
+    } else {
+        def.points.forEach((p, i) => {
+            if (!p || !isNumber(p.x) || !isNumber(p.y) || !isNumber(p.z)) {
+                problems.push(`${at}.points[${i}] must have numeric x, y and z`);
+            }
+        });
+    }
+
+    if (!isNumber(def.tension) || def.tension < 0 || def.tension > 1) {
+        problems.push(`${at}.tension must be a number between 0 and 1`);
+    }
+
+    if (!def.stops || typeof def.stops !== 'object') {
+        problems.push(`${at}.stops is required`);
+    } else {
+        Object.keys(Station).forEach(station => {
+            if (!isNumber(def.stops[station]) || def.stops[station] < 0) {
+                problems.push(`${at}.stops.${station} must be a non-negative number of meters`);
+            }
+        });
+        Object.keys(def.stops).forEach(station => {
+            if (!Station[station]) problems.push(`${at}.stops: unknown station "${station}"`);
+        });
+    }
+
+    if (def.speedLimits !== undefined && !Array.isArray(def.speedLimits)) {
+        problems.push(`${at}.speedLimits must be an array`);
+    } else {
+        (def.speedLimits || []).forEach((zone, i) => {
+            if (!zone || !isNumber(zone.from) || !isNumber(zone.to) || !(zone.from < zone.to)) {
+                problems.push(`${at}.speedLimits[${i}] needs numeric "from" < "to"`);
+            }
+            if (!zone || !isNumber(zone.limit) || zone.limit <= 0) {
+                problems.push(`${at}.speedLimits[${i}].limit must be a positive number`);
+            }
+        });
+    }
+
+    if (def.pierShifts !== undefined && !Array.isArray(def.pierShifts)) {
+        problems.push(`${at}.pierShifts must be an array`);
+    } else {
+        (def.pierShifts || []).forEach((shift, i) => {
+            if (!shift || !Number.isInteger(shift.pier) || shift.pier < 0) {
+                problems.push(`${at}.pierShifts[${i}].pier must be a pier index`);
+            }
+            if (!shift || !isNumber(shift.by)) problems.push(`${at}.pierShifts[${i}].by must be a number of meters`);
+        });
+    }
+};
+
+export function buildTrackCurve(def) {
+    const points = def.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+    return new THREE.CatmullRomCurve3(points, false, 'catmullrom', def.tension);
+}
+
+// Returns { pierSpacing, limits, tracks: { [id]: { id, name, curve, length, stops, speedLimits, pierShifts } } },
+// or throws a TrackDefinitionError listing every problem
+export function parseTrackDefinitions(data) {
+    const problems = [];
+    if (!data || typeof data !== 'object' || !data.tracks || typeof data.tracks !== 'object') {
+        throw new TrackDefinitionError(['"tracks" must be an object']);
+    }
+    if (!isNumber(data.pierSpacing) || data.pierSpacing <= 0) problems.push('pierSpacing must be a positive number');
+    if (!data.limits || typeof data.limits !== 'object') {
+        problems.push('"limits" is required');
+    } else {
+        Object.keys(data.limits).forEach(key => {
+            if (!isNumber(data.limits[key]) || data.limits[key] < 0) problems.push(`limits.${key} must be a non-negative number`);
+        });
+    }
+    Object.keys(data.tracks).forEach(id => checkTrack(id, data.tracks[id], problems));
+    if (problems.length > 0) throw new TrackDefinitionError(problems);
+
+    const tracks = {};
+    Object.keys(data.tracks).forEach(id => {
+        const def = data.tracks[id];
+        const curve = buildTrackCurve(def);
+        tracks[id] = {
+            id,
+            name: def.name || id,
+            curve,
+            length: curve.getLength(),
+            stops: { ...def.stops },
+            speedLimits: (def.speedLimits || []).map(({ from, to, limit }) => ({ from, to, limit })),
+            pierShifts: (def.pierShifts || []).map(({ pier, by }) => ({ pier, by }))
+        };
+    });
+
+    return { pierSpacing: data.pierSpacing, limits: { ...data.limits }, tracks };
+}
+
+export const TRACK_DEFINITIONS = parseTrackDefinitions(trackData);
+export const TRACKS = TRACK_DEFINITIONS.tracks;
+export const PIER_SPACING = TRACK_DEFINITIONS.pierSpacing;
+
+// Track 1 (West/Inner) and Track 2 (East/Outer)
+export const TRACK_LEFT = TRACKS.LEFT.curve;
+export const TRACK_RIGHT = TRACKS.RIGHT.curve;
+
+// --- PIERS ---
+// The 5th Ave cut: between the curbs (these X bounds) the street ramps down to the tunnel
+// level; the sidewalks either side stay at street level
+export const FIFTH_AVE_CUT = {
+    minX: -2,
+    maxX: 22,
+    depth: 12,
+    north: { from: -245, to: -200 }, // Tunnel level at -245, street level at -200
+    south: { from: 80, to: 140 } // Street level at 80, tunnel level at 140
+};
+
+// Ground level under a point, following the ramps of the 5th Ave cut
+export function getGroundHeight(x, z) {
+    const cut = FIFTH_AVE_CUT;
+    if (x <= cut.minX || x >= cut.maxX) return 0;
+
+    if (z < cut.north.to && z > cut.north.from) {
+        const tRamp = THREE.MathUtils.clamp((z - cut.north.from) / (cut.north.to - cut.north.from), 0, 1);
+        return -cut.depth * (1 - tRamp);
+    }
+    if (z > cut.south.from && z < cut.south.to) {
+        const tRamp = THREE.MathUtils.clamp((z - cut.south.from) / (cut.south.to - cut.south.from), 0, 1);
+        return -cut.depth * tRamp;
+    }
+    return 0;
+}
+
+// Evenly spaced piers along a guideway, moved by any `shifts` (a parsed track's pierShifts), with
+// the ground level each one stands on
+export function getPierPositions(curve, spacing = PIER_SPACING, shifts = []) {
+    const piers = [];
+    const length = curve.getLength();
+    const count = Math.floor(length / spacing);
+
+    for (let i = 0; i <= count; i++) {
+        const shift = shifts.find(s => s.pier === i);
+        const t = THREE.MathUtils.clamp(i / count + (shift ? shift.by / length : 0), 0, 1);
+        const position = curve.getPointAt(t);
+        const tangent = curve.getTangentAt(t);
+        if (!position || typeof position.x !== 'number') continue;
+
+        piers.push({
+            index: i,
+            t,
+            position,
+            tangent,
+            groundY: getGroundHeight(position.x, position.z)
+        });
+    }
+    return piers;
+}
+
+// --- VALIDATION ---
+const SAMPLE_STEP = 2; // Meters between centerline samples
+const RADIUS_CHORD = 4; // Meters either side of a sample used to fit the curve radius
+const CAR_HALF_WIDTH = 1.5; // Train envelope either side of the centerline
+const BEAM_DEPTH = 1.0; // Centerline to underside of the beam
+const PIER_HALF_WIDTH = 0.75;
+const LANE_HALF_WIDTH = 1.5; // Car envelope either side of a traffic lane centerline
+const BUMPER_HALF_DEPTH = 0.5;
+
+const fmt = (v) => v.toFixed(1);
+
+// Radius of the circle through three points (Infinity when they are collinear)
+const circumradius = (a, b, c) => {
+    const ab = a.distanceTo(b);
+    const bc = b.distanceTo(c);
+    const ca = c.distanceTo(a);
+    const area = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).length() / 2;
+    return area < 1e-6 ? Infinity : (ab * bc * ca) / (4 * area);
+};
+
+// Horizontal distance from a point to an axis-aligned footprint (0 inside)
+const distanceToFootprint = (p, f) => {
+    const dx = Math.max(f.minX - p.x, 0, p.x - f.maxX);
+    const dz = Math.max(f.minZ - p.z, 0, p.z - f.maxZ);
+    return Math.sqrt(dx * dx + dz * dz);
+};
+
+function checkCurvature(track, samples, limits, report) {
+    let min = { radius: Infinity, at: 0 };
+    const steps = Math.round(RADIUS_CHORD / SAMPLE_STEP);
+    for (let i = steps; i < samples.length - steps; i++) {
+        const radius = circumradius(samples[i - steps].point, samples[i].point, samples[i + steps].point);
+        if (radius < min.radius) min = { radius, at: samples[i].distance };
+    }
+    report.minRadius = min;
+    if (min.radius < limits.minRadius) {
+        report.issues.push({
+            severity: 'error',
+            message: `curve radius ${fmt(min.radius)} m at ${fmt(min.at)} m is tighter than the ${limits.minRadius} m minimum`
+        });
+    }
+}
+
+function checkGrade(track, samples, limits, report) {
+    let max = { grade: 0, at: 0 };
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1].point;
+        const b = samples[i].point;
+        const run = Math.hypot(b.x - a.x, b.z - a.z);
+        if (run < 1e-6) continue;
+        const grade = Math.abs(b.y - a.y) / run;
+        if (grade > max.grade) max = { grade, at: samples[i].distance };
+    }
+    report.maxGrade = max;
+    if (max.grade > limits.maxGrade) {
+        report.issues.push({
+            severity: 'error',
+            message: `grade ${fmt(max.grade * 100)}% at ${fmt(max.at)} m exceeds ${fmt(limits.maxGrade * 100)}%`
+        });
+    }
+}
+
+function checkBuildings(track, samples, obstacles, limits, report) {
+    let closest = null;
+    obstacles.forEach(obstacle => {
+        let nearest = null;
+        samples.forEach(s => {
+            // Only buildings reaching up to the train envelope matter
+            if (obstacle.height < s.point.y - BEAM_DEPTH) return;
+            const clearance = distanceToFootprint(s.point, obstacle) - CAR_HALF_WIDTH;
+            if (!nearest || clearance < nearest.clearance) nearest = { clearance, at: s.distance, label: obstacle.label };
+        });
+        if (!nearest) return;
+        if (!closest || nearest.clearance < closest.clearance) closest = nearest;
+        if (nearest.clearance < limits.buildingClearance) {
+            report.issues.push({
+                severity: 'error',
+                message: `${nearest.label} is ${fmt(nearest.clearance)} m from the train envelope at ${fmt(nearest.at)} m (minimum ${limits.buildingClearance} m)`
+            });
+        }
+    });
+    report.buildingClearance = closest;
+}
+
+function checkRoad(track, samples, piers, roadPath, limits, report) {
+    const roadLength = roadPath.getLength();
+    const road = roadPath.getSpacedPoints(Math.ceil(roadLength / SAMPLE_STEP));
+
+    // Headroom where the guideway crosses over a lane
+    let headroom = null;
+    samples.forEach(s => {
+        road.forEach(r => {
+            if (Math.hypot(r.x - s.point.x, r.z - s.point.z) > CAR_HALF_WIDTH + LANE_HALF_WIDTH) return;
+            const clear = s.point.y - BEAM_DEPTH - r.y;
+            if (!headroom || clear < headroom.clearance) headroom = { clearance: clear, at: s.distance };
+        });
+    });
+    report.roadHeadroom = headroom;
+    if (headroom && headroom.clearance < limits.roadHeadroom) {
+        report.issues.push({
+            severity: 'error',
+            message: `only ${fmt(headroom.clearance)} m of headroom over the road at ${fmt(headroom.at)} m (minimum ${limits.roadHeadroom} m)`
+        });
+    }
+
+    // Piers standing next to a lane at the same level (the tunnel runs beneath street-level piers)
+    let pierClearance = null;
+    piers.forEach(pier => {
+        let nearest = Infinity;
+        road.forEach(r => {
+            if (r.y < pier.groundY - 0.5) return;
+            nearest = Math.min(nearest, Math.hypot(r.x - pier.position.x, r.z - pier.position.z));
+        });
+        if (nearest === Infinity) return;
+        const clearance = nearest - PIER_HALF_WIDTH - LANE_HALF_WIDTH;
+        if (!pierClearance || clearance < pierClearance.clearance) pierClearance = { clearance, pier: pier.index };
+        if (clearance < limits.pierRoadClearance) {
+            report.issues.push({
+                severity: 'error',
+                message: `pier ${pier.index} at (${fmt(pier.position.x)}, ${fmt(pier.position.z)}) is ${fmt(clearance)} m from a traffic lane (minimum ${limits.pierRoadClearance} m)`
+            });
+        }
+    });
+    report.pierRoadClearance = pierClearance;
+}
+
+function checkCut(track, piers, report) {
+    report.piersInCut = 0;
+    piers.forEach(pier => {
+        if (pier.groundY >= 0) return;
+        report.piersInCut++;
+        report.issues.push({
+            severity: 'warning',
+            message: `pier ${pier.index} at (${fmt(pier.position.x)}, ${fmt(pier.position.z)}) lands in the 5th Ave cut, ${fmt(-pier.groundY)} m below street level`
+        });
+    });
+}
+
+function checkStops(track, limits, report) {
+    const { stops, length } = track;
+    const span = 3 * (TRAIN_LENGTH_RATIO + CAR_GAP) * length;
+    const halfCar = TRAIN_LENGTH_RATIO * length / 2;
+
+    const westlakeGap = stops[Station.WESTLAKE] - span - halfCar - BUMPER_HALF_DEPTH;
+    const seattleCenterGap = length - stops[Station.SEATTLE_CENTER] - halfCar - BUMPER_HALF_DEPTH;
+    report.bumperClearance = { [Station.WESTLAKE]: westlakeGap, [Station.SEATTLE_CENTER]: seattleCenterGap };
+
+    if (stops[Station.WESTLAKE] >= stops[Station.SEATTLE_CENTER]) {
+        report.issues.push({ severity: 'error', message: 'the Westlake stop must come before the Seattle Center stop' });
+    }
+    if (westlakeGap < limits.bumperClearance) {
+        report.issues.push({
+            severity: 'error',
+            message: `the train stopped at Westlake (${fmt(stops[Station.WESTLAKE])} m) leaves ${fmt(westlakeGap)} m to the bumper`
+        });
+    }
+    if (seattleCenterGap < limits.bumperClearance) {
+        report.issues.push({
+            severity: 'error',
+            message: `the train stopped at Seattle Center (${fmt(stops[Station.SEATTLE_CENTER])} m) leaves ${fmt(seattleCenterGap)} m to the bumper`
+        });
+    }
+    track.speedLimits.forEach(zone => {
+        if (zone.from < 0 || zone.to > length) {
+            report.issues.push({ severity: 'warning', message: `speed limit ${zone.from}-${zone.to} m runs off the ${fmt(length)} m track` });
+        }
+    });
+}
+
+// Checks one parsed track against the clearance limits.
+// obstacles: [{ label, minX, maxX, minZ, maxZ, height }] building footprints
+// roadPath:  the traffic centerline curve
+export function validateTrack(track, { limits = TRACK_DEFINITIONS.limits, obstacles = [], roadPath = null, pierSpacing = PIER_SPACING } = {}) {
+    const report = { id: track.id, name: track.name, length: track.length, issues: [] };
+
+    const count = Math.ceil(track.length / SAMPLE_STEP);
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const u = i / count;
+        samples.push({ point: track.curve.getPointAt(u), distance: u * track.length });
+    }
+    const piers = getPierPositions(track.curve, pierSpacing, track.pierShifts);
+    report.piers = piers.length;
+
+    checkCurvature(track, samples, limits, report);
+    checkGrade(track, samples, limits, report);
+    checkBuildings(track, samples, obstacles, limits, report);
+    if (roadPath) checkRoad(track, samples, piers, roadPath, limits, report);
+    checkCut(track, piers, report);
+    checkStops(track, limits, report);
+
+    return report;
+}
+
+// One report per track: { id, name, length, minRadius, maxGrade, ..., issues: [{ severity, message }] }
+export function validateTracks(tracks = TRACKS, options = {}) {
+    return Object.keys(tracks).map(id => validateTrack(tracks[id], options));
+}
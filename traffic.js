@@ -0,0 +1,616 @@
+import * as THREE from 'three';
+
+// --- TRAFFIC ---
+// Vehicles driving trips through the road network (roads.js): from one garage to another by the
+// shortest route, then parked out of sight for a while before the next. Positions are meters
+// along the current edge of the route.
+// - Each vehicle has its own desired speed; the Intelligent Driver Model (IDM) closes up to the
+//   vehicle ahead, keeps a time gap and brakes as hard as it needs to. The vehicle ahead may be
+//   on a later edge of the route, or pulling away from the same node onto another one.
+// - Two-lane edges have a passing lane (left of travel). A faster vehicle may pull out there and
+//   must be back before the edge ends. A vehicle changing lanes occupies both lanes until it is
+//   across, so nothing ever overlaps.
+// - An intersection box is used by one approach at a time: a vehicle claims it on the way in and
+//   waits short of it while traffic from another approach is still inside. Once someone is
+//   waiting, no more go in from the approach holding the box, so it empties and they get a turn.
+// - Stop lines (the 5th Ave signals, signals.js) hold traffic like a stopped vehicle would;
+//   lower speed limits ahead are braked for in good time.
+// - A vehicle driven by hand (drive.js) is taken out of the model but tracked onto the nearest
+//   lane every frame, so traffic stops behind it like any other.
+
+const IDM = {
+    ACCEL: 2.5, // m/s²
+    BRAKE: 4.0, // Comfortable deceleration, m/s²
+    MIN_GAP: 3.0, // Bumper to bumper when stopped, m
+    HEADWAY: 1.0, // Time gap, s
+    EXPONENT: 4
+};
+
+const VEHICLE_LENGTH = 4.5;
+const PASSING_LANE_OFFSET = 3.0; // Meters left of the path: x=20.5 on 5th Ave, x=-0.5 in the tunnel
+const LANE_CHANGE_RATE = 3.0; // Lateral m/s
+const PASS_MIN_REMAINING = 80; // Don't pull out with less two-lane road than this left
+const PASS_LOOKAHEAD = 40; // Only pass a vehicle this close ahead
+const PASS_ADVANTAGE = 0.3; // m/s² gained before pulling out is worth it
+const KEEP_RIGHT_BIAS = 0.1; // m/s² given up to get back into the main lane
+const LANE_HOLD = 3.0; // Seconds after a lane change before considering another
+const MERGE_DISTANCE = 60; // From here to the end of the edge, passing vehicles must merge back
+const MERGE_RUNOUT = 20; // Still in the passing lane this close to the end: stop and wait
+const SAFE_BRAKE = 4.0; // Hardest braking a lane change may force on the new follower
+const LEADER_RANGE = 200; // Vehicles further ahead than this don't matter
+const DIVERGE_CLEAR = 6; // Past a fork, vehicles on the other branch stop being in the way
+const STOP_LINE_LOOKAHEAD = 150; // Stop lines further ahead than this are ignored
+const STOP_LINE_SETBACK = 1.0; // Front bumper comes to rest this far behind a stop line
+const LIMIT_BRAKE = 2.0; // Deceleration at which to start slowing for a lower speed limit, m/s²
+const CLAIM_MARGIN = 10; // Claim a junction this much before it would need braking for, m
+const JUNCTION_CLEARANCE = 1.0; // Rear bumper this far out of the box releases it
+const PARK_TIME = { MIN: 3, MAX: 15 }; // Seconds in a garage between trips
+const TRACK_RANGE = 2.5; // A hand-driven vehicle this close to a lane is in it, m
+const TRACK_REACH = 2.0; // ... and this close to its height
+const HAND_BACK_RANGE = 15; // Further off the road than this, a vehicle handed back rejoins on the loop
+
+export class TrafficSystem {
+    // `random` (random.js) picks the garages and how long cars stay parked
+    constructor(network, random) {
+        this.network = network;
+        this.random = random;
+        this.drivers = [];
+        this.stopLines = new Map(); // edge -> [mustStop]
+        this.junctions = new Map(); // name -> { entry, holders, next (driver) }
+        this.byEdge = new Map(); // edge -> drivers on it, rebuilt every frame
+    }
+
+    // Holds traffic at the end of `edge` while `mustStop(distance, speed, next)` is true, with
+    // distance from the vehicle's front bumper to the line and `next` the edge it goes on to
+    addStopLine(edge, mustStop) {
+        if (!this.stopLines.has(edge)) this.stopLines.set(edge, []);
+        this.stopLines.get(edge).push(mustStop);
+    }
+
+    // Joins `vehicle` (anything with a `group`) to the 5th Ave loop `distance` meters round it,
+    // or in the middle of the largest gap in traffic, on its way to a random garage
+    addVehicle(vehicle, desiredSpeed, distance = null) {
+        const { edge, s } = this.network.locateOnLoop(distance === null ? this.findLargestGap() : distance);
+        const driver = {
+            vehicle,
+            route: null,
+            index: 0,
+            edge: null,
+            s,
+            speed: Math.min(desiredSpeed, edge.speedLimit),
+            desiredSpeed,
+            length: VEHICLE_LENGTH,
+            lane: 0, // 0 main, 1 passing
+            fromLane: 0,
+            laneHold: 0,
+            offset: 0, // Current lateral position, meters left of the path
+            garage: null, // Parked here between trips
+            destination: null,
+            dwell: 0,
+            waiting: null, // Junction ahead that another approach is using
+            manual: false // Driven by hand: see takeOver()
+        };
+        const trip = this.planTrip(edge.to);
+        driver.route = [edge, ...trip.route];
+        driver.destination = trip.garage;
+        driver.edge = edge;
+        vehicle.driver = driver;
+        this.drivers.push(driver);
+        this.pose(driver);
+        return driver;
+    }
+
+    loopDistance(d) {
+        let distance = 0;
+        for (const edge of this.network.loop) {
+            if (edge === d.edge) return distance + d.s;
+            distance += edge.length;
+        }
+        return null;
+    }
+
+    findLargestGap() {
+        const length = this.network.getLoopLength();
+        const sorted = this.drivers.map(d => this.isOnRoad(d) ? this.loopDistance(d) : null)
+            .filter(s => s !== null)
+            .sort((a, b) => a - b);
+        if (sorted.length === 0) return 0;
+        let best = 0;
+        let bestGap = -1;
+        sorted.forEach((s, i) => {
+            const next = i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + length;
+            if (next - s > bestGap) {
+                bestGap = next - s;
+                best = s + bestGap / 2;
+            }
+        });
+        return best % length;
+    }
+
+    // --- TRIPS ---
+
+    // A random garage (other than `except`) reachable from node `from`, and the route there
+    planTrip(from, except = null) {
+        const choices = this.network.garages.filter(g => g !== except);
+        while (choices.length > 0) {
+            const garage = choices.splice(this.random.int(choices.length), 1)[0];
+            const route = this.network.findPath(from, garage.entry);
+            if (route && route.length > 0) return { garage, route };
+        }
+        throw new Error(`TrafficSystem: no garage can be reached from "${from}"`);
+    }
+
+    isActive(d) {
+        return d.garage === null;
+    }
+
+    // Somewhere on the road network, so in the way of other traffic
+    isOnRoad(d) {
+        return this.isActive(d) && d.edge !== null;
+    }
+
+    park(d) {
+        d.garage = d.destination;
+        d.destination = null;
+        d.route = null;
+        d.edge = null;
+        d.speed = 0;
+        d.lane = d.fromLane = 0;
+        d.offset = 0;
+        d.waiting = null;
+        d.dwell = this.random.range(PARK_TIME.MIN, PARK_TIME.MAX);
+        d.vehicle.group.visible = false;
+    }
+
+    // Out of the garage once the dwell is over and there is room at the door
+    depart(d) {
+        const trip = this.planTrip(d.garage.exit, d.garage);
+        const first = trip.route[0];
+        const blocked = (this.byEdge.get(first) || []).some(other => other.s - other.length / 2 < d.length + IDM.MIN_GAP);
+        if (blocked) return;
+
+        d.route = trip.route;
+        d.destination = trip.garage;
+        d.garage = null;
+        d.index = 0;
+        d.edge = first;
+        d.s = 0;
+        d.laneHold = 0;
+        d.vehicle.group.visible = true;
+        this.pose(d);
+    }
+
+    // --- LANES ---
+
+    isChanging(d) {
+        return Math.abs(d.offset - d.lane * PASSING_LANE_OFFSET) > 0.01;
+    }
+
+    occupies(d, lane) {
+        return d.lane === lane || (this.isChanging(d) && d.fromLane === lane);
+    }
+
+    // Two-lane road left on the current edge
+    passingRoom(d) {
+        return d.edge.lanes > 1 ? d.edge.length - d.s : 0;
+    }
+
+    // Nearest vehicle ahead in `lane`: { other, gap } with gap bumper to bumper, or null
+    findLeader(d, lane) {
+        let best = null;
+        const consider = (other, ds) => {
+            if (ds > 0 && (!best || ds < best.ds)) best = { other, ds };
+        };
+
+        if (lane === 1) {
+            (this.byEdge.get(d.edge) || []).forEach(other => {
+                if (other !== d && this.occupies(other, 1)) consider(other, other.s - d.s);
+            });
+        } else {
+            let base = -d.s;
+            for (let k = d.index; k < d.route.length && base < LEADER_RANGE; k++) {
+                const edge = d.route[k];
+                this.network.getNode(edge.from).out.forEach(branch => {
+                    (this.byEdge.get(branch) || []).forEach(other => {
+                        if (other === d || !this.occupies(other, 0)) return;
+                        if (branch !== edge && other.s - other.length / 2 > DIVERGE_CLEAR) return;
+                        consider(other, base + other.s);
+                    });
+                });
+                base += edge.length;
+            }
+        }
+        return best ? { other: best.other, gap: best.ds - (d.length + best.other.length) / 2 } : null;
+    }
+
+    // Meters along `d`'s route to `s` on `edge`, or null if it isn't coming up
+    distanceAlong(d, edge, s) {
+        let base = -d.s;
+        for (let k = d.index; k < d.route.length && base < LEADER_RANGE; k++) {
+            if (d.route[k] === edge) return base + s;
+            base += d.route[k].length;
+        }
+        return null;
+    }
+
+    findFollower(d, lane) {
+        let best = null;
+        this.drivers.forEach(other => {
+            if (other === d || !this.isOnRoad(other) || !this.occupies(other, lane)) return;
+            const ds = other.edge === d.edge ? d.s - other.s : (lane === 0 ? this.distanceAlong(other, d.edge, d.s) : null);
+            if (ds !== null && ds > 0 && (!best || ds < best.ds)) best = { other, ds };
+        });
+        return best ? { other: best.other, gap: best.ds - (d.length + best.other.length) / 2 } : null;
+    }
+
+    // --- JUNCTIONS ---
+
+    getJunctionState(name) {
+        if (!this.junctions.has(name)) this.junctions.set(name, { entry: null, holders: [], next: null });
+        return this.junctions.get(name);
+    }
+
+    // First junction edge further along the route: { edge, k, distance } with distance from
+    // the front bumper to the box, or null
+    findJunctionAhead(d) {
+        let base = d.edge.length - d.s;
+        for (let k = d.index + 1; k < d.route.length && base < STOP_LINE_LOOKAHEAD; k++) {
+            const edge = d.route[k];
+            if (edge.junction && edge.junction !== d.edge.junction) return { edge, k, distance: base - d.length / 2 };
+            base += edge.length;
+        }
+        return null;
+    }
+
+    stillHolds(d, name) {
+        if (!this.isOnRoad(d)) return false;
+        if (d.edge.junction === name) return true;
+        const prev = d.route[d.index - 1];
+        if (prev && prev.junction === name) return d.s - d.length / 2 < JUNCTION_CLEARANCE;
+        // On the way in, unless held short of the box (others may go first)
+        const ahead = this.findJunctionAhead(d);
+        return !!ahead && ahead.edge.junction === name && (ahead.distance < 0 || !this.isHeldShort(d, ahead));
+    }
+
+    claim(d, name, entry) {
+        const junction = this.getJunctionState(name);
+        if (junction.holders.includes(d)) return true;
+        if (junction.next !== null && junction.next !== d && this.isNextIn(junction.next, name)) return false;
+        if (junction.entry !== null && junction.entry !== entry) {
+            if (junction.next === null) junction.next = d;
+            return false;
+        }
+        junction.entry = entry;
+        if (junction.next === d) junction.next = null;
+        junction.holders.push(d);
+        return true;
+    }
+
+    // Whether `d`, first turned away from junction `name` while it was busy, goes before anyone
+    // else: while nothing holds it at a stop line. Once it is off elsewhere, no one does.
+    isNextIn(d, name) {
+        const ahead = this.isOnRoad(d) ? this.findJunctionAhead(d) : null;
+        if (!ahead || ahead.edge.junction !== name) {
+            this.getJunctionState(name).next = null;
+            return false;
+        }
+        return !this.isHeldShort(d, ahead);
+    }
+
+    // Whether a stop line holds `d` short of the junction edge `ahead` (findJunctionAhead)
+    isHeldShort(d, ahead) {
+        return this.mustStopAt(d.route[ahead.k - 1], ahead.distance, d.speed, ahead.edge);
+    }
+
+    // Distance at which a vehicle at `speed` starts braking for something standing in its way
+    claimDistance(speed) {
+        return IDM.MIN_GAP + speed * IDM.HEADWAY + speed * speed / (2 * Math.sqrt(IDM.ACCEL * IDM.BRAKE)) + CLAIM_MARGIN;
+    }
+
+    mustStopAt(edge, distance, speed, next) {
+        return (this.stopLines.get(edge) || []).some(mustStop => mustStop(distance, speed, next));
+    }
+
+    updateJunctions() {
+        this.junctions.forEach((junction, name) => {
+            junction.holders = junction.holders.filter(d => this.stillHolds(d, name));
+            if (junction.holders.length === 0) junction.entry = null;
+        });
+
+        this.drivers.forEach(d => {
+            d.waiting = null;
+            if (!this.isOnRoad(d)) return;
+            if (d.edge.junction) {
+                const junction = this.getJunctionState(d.edge.junction);
+                if (!junction.holders.includes(d)) junction.holders.push(d);
+                if (junction.entry === null) junction.entry = d.edge.from;
+            }
+            if (d.manual) return;
+
+            const ahead = this.findJunctionAhead(d);
+            if (!ahead || ahead.distance > this.claimDistance(d.speed)) return;
+            // Held at a red light: no claim until it changes
+            if (this.isHeldShort(d, ahead)) return;
+            // Queued behind someone still short of the box: they go first
+            const leader = this.findLeader(d, d.lane);
+            const junction = this.getJunctionState(ahead.edge.junction);
+            if (leader && leader.gap < ahead.distance && !junction.holders.includes(leader.other)) return;
+            if (!this.claim(d, ahead.edge.junction, ahead.edge.from)) d.waiting = ahead;
+        });
+    }
+
+    // --- CAR FOLLOWING ---
+
+    idm(speed, desiredSpeed, gap = Infinity, leaderSpeed = 0) {
+        const free = 1 - Math.pow(speed / desiredSpeed, IDM.EXPONENT);
+        if (gap === Infinity) return IDM.ACCEL * free;
+        const closing = speed * (speed - leaderSpeed) / (2 * Math.sqrt(IDM.ACCEL * IDM.BRAKE));
+        const desiredGap = IDM.MIN_GAP + Math.max(0, speed * IDM.HEADWAY + closing);
+        return IDM.ACCEL * (free - Math.pow(desiredGap / Math.max(gap, 0.1), 2));
+    }
+
+    // Acceleration `d` would have driving in `lane`
+    accelerationIn(d, lane) {
+        const desired = Math.min(d.desiredSpeed, d.edge.speedLimit);
+        const stopAt = (distance) => this.idm(d.speed, desired, distance + IDM.MIN_GAP - STOP_LINE_SETBACK, 0);
+
+        const leader = this.findLeader(d, lane);
+        let accel = leader
+            ? this.idm(d.speed, desired, leader.gap, leader.other.speed)
+            : this.idm(d.speed, desired);
+
+        // The passing lane ends: treat its end as a stopped vehicle
+        if (lane === 1) {
+            const room = this.passingRoom(d) - MERGE_RUNOUT;
+            accel = Math.min(accel, this.idm(d.speed, desired, Math.max(0, room), 0));
+        }
+
+        if (d.waiting) accel = Math.min(accel, stopAt(d.waiting.distance));
+
+        // Stop lines at the ends of edges, and slower roads, ahead
+        let base = -d.s;
+        for (let k = d.index; k < d.route.length && base < STOP_LINE_LOOKAHEAD; k++) {
+            const edge = d.route[k];
+            const toEnd = base + edge.length - d.length / 2;
+            if (toEnd >= 0 && this.mustStopAt(edge, toEnd, d.speed, d.route[k + 1] || null)) {
+                accel = Math.min(accel, stopAt(toEnd));
+            }
+            if (k > d.index && edge.speedLimit < d.speed) {
+                const distance = Math.max(0.5, base - d.length / 2);
+                const needed = (d.speed * d.speed - edge.speedLimit * edge.speedLimit) / (2 * distance);
+                if (needed > LIMIT_BRAKE) accel = Math.min(accel, -needed);
+            }
+            base += edge.length;
+        }
+        return accel;
+    }
+
+    getAcceleration(d) {
+        let accel = this.accelerationIn(d, d.lane);
+        if (this.isChanging(d)) accel = Math.min(accel, this.accelerationIn(d, d.fromLane));
+        return accel;
+    }
+
+    // Room to move into `lane` without overlapping anyone or forcing the new follower to brake hard
+    isSafe(d, lane) {
+        const leader = this.findLeader(d, lane);
+        if (leader && (leader.gap < IDM.MIN_GAP || this.idm(d.speed, d.desiredSpeed, leader.gap, leader.other.speed) < -SAFE_BRAKE)) {
+            return false;
+        }
+        const follower = this.findFollower(d, lane);
+        if (follower) {
+            const f = follower.other;
+            if (follower.gap < IDM.MIN_GAP || this.idm(f.speed, f.desiredSpeed, follower.gap, d.speed) < -SAFE_BRAKE) return false;
+        }
+        return true;
+    }
+
+    changeLane(d, lane) {
+        d.fromLane = d.lane;
+        d.lane = lane;
+        d.laneHold = LANE_HOLD;
+    }
+
+    considerLaneChange(d) {
+        if (this.isChanging(d)) return;
+        const room = this.passingRoom(d);
+        const mustMerge = d.lane === 1 && room < MERGE_DISTANCE;
+        if (d.laneHold > 0 && !mustMerge) return;
+
+        if (d.lane === 0) {
+            if (room < PASS_MIN_REMAINING) return;
+            const leader = this.findLeader(d, 0);
+            if (!leader || leader.gap > PASS_LOOKAHEAD || leader.other.speed > d.desiredSpeed - 1) return;
+            if (!this.isSafe(d, 1)) return;
+            if (this.accelerationIn(d, 1) - this.accelerationIn(d, 0) > PASS_ADVANTAGE) this.changeLane(d, 1);
+        } else {
+            if (!this.isSafe(d, 0)) return;
+            if (mustMerge || this.accelerationIn(d, 0) > this.accelerationIn(d, 1) - KEEP_RIGHT_BIAS) this.changeLane(d, 0);
+        }
+    }
+
+    // --- UPDATE ---
+
+    indexByEdge() {
+        this.byEdge.clear();
+        this.drivers.forEach(d => {
+            if (!this.isOnRoad(d)) return;
+            if (!this.byEdge.has(d.edge)) this.byEdge.set(d.edge, []);
+            this.byEdge.get(d.edge).push(d);
+        });
+    }
+
+    update(delta) {
+        if (isNaN(delta) || delta <= 0) return;
+
+        this.indexByEdge();
+        this.drivers.forEach(d => {
+            if (this.isActive(d)) return;
+            d.dwell -= delta;
+            if (d.dwell <= 0) {
+                this.depart(d);
+                if (this.isActive(d)) this.indexByEdge();
+            }
+        });
+        this.updateJunctions();
+
+        const active = this.drivers.filter(d => this.isActive(d) && !d.manual);
+        active.forEach(d => {
+            d.laneHold = Math.max(0, d.laneHold - delta);
+            this.considerLaneChange(d);
+        });
+        const accels = active.map(d => this.getAcceleration(d));
+
+        active.forEach((d, i) => {
+            d.speed = Math.max(0, d.speed + accels[i] * delta);
+            let step = d.speed * delta;
+
+            // Hard stop short of the vehicle ahead, or of a box someone else is using
+            [d.lane, d.fromLane].forEach(lane => {
+                if (lane !== d.lane && !this.isChanging(d)) return;
+                const leader = this.findLeader(d, lane);
+                if (leader && step > leader.gap - 0.5) {
+                    step = Math.max(0, leader.gap - 0.5);
+                    d.speed = Math.min(d.speed, leader.other.speed);
+                }
+            });
+            if (d.waiting && step > d.waiting.distance) {
+                step = Math.max(0, d.waiting.distance);
+                d.speed = 0;
+            }
+
+            const targetOffset = d.lane * PASSING_LANE_OFFSET;
+            const lateral = LANE_CHANGE_RATE * delta;
+            d.offset += THREE.MathUtils.clamp(targetOffset - d.offset, -lateral, lateral);
+
+            this.advance(d, step);
+        });
+
+        active.forEach(d => {
+            if (this.isActive(d)) this.pose(d);
+        });
+    }
+
+    // Move `step` meters along the route, on to the next edges or into the garage at the end
+    advance(d, step) {
+        d.s += step;
+        while (d.s > d.edge.length) {
+            if (d.index + 1 >= d.route.length) {
+                this.park(d);
+                return;
+            }
+            d.s -= d.edge.length;
+            d.index++;
+            d.edge = d.route[d.index];
+            if (d.edge.lanes < 2) {
+                d.lane = d.fromLane = 0;
+                d.offset = 0;
+            }
+        }
+    }
+
+    // Point and tangent `distance` meters on from `d` along its route
+    sampleAhead(d, distance) {
+        let s = d.s + distance;
+        for (let k = d.index; k < d.route.length; k++) {
+            const edge = d.route[k];
+            if (s <= edge.length || k === d.route.length - 1) {
+                const t = THREE.MathUtils.clamp(s / edge.length, 0, 1);
+                const point = edge.curve.getPointAt(t);
+                const tangent = edge.curve.getTangentAt(t);
+                // Past the end of the route: carry straight on
+                if (s > edge.length) point.addScaledVector(tangent, s - edge.length);
+                return { point, tangent };
+            }
+            s -= edge.length;
+        }
+        return null;
+    }
+
+    pose(d) {
+        const here = this.sampleAhead(d, 0);
+        const pos = here.point;
+        pos.add(new THREE.Vector3(here.tangent.z, 0, -here.tangent.x).normalize().multiplyScalar(d.offset));
+
+        // Aim a few meters ahead, including any lateral drift still to come
+        const lookAhead = 4.4;
+        const ahead = this.sampleAhead(d, lookAhead);
+        const nextPos = ahead.point;
+        const drift = LANE_CHANGE_RATE * lookAhead / Math.max(d.speed, 1);
+        const aheadOffset = d.offset + THREE.MathUtils.clamp(d.lane * PASSING_LANE_OFFSET - d.offset, -drift, drift);
+        nextPos.add(new THREE.Vector3(ahead.tangent.z, 0, -ahead.tangent.x).normalize().multiplyScalar(aheadOffset));
+
+        // Models face +z: turn that towards the point ahead
+        const group = d.vehicle.group;
+        group.position.copy(pos);
+        const m = new THREE.Matrix4();
+        m.lookAt(nextPos, pos, new THREE.Vector3(0, 1, 0));
+        group.quaternion.setFromRotationMatrix(m);
+    }
+
+    // --- MANUAL DRIVING ---
+
+    // Stop driving `d`; it stays in traffic through track(). Out of a garage if parked in one.
+    takeOver(d) {
+        if (!this.isActive(d)) {
+            const edge = this.network.getNode(d.garage.exit).out[0];
+            d.garage = null;
+            d.route = [edge];
+            d.index = 0;
+            d.edge = edge;
+            d.s = d.length; // Nose out of the door
+            d.vehicle.group.visible = true;
+            this.pose(d);
+        }
+        d.manual = true;
+        d.destination = null;
+        d.waiting = null;
+        d.lane = d.fromLane = 0;
+        d.offset = 0;
+    }
+
+    // Where the hand-driven `d` is now, as a place in a lane, or nowhere if off the lanes.
+    // `speed` is along its heading, `heading` the direction it faces.
+    track(d, speed, heading) {
+        const position = d.vehicle.group.position;
+        const near = this.network.locate(position, PASSING_LANE_OFFSET + TRACK_RANGE, TRACK_REACH);
+        let lane = null;
+        if (near && Math.abs(near.lateral) < TRACK_RANGE) lane = 0;
+        else if (near && near.edge.lanes > 1 && Math.abs(near.lateral - PASSING_LANE_OFFSET) < TRACK_RANGE) lane = 1;
+
+        if (lane === null) {
+            d.edge = null;
+            d.route = null;
+            d.speed = 0;
+            return;
+        }
+        d.edge = near.edge;
+        d.route = [near.edge];
+        d.index = 0;
+        d.s = near.s;
+        d.lane = d.fromLane = lane;
+        d.offset = lane * PASSING_LANE_OFFSET;
+        // Only progress along the lane counts; backing up or crossing it is standing in the way
+        d.speed = Math.max(0, speed * heading.dot(near.edge.curve.getTangentAt(near.s / near.edge.length)));
+    }
+
+    // Back to driving `d` from the lane it is nearest, or from the largest gap round the loop if it
+    // is nowhere near one, on a new trip to a random garage
+    handBack(d) {
+        const position = d.vehicle.group.position;
+        let near = this.network.locate(position, HAND_BACK_RANGE, TRACK_REACH);
+        if (!near) near = this.network.locateOnLoop(this.findLargestGap());
+        const trip = this.planTrip(near.edge.to);
+        d.manual = false;
+        d.route = [near.edge, ...trip.route];
+        d.destination = trip.garage;
+        d.index = 0;
+        d.edge = near.edge;
+        d.s = near.s;
+        d.speed = Math.min(d.speed, near.edge.speedLimit);
+        d.lane = d.fromLane = 0;
+        d.offset = 0;
+        d.laneHold = LANE_HOLD;
+        this.pose(d);
+    }
+}
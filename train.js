@@ -1,9 +1,11 @@
 import * as THREE from 'three';
 import { createCarMesh } from './assets.js';
-import { TRAIN_LENGTH_RATIO, CAR_GAP, CarType } from './constants.js';
+import { TRAIN_LENGTH_RATIO, CAR_GAP, CarType, Station } from './constants.js';
 
-export class Train {
+// Events: 'arrive' and 'depart' with { station, adherence }
+export class Train extends THREE.EventDispatcher {
     constructor(config, curve, scene, audioGenerator) {
+        super();
         this.config = config;
         this.curve = curve;
         this.scene = scene;
@@ -18,20 +20,51 @@ export class Train {
         // 0.01 leaves ~1.5 - 2.0 units visual gap.
         this.TRACK_BUFFER = 0.01; 
 
+        // Track is measured in meters (scene units) along the curve
+        this.trackLength = curve && curve.getLength ? curve.getLength() : 1;
+        this.stops = config.stops || null; // { WESTLAKE, SEATTLE_CENTER } lead car stop in meters from T=0
+
         // Initial progress clamping
         this.progress = config.initialProgress || 0;
-        this.progress = Math.max(this.TRAIN_SPAN + this.TRACK_BUFFER, Math.min(1.0 - this.TRACK_BUFFER, this.progress));
+        this.progress = Math.max(this.getMinProgress(), Math.min(this.getMaxProgress(), this.progress));
+        this.distance = this.progress * this.trackLength; // Lead car (Car 0) position in meters
 
-        this.speed = config.speed || 0.1;
+        // Motion (meters, seconds)
+        this.maxSpeed = config.maxSpeed || 18;
+        this.speed = 0; // Current speed, always >= 0 (see direction)
+        this.acceleration = 0; // Current signed acceleration along the direction of travel
         this.direction = config.direction || 1; // 1 for forward, -1 for backward
+        this.speedLimits = config.speedLimits || []; // [{ from, to, limit }] in meters from T=0
+
+        this.DYNAMICS = {
+            MAX_ACCEL: 1.3,     // m/s^2
+            SERVICE_BRAKE: 1.4, // m/s^2
+            MAX_JERK: 1.2,      // m/s^3
+            STOP_TOLERANCE: 0.05 // m
+        };
         this.color = config.color || '#ff0000';
         
         // State Machine for Station Stops
         this.state = 'MOVING'; // 'MOVING' or 'STOPPED'
         this.stopTimer = 0;
-        this.STOP_DURATION = 5.0; // 5 seconds pause
+        this.STOP_DURATION = 5.0; // Fallback pause when running without a timetable
+
+        // Timetable (optional TrainSchedule from schedule.js)
+        this.schedule = config.schedule || null;
+        this.time = 0; // Simulation seconds since service start
+        this.station = null; // Station currently stopped at
+        this.scheduledDeparture = null;
+        this.departureTime = null;
+        this.scheduledArrival = null;
+        this.adherence = 0; // Seconds: positive = late, negative = early
+
+        // Passenger Load
+        this.passengers = 0;
+        this.capacity = config.capacity || 48;
 
         this.cars = [];
+        this.announcer = null; // Door chimes and station announcements, from the lead car
+        this.announcerCar = null; // The car they come from, moved to the lead car at each stop
         this.group = new THREE.Group();
         scene.add(this.group);
 
@@ -44,9 +77,10 @@ export class Train {
             
             // Attach audio to the lead car (index 0)
             if (i === 0 && audioGenerator) {
-                // Use 'TRAIN' sound buffer (Electric Whine + Track Clack)
-                const sound = audioGenerator.createPositionalAudio('TRAIN', 20, 500, 0.5);
+                // Motor whine, rolling noise, joint clacks and brakes, all from how the train moves
+                const sound = audioGenerator.createVehicleSound('TRAIN', 20, 500, 0.5);
                 if (sound) meshGroup.add(sound);
+                this.announcer = audioGenerator.createAnnouncer(15, 250, 0.8);
             }
 
             this.cars.push({
@@ -59,52 +93,223 @@ export class Train {
             
             this.group.add(meshGroup);
         });
+        this.placeAnnouncer(this.direction);
+
+        // Scheduled trains start in service, holding at their origin platform
+        if (this.schedule) {
+            const origin = this.schedule.getOriginStation();
+            this.direction = origin === Station.SEATTLE_CENTER ? -1 : 1;
+            this.progress = origin === Station.SEATTLE_CENTER ? this.getMaxProgress() : this.getMinProgress();
+            this.distance = this.progress * this.trackLength;
+            this.state = 'STOPPED';
+            this.station = origin;
+            this.scheduledDeparture = this.schedule.nextDeparture(origin);
+            this.departureTime = this.scheduledDeparture;
+        }
 
         // Initialize positions immediately to prevent visual glitches on first frame
         this.updateCarPositions();
     }
 
+    getMaxProgress() {
+        if (this.stops) return this.stops[Station.SEATTLE_CENTER] / this.trackLength;
+        return 1.0 - this.TRACK_BUFFER;
+    }
+
+    getMinProgress() {
+        if (this.stops) return this.stops[Station.WESTLAKE] / this.trackLength;
+        // Ensure the tail (Car 3) doesn't hit the start bumper
+        return this.TRAIN_SPAN + this.TRACK_BUFFER;
+    }
+
+    // Seconds early (negative) or late (positive) against the timetable
+    getScheduleAdherence() {
+        if (!this.schedule) return 0;
+
+        if (this.state === 'STOPPED' && this.time > this.scheduledDeparture) {
+            // Held past the scheduled departure (e.g. dwell not yet served)
+            return this.time - this.scheduledDeparture;
+        }
+        if (this.state === 'MOVING' && this.time > this.scheduledArrival) {
+            // Running past the scheduled arrival
+            return this.time - this.scheduledArrival;
+        }
+        return this.adherence;
+    }
+
+    getScheduleStatus() {
+        return {
+            state: this.state,
+            station: this.station,
+            stationName: this.station && this.schedule ? this.schedule.getStationName(this.station) : null,
+            nextDeparture: this.state === 'STOPPED' ? this.departureTime : null,
+            scheduledDeparture: this.state === 'STOPPED' ? this.scheduledDeparture : null,
+            scheduledArrival: this.state === 'MOVING' ? this.scheduledArrival : null,
+            adherence: this.getScheduleAdherence()
+        };
+    }
+
+    arriveAt(station) {
+        this.state = 'STOPPED';
+        this.speed = 0;
+        this.acceleration = 0;
+        this.station = station;
+
+        if (this.schedule) {
+            this.adherence = this.time - this.scheduledArrival;
+            // Next slot after the one we left the other terminal on; depart late rather than skip a slot
+            this.scheduledDeparture = this.schedule.nextDeparture(station, this.scheduledArrival - this.schedule.runTime);
+            this.departureTime = Math.max(this.scheduledDeparture, this.time + this.schedule.getDwell(station));
+        } else {
+            this.stopTimer = this.STOP_DURATION;
+        }
+
+        // Already turned round: the lead car is the one that ran in
+        this.placeAnnouncer(-this.direction);
+        this.dispatchEvent({ type: 'arrive', station: station, adherence: this.adherence });
+    }
+
+    depart() {
+        const station = this.station;
+        this.state = 'MOVING';
+        this.station = null;
+
+        if (this.schedule) {
+            this.adherence = this.time - this.scheduledDeparture;
+            this.scheduledArrival = this.scheduledDeparture + this.schedule.runTime;
+        }
+
+        this.placeAnnouncer(this.direction);
+        this.dispatchEvent({ type: 'depart', station: station, adherence: this.adherence });
+    }
+
+    // Where the train is in its run, as plain data (camera tracks replay from it)
+    getState() {
+        return {
+            time: this.time,
+            distance: this.distance,
+            speed: this.speed,
+            acceleration: this.acceleration,
+            direction: this.direction,
+            state: this.state,
+            stopTimer: this.stopTimer,
+            station: this.station,
+            scheduledDeparture: this.scheduledDeparture,
+            departureTime: this.departureTime,
+            scheduledArrival: this.scheduledArrival,
+            adherence: this.adherence
+        };
+    }
+
+    // Put the train back as getState() found it, without arrive/depart events
+    setState(state) {
+        Object.assign(this, state);
+        this.progress = this.distance / this.trackLength;
+        this.updateCarPositions();
+    }
+
     update(delta) {
         if (isNaN(delta)) return;
 
+        this.time += delta;
+
         // Station Stop Logic
         if (this.state === 'STOPPED') {
-            this.stopTimer -= delta;
-            if (this.stopTimer <= 0) {
-                this.state = 'MOVING';
-                // Direction was already flipped when we entered STOPPED state
+            if (this.schedule) {
+                if (this.time >= this.departureTime) this.depart();
+            } else {
+                this.stopTimer -= delta;
+                if (this.stopTimer <= 0) this.depart();
             }
-            return; // Train stays stationary
+            // Direction was already flipped when we entered STOPPED state
+            if (this.state === 'STOPPED') return; // Train stays stationary
         }
 
-        const speedScale = 0.1; // normalize speed to track length
-        
-        // Move train based on direction
-        this.progress += this.direction * this.speed * delta * speedScale;
+        this.integrateMotion(delta);
 
         // Check Track Limits (Station Stops) with Buffers
-        const maxProgress = 1.0 - this.TRACK_BUFFER;
-        const minProgress = this.TRAIN_SPAN + this.TRACK_BUFFER;
+        const maxDistance = this.getMaxProgress() * this.trackLength;
+        const minDistance = this.getMinProgress() * this.trackLength;
+        const stopTolerance = this.DYNAMICS.STOP_TOLERANCE;
 
-        // Upper Limit (Station B)
-        if (this.progress >= maxProgress) {
-            this.progress = maxProgress;
+        // Upper Limit (Seattle Center)
+        if (this.direction === 1 && this.distance >= maxDistance - stopTolerance) {
+            this.distance = maxDistance;
             this.direction = -1; // Reverse direction
-            this.state = 'STOPPED';
-            this.stopTimer = this.STOP_DURATION;
+            this.arriveAt(Station.SEATTLE_CENTER);
         } 
-        // Lower Limit (Station A)
-        // Ensure the tail (Car 3) doesn't hit the start bumper
-        else if (this.progress <= minProgress) {
-            this.progress = minProgress;
+        // Lower Limit (Westlake)
+        else if (this.direction === -1 && this.distance <= minDistance + stopTolerance) {
+            this.distance = minDistance;
             this.direction = 1; // Forward direction
-            this.state = 'STOPPED';
-            this.stopTimer = this.STOP_DURATION;
+            this.arriveAt(Station.WESTLAKE);
         }
 
+        this.progress = this.distance / this.trackLength;
         this.updateCarPositions();
     }
 
+    // Distance in meters from the leading end of the train to its stopping point
+    getDistanceToStop() {
+        if (this.direction === 1) return this.getMaxProgress() * this.trackLength - this.distance;
+        return this.distance - this.getMinProgress() * this.trackLength;
+    }
+
+    // Highest speed we may be doing right now so that every restriction ahead
+    // (speed limits and the platform stop) can still be met with the service brake
+    getAllowedSpeed() {
+        const brake = this.DYNAMICS.SERVICE_BRAKE * 0.85; // Plan with margin for jerk-limited brake onset
+        const spanMeters = this.TRAIN_SPAN * this.trackLength;
+        const tail = this.distance - spanMeters;
+        const front = this.direction === 1 ? this.distance : tail;
+
+        let allowed = this.maxSpeed;
+
+        const toStop = Math.max(0, this.getDistanceToStop());
+        allowed = Math.min(allowed, Math.sqrt(2 * brake * toStop));
+
+        this.speedLimits.forEach(zone => {
+            // The whole train must be inside the restriction, so occupancy of [tail, front] counts
+            const occupied = this.distance >= zone.from && tail <= zone.to;
+            if (occupied) {
+                allowed = Math.min(allowed, zone.limit);
+                return;
+            }
+            const ahead = this.direction === 1 ? zone.from - front : front - zone.to;
+            if (ahead > 0) {
+                allowed = Math.min(allowed, Math.sqrt(zone.limit * zone.limit + 2 * brake * ahead));
+            }
+        });
+
+        return allowed;
+    }
+
+    integrateMotion(delta) {
+        const D = this.DYNAMICS;
+        const allowed = this.getAllowedSpeed();
+
+        // Proportional controller toward the allowed speed, then jerk limiting
+        let targetAccel = THREE.MathUtils.clamp((allowed - this.speed) * 1.5, -D.SERVICE_BRAKE, D.MAX_ACCEL);
+
+        // Final creep into the platform: never stall short of the stop
+        const toStop = this.getDistanceToStop();
+        if (toStop > D.STOP_TOLERANCE && toStop < 2.0 && this.speed < 0.5) targetAccel = Math.max(targetAccel, 0.2);
+
+        const maxStep = D.MAX_JERK * delta;
+        this.acceleration += THREE.MathUtils.clamp(targetAccel - this.acceleration, -maxStep, maxStep);
+
+        // Emergency: jerk limiting must not carry us past the stop
+        if (this.speed > allowed + 1.0) this.acceleration = -D.SERVICE_BRAKE;
+
+        this.speed = Math.max(0, this.speed + this.acceleration * delta);
+        const step = Math.min(this.speed * delta, Math.max(0, toStop));
+        this.distance += this.direction * step;
+    }
+
+    getSpeed() {
+        return this.speed;
+    }
+
     updateCarPositions() {
         if (!this.curve || !this.curve.getPointAt) return;
 
@@ -135,12 +340,56 @@ export class Train {
         });
     }
 
+    // Position and tangent of a car at a given progress (defaults to where it is now)
+    getCarPose(index, progress = this.progress) {
+        const car = this.cars[index];
+        if (!car || !this.curve || !this.curve.getPointAt) return null;
+        const t = Math.max(0.0001, Math.min(0.9999, progress - car.offset));
+        return { position: this.curve.getPointAt(t), tangent: this.curve.getTangentAt(t) };
+    }
+
+    // Car poses while berthed at a terminal
+    getStationCarPoses(station) {
+        const progress = station === Station.SEATTLE_CENTER ? this.getMaxProgress() : this.getMinProgress();
+        return this.cars.map((car, i) => this.getCarPose(i, progress));
+    }
+
+    board(count = 1) {
+        const boarded = Math.min(count, this.capacity - this.passengers);
+        this.passengers += boarded;
+        return boarded;
+    }
+
+    alight(count = 1) {
+        const alighted = Math.min(count, this.passengers);
+        this.passengers -= alighted;
+        return alighted;
+    }
+
+    getLoad() {
+        return {
+            passengers: this.passengers,
+            capacity: this.capacity,
+            loadFactor: this.capacity > 0 ? this.passengers / this.capacity : 0
+        };
+    }
+
+    // Index of the car leading when running in `direction`
+    // If Dir=1 (0->1), Car 0 (Head) is front.
+    // If Dir=-1 (1->0), Car 3 (Tail) is front.
+    getLeadCarIndex(direction = this.direction) {
+        return direction === 1 ? 0 : this.cars.length - 1;
+    }
+
+    // Announcements come from the car leading when running in `direction`
+    placeAnnouncer(direction) {
+        this.announcerCar = this.cars[this.getLeadCarIndex(direction)];
+        if (this.announcer) this.announcerCar.group.add(this.announcer.sound);
+    }
+
     getCameraTarget() {
         // Determine which car is physically leading the movement
-        // If Dir=1 (0->1), Car 0 (Head) is front.
-        // If Dir=-1 (1->0), Car 3 (Tail) is front.
-        const leadCarIndex = this.direction === 1 ? 0 : 3;
-        const car = this.cars[leadCarIndex];
+        const car = this.cars[this.getLeadCarIndex()];
         
         if (!car) return { position: new THREE.Vector3(), lookAt: new THREE.Vector3() };
         
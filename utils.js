@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Random } from './random.js';
 
 // Helper to replace <mesh><boxGeometry args={[w,h,d]} /><meshStandardMaterial color={c} /></mesh>
 export function createBox(w, h, d, color, x = 0, y = 0, z = 0, parent = null) {
@@ -36,9 +37,19 @@ export function createPlane(w, h, color, x = 0, y = 0, z = 0, rotX = 0, parent =
   return mesh;
 }
 
+// Uniform Catmull-Rom spline value between p1 (u = 0) and p2 (u = 1)
+export function catmullRom(u, p0, p1, p2, p3) {
+  const v0 = (p2 - p0) * 0.5;
+  const v1 = (p3 - p1) * 0.5;
+  const u2 = u * u;
+  return (2 * p1 - 2 * p2 + v0 + v1) * u * u2 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * u2 + v0 * u + p1;
+}
+
 // --- PERLIN NOISE IMPLEMENTATION ---
+// `seed` is a number or string as for Random (random.js): the same seed, the same noise
 export class Noise {
-  constructor(seed = Math.random()) {
+  constructor(seed = 0) {
+    const random = new Random(seed);
     this.grad3 = [
       [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
       [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
@@ -46,7 +57,7 @@ export class Noise {
     ];
     this.p = [];
     for (let i=0; i<256; i++) {
-      this.p[i] = Math.floor(Math.random()*256);
+      this.p[i] = random.int(256);
     }
     // To remove the need for index wrapping, double the permutation table length
     this.perm = [];